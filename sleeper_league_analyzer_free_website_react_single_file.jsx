@@ -1,27 +1,66 @@
-import React, { useEffect, useMemo, useState } from "react";
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useRef, useState } from "react";
 
 /**
  * Sleeper League Analyzer — Single‑file React app (free to host anywhere)
  * -----------------------------------------------------------------------
  * What this does
- * - Pulls public data from up to 4 Sleeper fantasy football leagues
- * - Shows "AI-style" draft analysis with letter grades (rule-based heuristics)
- * - Weekly matchup previews (predicted winners + Game of the Week)
+ * - Pulls public data from any number of Sleeper fantasy football leagues (find them
+ *   by Sleeper username or paste IDs); only the league you're viewing is fetched up front
+ * - Shows "AI-style" draft analysis with letter grades (rule-based heuristics),
+ *   tunable per league with presets and live recompute
+ * - Draft board grid with reach/steal flags against a consensus ADP
+ * - Dynasty/keeper aware: pick which draft to grade (rookie drafts get their own model),
+ *   keepers are called out, and traded picks roll up into future draft capital
+ * - Standings (W/L/T, points, streaks, all-play) and results-based power rankings
+ * - Schedule luck: expected wins from all-play, strength of schedule (played and
+ *   remaining), and a schedule-swap heatmap of every team on every schedule
+ * - Playoff odds from a Monte Carlo simulation of the remaining schedule (Web Worker)
+ * - Playoff bracket view (winners + consolation/toilet bowl) and playoff-mode previews
+ * - Transaction feed (trades, waivers with FAAB, free agents) with trade grades
+ * - Lineup efficiency: optimal lineups, points left on the bench, blown wins
+ * - Player stats from weekly scoring: totals, consistency, boom/bust rates, top weeks and
+ *   which fantasy team got the points, with a per-player weekly drawer
+ * - Trade finder: each roster's positional needs and surplus, and 1-for-1 / 2-for-1
+ *   trades that improve both lineups, scored for value balance
+ * - All-time record book across seasons (champions, career records, head-to-head)
+ * - Cross-league overview and manager profiles (Sleeper user_ids are shared across leagues)
+ * - Weekly matchup previews (starter-based projections, win probability + Game of the Week)
+ * - Live mode during games: auto-refreshing scores, players left to play, win-probability
+ *   trend lines and lead-change highlights (pauses in background tabs, stops when final)
  * - Weekly summaries (once games are complete, using Sleeper's matchup points)
+ * - Season-aware weeks: the picker follows each league's regular season and playoff
+ *   rounds, median-game leagues count the extra result, and pre/offseason get a status card
+ * - Generated weekly recap article with awards (copy as Markdown / download HTML)
+ * - Player names, positions, NFL teams and injury tags (cached daily in the browser)
+ * - Offline snapshots: export a league to one JSON file and re-import it later without
+ *   the network; with no leagues configured, a built-in demo league is shown
+ * - Headless reports: sleeper_league_report_cli.mjs (next to this file) writes draft
+ *   grades, previews and results as JSON, Markdown or CSV from league IDs or snapshots
+ * - Publish weekly previews and results to Discord or Slack incoming webhooks, with a
+ *   preview before sending and a per-week record so nothing is posted twice
  *
  * How to use
- * 1) Replace the LEAGUE_IDS below with your four Sleeper league IDs (as strings).
- *    You can use 1–4 IDs. Find the ID in the URL: https://sleeper.app/leagues/<ID>
- * 2) (Optional) Tweak SCORING_WEIGHTS and POSITION_VALUES to bias the analysis.
+ * 1) Type a Sleeper username (and tick leagues from the list) or paste league IDs into
+ *    the box at the top; they're kept in the page URL (#/league/<ID>/week/<n>?ids=…),
+ *    so bookmark or share that link. "Manage" reorders or removes league tabs.
+ *    Optionally bake default IDs into LEAGUE_IDS below. Find an ID in
+ *    https://sleeper.app/leagues/<ID>
+ * 2) (Optional) Tune grading per league in the "Grading settings" panel (sliders,
+ *    presets, shareable links). League format (team count, Superflex, TE premium,
+ *    PPR) is detected automatically; the defaults below describe a baseline
+ *    12-team 1QB PPR league.
  * 3) Deploy this single file for free on GitHub Pages / Netlify / Vercel.
  *
  * Notes
  * - This runs fully client-side using the public Sleeper API with CORS enabled.
+ * - API responses are cached in the browser (completed weeks for good), requests are
+ *   pooled and retried, and cached data is shown if Sleeper is briefly unreachable.
  * - "AI generated" analysis here is a transparent, deterministic heuristic so the
  *   site stays 100% free and serverless. It looks/reads like AI, without costs.
  */
 
 /*********************  USER CONFIG  *********************/
+// Defaults when the URL doesn't carry ?ids=… (optional — pasting IDs works too)
 const LEAGUE_IDS: string[] = [
   // "1264083534415396864", // League 1
   // "1264093436445741056", // League 2
@@ -29,9 +68,9 @@ const LEAGUE_IDS: string[] = [
   // "1264094054845513728", // League 4
 ];
 
-// Position value multipliers used in draft grades and matchup strength
+// Baseline position value multipliers (12-team 1QB PPR); adjusted per league by leagueGradingModel
 const POSITION_VALUES: Record<string, number> = {
-  QB: 1.15, // single QB leagues: keep <=1.0–1.2; for Superflex, set ~1.4–1.6
+  QB: 1.15, // Superflex/2QB leagues are bumped to ~1.5 automatically
   RB: 1.2,
   WR: 1.15,
   TE: 1.05,
@@ -39,10 +78,14 @@ const POSITION_VALUES: Record<string, number> = {
   DEF: 0.7,
 };
 
-// Round value curve: early rounds are exponentially more valuable
-const ROUND_VALUE = (overallPick: number) => 100 / Math.sqrt(overallPick + 2);
+// Round value curve: early rounds are exponentially more valuable. Takes a
+// 12-team-equivalent pick number so leagues of different sizes grade alike.
+type RoundCurve = { scale: number; offset: number; exponent: number };
+const DEFAULT_ROUND_CURVE: RoundCurve = { scale: 100, offset: 2, exponent: 0.5 };
+const ROUND_VALUE = (overallPick: number, curve: RoundCurve = DEFAULT_ROUND_CURVE) =>
+  curve.scale / Math.pow(overallPick + curve.offset, curve.exponent);
 
-// Roster depth targets by position for balanced grade (adjust if your league differs)
+// Baseline roster depth targets; derived from roster_positions when a league provides them
 const IDEAL_DEPTH: Record<string, number> = { QB: 2, RB: 5, WR: 5, TE: 2, K: 1, DEF: 1 };
 
 // Score weights for draft grading blend
@@ -56,10 +99,18 @@ const SCORING_WEIGHTS = {
 /*********************  UTILITIES  *********************/
 const sleep = (ms: number) => new Promise((r) => setTimeout(r, ms));
 
-async function fetchJSON<T>(url: string): Promise<T> {
-  const res = await fetch(url);
-  if (!res.ok) throw new Error(`Fetch failed: ${url}`);
-  return res.json();
+function errorText(e: unknown) {
+  return e instanceof Error ? e.message : String(e);
+}
+
+function downloadBlob(blob: Blob, filename: string) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  // Revoking in the same tick can cancel the download in some browsers
+  setTimeout(() => URL.revokeObjectURL(url), 0);
 }
 
 function letterGrade(score: number): { grade: string; note: string } {
@@ -81,6 +132,226 @@ function by<T>(k: (x: T) => number, dir: "asc" | "desc" = "desc") {
   return (a: T, b: T) => (dir === "asc" ? k(a) - k(b) : k(b) - k(a));
 }
 
+function normalCdf(z: number) {
+  // Abramowitz–Stegun 7.1.26; plenty accurate for win probabilities
+  const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-(z * z) / 2);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/*********************  BROWSER CACHE  *********************/
+// Tiny key/value store on IndexedDB, falling back to localStorage when IndexedDB
+// is unavailable (private mode, old browsers). Values must be JSON-serializable.
+const CACHE_DB = "sleeper-analyzer";
+const CACHE_STORE = "cache";
+
+let cacheDB: Promise<IDBDatabase | null> | null = null;
+
+function openCacheDB(): Promise<IDBDatabase | null> {
+  if (!cacheDB) cacheDB = openCacheDBOnce();
+  return cacheDB;
+}
+
+function openCacheDBOnce(): Promise<IDBDatabase | null> {
+  return new Promise((resolve) => {
+    if (typeof indexedDB === "undefined") return resolve(null);
+    try {
+      const req = indexedDB.open(CACHE_DB, 1);
+      req.onupgradeneeded = () => req.result.createObjectStore(CACHE_STORE);
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => resolve(null);
+    } catch {
+      resolve(null);
+    }
+  });
+}
+
+async function cacheGet<T>(key: string): Promise<T | null> {
+  const db = await openCacheDB();
+  if (db) {
+    return new Promise((resolve) => {
+      const req = db.transaction(CACHE_STORE, "readonly").objectStore(CACHE_STORE).get(key);
+      req.onsuccess = () => resolve((req.result as T) ?? null);
+      req.onerror = () => resolve(null);
+    });
+  }
+  try {
+    const raw = localStorage.getItem(`${CACHE_DB}:${key}`);
+    return raw ? (JSON.parse(raw) as T) : null;
+  } catch {
+    return null;
+  }
+}
+
+async function cacheSet<T>(key: string, value: T): Promise<void> {
+  const db = await openCacheDB();
+  if (db) {
+    return new Promise((resolve) => {
+      const tx = db.transaction(CACHE_STORE, "readwrite");
+      tx.objectStore(CACHE_STORE).put(value, key);
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => resolve();
+    });
+  }
+  try {
+    localStorage.setItem(`${CACHE_DB}:${key}`, JSON.stringify(value));
+  } catch {
+    // quota exceeded — caching is best-effort
+  }
+}
+
+/*********************  SLEEPER API CLIENT  *********************/
+// Every request goes through fetchJSON: responses are cached in memory and in the
+// browser cache per URL with a TTL, identical in-flight requests share one fetch,
+// at most API_CONCURRENCY requests run at once, and 429/5xx/network failures are
+// retried with exponential backoff. If Sleeper stays unreachable, the last cached
+// copy is served (however old) and onStaleData listeners are told about it.
+const API_CONCURRENCY = 4;
+const API_RETRIES = 3;
+const API_BACKOFF_MS = 500;
+
+const TTL = {
+  live: 60 * 1000, // games in progress, NFL state
+  short: 10 * 60 * 1000, // league settings, rosters, upcoming weeks
+  day: 24 * 60 * 60 * 1000,
+  settling: 3 * 24 * 60 * 60 * 1000, // the week that just ended, until the NFL's stat corrections are in
+  forever: Infinity, // settled weeks and finished drafts never change
+};
+
+type ApiErrorKind = "not_found" | "rate_limited" | "server" | "network" | "bad_response";
+
+const API_ERROR_TEXT: Record<ApiErrorKind, string> = {
+  not_found: "Not found on Sleeper — double-check the league ID",
+  rate_limited: "Sleeper is rate limiting requests; try again in a minute",
+  server: "Sleeper's API is having trouble right now",
+  network: "Couldn't reach Sleeper — check your connection",
+  bad_response: "Sleeper sent a response we couldn't read",
+};
+
+class SleeperApiError extends Error {
+  kind: ApiErrorKind;
+  url: string;
+  status?: number;
+  retryAfterMs?: number;
+
+  constructor(kind: ApiErrorKind, url: string, status?: number, retryAfterMs?: number) {
+    super(status ? `${API_ERROR_TEXT[kind]} (HTTP ${status})` : API_ERROR_TEXT[kind]);
+    this.name = "SleeperApiError";
+    this.kind = kind;
+    this.url = url;
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+  }
+
+  get retryable() {
+    return this.kind === "rate_limited" || this.kind === "server" || this.kind === "network";
+  }
+}
+
+type CachedResponse = { at: number; data: unknown };
+type StaleNotice = { url: string; at: number; error: SleeperApiError };
+
+const memoryCache = new Map<string, CachedResponse>();
+const inFlight = new Map<string, Promise<unknown>>();
+const staleListeners = new Set<(n: StaleNotice) => void>();
+
+function onStaleData(fn: (n: StaleNotice) => void) {
+  staleListeners.add(fn);
+  return () => {
+    staleListeners.delete(fn);
+  };
+}
+
+let activeRequests = 0;
+const waitingRequests: (() => void)[] = [];
+
+async function withApiSlot<T>(fn: () => Promise<T>): Promise<T> {
+  if (activeRequests < API_CONCURRENCY) activeRequests++;
+  else await new Promise<void>((r) => waitingRequests.push(r)); // slot handed over by the finisher
+  try {
+    return await fn();
+  } finally {
+    const next = waitingRequests.shift();
+    if (next) next();
+    else activeRequests--;
+  }
+}
+
+async function fetchOnce<T>(url: string): Promise<T> {
+  let res: Response;
+  try {
+    res = await fetch(url);
+  } catch {
+    throw new SleeperApiError("network", url);
+  }
+  if (!res.ok) {
+    const retryAfter = Number(res.headers.get("Retry-After")) * 1000 || undefined;
+    if (res.status === 404) throw new SleeperApiError("not_found", url, 404);
+    if (res.status === 429) throw new SleeperApiError("rate_limited", url, 429, retryAfter);
+    if (res.status >= 500) throw new SleeperApiError("server", url, res.status, retryAfter);
+    throw new SleeperApiError("bad_response", url, res.status);
+  }
+  try {
+    return (await res.json()) as T;
+  } catch {
+    throw new SleeperApiError("bad_response", url, res.status);
+  }
+}
+
+async function fetchWithRetry<T>(url: string): Promise<T> {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await withApiSlot(() => fetchOnce<T>(url));
+    } catch (e) {
+      if (!(e instanceof SleeperApiError) || !e.retryable || attempt >= API_RETRIES) throw e;
+      // Jittered so a burst of failures doesn't retry in lockstep
+      await sleep(e.retryAfterMs ?? API_BACKOFF_MS * 2 ** attempt * (0.75 + Math.random() / 2));
+    }
+  }
+}
+
+// Pin a response (offline snapshots, demo data) so it is served without a fetch
+function seedResponse(url: string, data: unknown) {
+  memoryCache.set(url, { at: Infinity, data });
+}
+
+// persist: also keep it in IndexedDB; memory: keep it for the session (off for big
+// responses that the caller slims down and caches itself)
+async function fetchJSON<T>(url: string, opts: { ttl?: number; persist?: boolean; memory?: boolean } = {}): Promise<T> {
+  const { ttl = TTL.short, persist = true, memory = true } = opts;
+  const hit = memoryCache.get(url);
+  if (hit && Date.now() - hit.at < ttl) return hit.data as T;
+  const pending = inFlight.get(url);
+  if (pending) return pending as Promise<T>;
+
+  const request = (async () => {
+    const stored = persist ? await cacheGet<CachedResponse>(`api:${url}`) : null;
+    if (stored && Date.now() - stored.at < ttl) {
+      if (memory) memoryCache.set(url, stored);
+      return stored.data as T;
+    }
+    try {
+      const data = await fetchWithRetry<T>(url);
+      const entry = { at: Date.now(), data };
+      if (memory) memoryCache.set(url, entry);
+      if (persist) await cacheSet(`api:${url}`, entry);
+      return data;
+    } catch (e) {
+      const fallback = hit || stored;
+      if (!fallback || !(e instanceof SleeperApiError) || !e.retryable) throw e;
+      staleListeners.forEach((fn) => fn({ url, at: fallback.at, error: e }));
+      return fallback.data as T;
+    }
+  })();
+  inFlight.set(url, request);
+  try {
+    return await request;
+  } finally {
+    inFlight.delete(url);
+  }
+}
+
 /*********************  SLEEPER TYPES (partial)  *********************/
 // These are light/partial types to make coding easier.
 
@@ -90,7 +361,10 @@ type SleeperLeague = {
   season: string;
   total_rosters: number;
   settings: Record<string, any>;
+  scoring_settings?: Record<string, number>;
   roster_positions: string[];
+  previous_league_id?: string | null; // prior season of the same league
+  status?: string; // "pre_draft" | "drafting" | "in_season" | "complete"
 };
 
 type SleeperUser = { user_id: string; display_name: string };
@@ -102,13 +376,23 @@ type SleeperRoster = {
   starters?: string[]; // current week starters
 };
 
-type SleeperDraft = { draft_id: string; status: string; season: string };
+type SleeperDraft = {
+  draft_id: string;
+  status: string;
+  season: string;
+  type?: "snake" | "linear" | "auction";
+  settings?: { rounds?: number; teams?: number; reversal_round?: number } & Record<string, any>;
+  slot_to_roster_id?: Record<string, number> | null; // draft column → roster_id
+  start_time?: number | null; // ms epoch, once scheduled
+};
 
 type SleeperPick = {
   player_id: string;
   round: number; // draft round index (1-based)
   pick_no: number; // overall pick number
+  draft_slot?: number; // board column (1-based)
   roster_id: number; // team that picked
+  is_keeper?: boolean | null; // keeper slotted into this pick rather than drafted
   metadata?: Record<string, any> & { position?: string; team?: string; first_name?: string; last_name?: string };
 };
 
@@ -116,12 +400,337 @@ type SleeperMatchup = {
   matchup_id: number;
   roster_id: number;
   starters: string[];
+  players?: string[]; // full roster that week
   points?: number; // totals after games
   players_points?: Record<string, number>;
 };
 
+type SleeperBracketMatch = {
+  r: number; // round
+  m: number; // match id
+  t1: number | null; // roster_id (null until decided)
+  t2: number | null;
+  w: number | null; // winner roster_id
+  l: number | null; // loser roster_id
+  p?: number; // placement decided by this game (1 = championship)
+  t1_from?: { w?: number; l?: number };
+  t2_from?: { w?: number; l?: number };
+};
+
+type SleeperTradedPick = {
+  season: string;
+  round: number;
+  roster_id: number; // original owner
+  previous_owner_id: number;
+  owner_id: number; // new owner
+};
+
+type SleeperTransaction = {
+  transaction_id: string;
+  type: "trade" | "waiver" | "free_agent" | "commissioner";
+  status: string; // "complete" | "failed" | …
+  leg: number; // week
+  created: number; // ms epoch
+  roster_ids: number[];
+  adds?: Record<string, number> | null; // player_id → receiving roster_id
+  drops?: Record<string, number> | null; // player_id → releasing roster_id
+  draft_picks?: SleeperTradedPick[];
+  waiver_budget?: { sender: number; receiver: number; amount: number }[];
+  settings?: { waiver_bid?: number } | null;
+};
+
+type SleeperPlayer = {
+  player_id: string;
+  first_name?: string;
+  last_name?: string;
+  full_name?: string;
+  position?: string;
+  team?: string | null;
+  injury_status?: string | null;
+};
+
+/*********************  PLAYER DIRECTORY  *********************/
+// Slimmed-down view of Sleeper's /players/nfl dump (~5 MB raw). We keep only what
+// the UI renders so the cached copy stays small.
+type PlayerInfo = { name: string; pos: string; team: string; injury: string };
+type PlayerDirectory = Record<string, PlayerInfo>;
+
+const PLAYER_CACHE_KEY = "players_nfl";
+
+function slimPlayers(raw: Record<string, SleeperPlayer>): PlayerDirectory {
+  const dir: PlayerDirectory = {};
+  for (const [id, p] of Object.entries(raw)) {
+    const name = p.full_name || [p.first_name, p.last_name].filter(Boolean).join(" ");
+    dir[id] = {
+      name: name || id,
+      pos: (p.position || "").toUpperCase(),
+      team: p.team || "FA",
+      injury: p.injury_status || "",
+    };
+  }
+  return dir;
+}
+
+async function loadPlayerDirectory(): Promise<PlayerDirectory> {
+  // Refresh once per calendar day; injury designations change daily at most
+  const today = new Date().toISOString().slice(0, 10);
+  const cached = await cacheGet<{ day: string; players: PlayerDirectory }>(PLAYER_CACHE_KEY);
+  if (cached && cached.day === today) return cached.players;
+  try {
+    // ~5 MB raw; only the slimmed directory is worth keeping, on disk or in memory
+    const raw = await fetchJSON<Record<string, SleeperPlayer>>(`https://api.sleeper.app/v1/players/nfl`, { ttl: TTL.day, persist: false, memory: false });
+    const players = slimPlayers(raw);
+    await cacheSet(PLAYER_CACHE_KEY, { day: today, players });
+    return players;
+  } catch (e) {
+    // Stale names beat raw IDs
+    if (cached) return cached.players;
+    throw e;
+  }
+}
+
+function playerInfo(players: PlayerDirectory | null, player_id: string, fallback?: SleeperPick["metadata"]): PlayerInfo {
+  const hit = players?.[player_id];
+  if (hit) return hit;
+  const name = [fallback?.first_name, fallback?.last_name].filter(Boolean).join(" ");
+  return {
+    name: name || player_id,
+    pos: (fallback?.position || "").toUpperCase(),
+    team: fallback?.team || "",
+    injury: "",
+  };
+}
+
+/*********************  LEAGUE FORMAT  *********************/
+// Grading constants above describe a 12-team 1QB PPR league. Everything below
+// rescales them from the league's own settings so grades compare across leagues.
+const BASELINE_TEAMS = 12;
+
+// Which positions each flex slot can hold, and how its value tends to split
+const FLEX_SHARES: Record<string, Record<string, number>> = {
+  FLEX: { RB: 0.45, WR: 0.45, TE: 0.1 },
+  WRRB_FLEX: { RB: 0.5, WR: 0.5 },
+  REC_FLEX: { WR: 0.7, TE: 0.3 },
+  SUPER_FLEX: { QB: 0.8, RB: 0.1, WR: 0.1 },
+  IDP_FLEX: { DL: 0.34, LB: 0.33, DB: 0.33 },
+};
+
+type LeagueFormat = {
+  teams: number;
+  rounds: number; // roster size incl. bench = draft rounds in most redraft leagues
+  superflex: boolean;
+  tePremium: number; // extra points per TE reception
+  ppr: number; // points per reception
+  idp: boolean;
+  starters: Record<string, number>; // dedicated + expected flex usage per position
+  bench: number;
+};
+
+type GradingModel = {
+  format: LeagueFormat;
+  draftKind: "startup" | "rookie";
+  slotAdjusted: boolean; // linear/rookie drafts: grade relative to the picks a team held
+  positionValues: Record<string, number>;
+  idealDepth: Record<string, number>;
+  weights: typeof SCORING_WEIGHTS;
+  roundCurve: RoundCurve;
+  studCutoff: number; // last pick counted as a "stud" (end of round 3)
+  depthStart: number; // picks after this are bench contributors (end of round 6)
+  depthEnd: number; // picks after this are late-round darts (final round)
+  depthCurveStart: number; // normalized pick where the depth value curve starts
+  normalizePick: (pick_no: number) => number; // to 12-team-equivalent pick
+};
+
+function detectLeagueFormat(league: SleeperLeague): LeagueFormat {
+  const slots = league.roster_positions || [];
+  const scoring = league.scoring_settings || {};
+  const starters: Record<string, number> = {};
+  let bench = 0;
+  for (const slot of slots) {
+    if (slot === "BN" || slot === "IR" || slot === "TAXI") {
+      if (slot === "BN") bench++;
+      continue;
+    }
+    const shares = FLEX_SHARES[slot] || { [slot === "DST" ? "DEF" : slot]: 1 };
+    for (const [pos, share] of Object.entries(shares)) starters[pos] = (starters[pos] || 0) + share;
+  }
+  const rostered = slots.filter((s) => s !== "IR" && s !== "TAXI").length;
+  return {
+    teams: league.total_rosters || BASELINE_TEAMS,
+    rounds: Number(league.settings?.draft_rounds) || rostered || 16,
+    superflex: slots.includes("SUPER_FLEX") || slots.filter((s) => s === "QB").length >= 2,
+    tePremium: scoring.bonus_rec_te || 0,
+    ppr: scoring.rec ?? 1,
+    idp: slots.some((s) => ["DL", "LB", "DB", "IDP_FLEX"].includes(s)),
+    starters,
+    bench,
+  };
+}
+
+// User edits from the grading settings panel, layered over the detected model
+type GradingOverrides = {
+  preset?: string;
+  weights?: Partial<typeof SCORING_WEIGHTS>;
+  positionValues?: Record<string, number>;
+  idealDepth?: Record<string, number>;
+  roundCurve?: Partial<RoundCurve>;
+};
+
+const GRADING_POSITIONS = [...Object.keys(POSITION_VALUES), "DL", "LB", "DB"];
+
+// Overrides from outside the sliders (pasted JSON, share links): only known keys
+// holding finite, non-negative numbers; anything else rejects the whole blob
+function parseGradingOverrides(raw: unknown): GradingOverrides | null {
+  const plain = (x: unknown): x is Record<string, unknown> => typeof x === "object" && x !== null && !Array.isArray(x);
+  const fields: Record<string, string[]> = {
+    weights: Object.keys(SCORING_WEIGHTS),
+    positionValues: GRADING_POSITIONS,
+    idealDepth: GRADING_POSITIONS,
+    roundCurve: Object.keys(DEFAULT_ROUND_CURVE),
+  };
+  if (!plain(raw)) return null;
+  const out: Record<string, Record<string, number>> = {};
+  for (const [key, value] of Object.entries(raw)) {
+    if (key === "preset" && typeof value === "string") continue; // imports always become "custom"
+    if (!fields[key] || !plain(value)) return null;
+    for (const [k, v] of Object.entries(value)) {
+      if (!fields[key].includes(k) || typeof v !== "number" || !Number.isFinite(v) || v < 0) return null;
+    }
+    out[key] = value as Record<string, number>;
+  }
+  return out as GradingOverrides;
+}
+
+const GRADING_PRESETS: Record<string, { label: string; overrides: GradingOverrides }> = {
+  redraft1qb: {
+    label: "1QB redraft",
+    overrides: { weights: { ...SCORING_WEIGHTS }, positionValues: { ...POSITION_VALUES }, idealDepth: { ...IDEAL_DEPTH } },
+  },
+  superflex: {
+    label: "Superflex",
+    overrides: { positionValues: { ...POSITION_VALUES, QB: 1.55 }, idealDepth: { ...IDEAL_DEPTH, QB: 3 } },
+  },
+  tePremium: {
+    label: "TE premium",
+    overrides: { positionValues: { ...POSITION_VALUES, TE: 1.3 }, idealDepth: { ...IDEAL_DEPTH, TE: 3 } },
+  },
+  bestBall: {
+    // No lineup decisions: depth and spike weeks matter more than studs
+    label: "Best ball",
+    overrides: {
+      weights: { topHeavy: 0.35, balance: 0.15, depth: 0.3, volatility: 0.2 },
+      idealDepth: { QB: 3, RB: 6, WR: 7, TE: 3, K: 1, DEF: 1 },
+      roundCurve: { exponent: 0.4 },
+    },
+  },
+};
+
+// Rookie drafts: only incoming rookies, so there's no lineup to balance; what
+// matters is landing the top of the class with the picks you had
+const ROOKIE_POSITION_VALUES: Record<string, number> = { QB: 0.8, RB: 1.1, WR: 1.15, TE: 0.85, K: 0.1, DEF: 0.1 };
+const ROOKIE_WEIGHTS: typeof SCORING_WEIGHTS = { topHeavy: 0.6, balance: 0, depth: 0.4, volatility: 0 };
+
+function isRookieDraft(draft: SleeperDraft | null | undefined, league: SleeperLeague) {
+  if (!draft) return false;
+  if (Number(draft.settings?.player_type) === 1) return true; // Sleeper's "rookies only" pool
+  // Dynasty leagues (type 2) after the startup only hold short rookie drafts
+  return Number(league.settings?.type) === 2 && Number(draft.settings?.rounds || 99) <= 6;
+}
+
+function leagueGradingModel(league: SleeperLeague, overrides?: GradingOverrides | null, draft?: SleeperDraft | null): GradingModel {
+  const format = detectLeagueFormat(league);
+  const scoring = league.scoring_settings || {};
+  const rookie = isRookieDraft(draft, league);
+  const slotAdjusted = rookie || draft?.type === "linear";
+
+  if (rookie) {
+    const positionValues = { ...ROOKIE_POSITION_VALUES };
+    if (format.superflex) positionValues.QB = 1.4;
+    positionValues.TE += Math.min(0.3, format.tePremium * 0.2);
+    const rounds = Number(draft?.settings?.rounds) || 4;
+    return {
+      format,
+      draftKind: "rookie",
+      slotAdjusted,
+      positionValues: { ...positionValues, ...overrides?.positionValues },
+      idealDepth: { ...overrides?.idealDepth },
+      weights: { ...ROOKIE_WEIGHTS, ...overrides?.weights },
+      roundCurve: { ...DEFAULT_ROUND_CURVE, ...overrides?.roundCurve },
+      studCutoff: format.teams,
+      depthStart: format.teams,
+      depthEnd: rounds * format.teams,
+      depthCurveStart: 0,
+      normalizePick: (pick_no) => (pick_no * BASELINE_TEAMS) / format.teams,
+    };
+  }
+
+  // Position values: start from the baseline and nudge for each scoring quirk
+  const positionValues: Record<string, number> = { ...POSITION_VALUES };
+  if (format.superflex) positionValues.QB = 1.5;
+  if ((scoring.pass_td ?? 4) >= 6) positionValues.QB += 0.1;
+  positionValues.TE += Math.min(0.3, format.tePremium * 0.2);
+  positionValues.WR += (format.ppr - 1) * 0.1; // less PPR → WRs lose ground…
+  positionValues.RB -= (format.ppr - 1) * 0.05; // …and early-down RBs gain it
+  if (format.idp) Object.assign(positionValues, { DL: 0.6, LB: 0.65, DB: 0.6 });
+
+  // Ideal depth: starters (incl. flex usage), then spread the bench like a typical drafter
+  let idealDepth: Record<string, number> = { ...IDEAL_DEPTH };
+  if (Object.keys(format.starters).length) {
+    const raw: Record<string, number> = {};
+    for (const [pos, n] of Object.entries(format.starters)) raw[pos] = n;
+    let bench = format.bench;
+    const backup = (pos: string, n: number) => {
+      if (!raw[pos] || bench <= 0) return;
+      const add = Math.min(n, bench);
+      raw[pos] += add;
+      bench -= add;
+    };
+    backup("QB", format.superflex ? 1.5 : 1);
+    backup("TE", 1);
+    // Remaining bench goes to RB/WR; drafters overshoot there, so round up
+    const skill = ["RB", "WR"].filter((p) => raw[p]);
+    for (const pos of skill) raw[pos] = Math.ceil(raw[pos] + bench / skill.length);
+    idealDepth = Object.fromEntries(Object.entries(raw).map(([pos, n]) => [pos, Math.max(1, Math.round(n))]));
+  }
+
+  const teams = format.teams;
+  const depthEndRound = Math.max(7, format.rounds - 1);
+  return {
+    format,
+    draftKind: "startup",
+    slotAdjusted,
+    positionValues: { ...positionValues, ...overrides?.positionValues },
+    idealDepth: overrides?.idealDepth ? { ...overrides.idealDepth } : idealDepth,
+    weights: { ...SCORING_WEIGHTS, ...overrides?.weights },
+    roundCurve: { ...DEFAULT_ROUND_CURVE, ...overrides?.roundCurve },
+    studCutoff: 3 * teams,
+    depthStart: 6 * teams,
+    depthEnd: depthEndRound * teams,
+    depthCurveStart: 60,
+    normalizePick: (pick_no) => (pick_no * BASELINE_TEAMS) / teams,
+  };
+}
+
+function describeFormat(format: LeagueFormat) {
+  const parts = [`${format.teams} teams`, format.superflex ? "Superflex" : "1QB"];
+  parts.push(format.ppr >= 1 ? "PPR" : format.ppr > 0 ? "Half PPR" : "Standard");
+  if (format.tePremium > 0) parts.push(`TE premium +${format.tePremium}`);
+  if (format.idp) parts.push("IDP");
+  return parts;
+}
+
 /*********************  HEURISTIC ANALYSIS  *********************/
-function evaluateDraft(picks: SleeperPick[], league: SleeperLeague, rosters: SleeperRoster[], users: SleeperUser[]) {
+function evaluateDraft(
+  picks: SleeperPick[],
+  league: SleeperLeague,
+  rosters: SleeperRoster[],
+  users: SleeperUser[],
+  overrides?: GradingOverrides | null,
+  context?: { draft?: SleeperDraft | null; previousRosters?: SleeperRoster[] | null }
+) {
+  const model = leagueGradingModel(league, overrides, context?.draft);
+  const { positionValues, idealDepth, normalizePick, weights, roundCurve } = model;
+
   // Build per-team pick lists
   const byTeam: Record<number, SleeperPick[]> = {};
   for (const p of picks) {
@@ -129,6 +738,15 @@ function evaluateDraft(picks: SleeperPick[], league: SleeperLeague, rosters: Sle
     byTeam[p.roster_id].push(p);
   }
   for (const team of Object.values(byTeam)) team.sort(by((x) => x.pick_no, "asc"));
+  const inferred = inferKeepers(picks, league, rosters, context?.previousRosters);
+
+  // Draft capital each team held (before position), for slot-adjusted grading
+  const capital: Record<number, number> = {};
+  for (const [rid, teamPicks] of Object.entries(byTeam)) {
+    capital[Number(rid)] = teamPicks.reduce((sum, p) => sum + ROUND_VALUE(normalizePick(p.pick_no), roundCurve), 0);
+  }
+  const capitals = Object.values(capital);
+  const avgCapital = capitals.reduce((a, b) => a + b, 0) / Math.max(1, capitals.length);
 
   // Compute scores
   type TeamDraftScore = {
@@ -140,6 +758,8 @@ function evaluateDraft(picks: SleeperPick[], league: SleeperLeague, rosters: Sle
     volatilityScore: number;
     total: number;
     notes: string[];
+    topPicks: SleeperPick[];
+    kept: string[]; // player_ids carried over rather than drafted
   };
 
   const rosterOwnerName = (rid: number) => {
@@ -148,61 +768,70 @@ function evaluateDraft(picks: SleeperPick[], league: SleeperLeague, rosters: Sle
     return owner?.display_name || `Team ${rid}`;
   };
 
-  const teamScores: TeamDraftScore[] = Object.entries(byTeam).map(([rid, teamPicks]) => {
+  const teamScores: TeamDraftScore[] = Object.entries(byTeam).map(([rid, allPicks]) => {
     const roster_id = Number(rid);
+    // Keepers fill out the roster (balance) but weren't drafting decisions (value)
+    const teamPicks = allPicks.filter((p) => !p.is_keeper);
+    const kept = [...allPicks.filter((p) => p.is_keeper).map((p) => p.player_id), ...(inferred[roster_id] || [])];
 
     // 1) Top-heavy: reward early picks, discounted by position scarcity
-    const studs = teamPicks.filter((p) => p.pick_no <= 36);
+    const studs = teamPicks.filter((p) => p.pick_no <= model.studCutoff);
     const studValue = studs.reduce((sum, p) => {
       const pos = (p.metadata?.position || "").toUpperCase();
-      return sum + ROUND_VALUE(p.pick_no) * (POSITION_VALUES[pos] || 1);
+      return sum + ROUND_VALUE(normalizePick(p.pick_no), roundCurve) * (positionValues[pos] || 1);
     }, 0);
 
     // 2) Balance: how close is positional depth to ideal
     const posCounts: Record<string, number> = {};
-    for (const p of teamPicks) {
+    for (const p of allPicks) {
       const pos = (p.metadata?.position || "").toUpperCase();
       if (!pos) continue;
       posCounts[pos] = (posCounts[pos] || 0) + 1;
     }
-    const balancePenalty = Object.entries(IDEAL_DEPTH).reduce((pen, [pos, ideal]) => {
+    const balancePenalty = Object.entries(idealDepth).reduce((pen, [pos, ideal]) => {
       const have = posCounts[pos] || 0;
       const diff = Math.abs(have - ideal);
-      return pen + Math.min(diff, 3) * (1 / (POSITION_VALUES[pos] || 1));
+      return pen + Math.min(diff, 3) * (1 / (positionValues[pos] || 1));
     }, 0);
     const balanceScore = Math.max(0, 10 - balancePenalty) * 8; // 0–80 scaled to ~0–80
 
-    // 3) Depth: total weighted value of rounds 7–14 (bench contributors)
-    const depthPicks = teamPicks.filter((p) => p.pick_no > 72 && p.pick_no <= 168);
+    // 3) Depth: total weighted value of rounds 7 through the last bench round
+    const depthPicks = teamPicks.filter((p) => p.pick_no > model.depthStart && p.pick_no <= model.depthEnd);
     const depthScoreRaw = depthPicks.reduce((sum, p) => {
       const pos = (p.metadata?.position || "").toUpperCase();
-      return sum + (POSITION_VALUES[pos] || 1) * (60 / Math.sqrt(p.pick_no - 60 + 5));
+      return sum + (positionValues[pos] || 1) * (60 / Math.sqrt(normalizePick(p.pick_no) - model.depthCurveStart + 5));
     }, 0);
 
     // 4) Volatility: reward some late darts, but penalize chaos
-    const latePicks = teamPicks.filter((p) => p.pick_no > 168);
+    const latePicks = teamPicks.filter((p) => p.pick_no > model.depthEnd);
     const lateCount = latePicks.length;
     const volatilityScore = Math.max(0, 10 - Math.max(0, lateCount - 5)) * 5 + Math.min(lateCount, 5) * 2;
 
-    const topHeavyScore = studValue * 3; // scale
-    const depthScore = depthScoreRaw * 2.5;
+    // Linear and rookie drafts hand the same slot to a team every round, so judge
+    // what a team did with the capital it held rather than the capital itself
+    const slotFactor = model.slotAdjusted && capital[roster_id] ? avgCapital / capital[roster_id] : 1;
+    const topHeavyScore = studValue * 3 * slotFactor; // scale
+    const depthScore = depthScoreRaw * 2.5 * slotFactor;
 
     const total =
-      SCORING_WEIGHTS.topHeavy * topHeavyScore +
-      SCORING_WEIGHTS.balance * balanceScore +
-      SCORING_WEIGHTS.depth * depthScore +
-      SCORING_WEIGHTS.volatility * volatilityScore;
+      weights.topHeavy * topHeavyScore +
+      weights.balance * balanceScore +
+      weights.depth * depthScore +
+      weights.volatility * volatilityScore;
 
     const notes: string[] = [];
     if ((posCounts.RB || 0) >= 2 && studs.some((p) => (p.metadata?.position || "").toUpperCase() === "RB"))
       notes.push("Built around a strong RB core.");
     if ((posCounts.WR || 0) >= 3 && studs.some((p) => (p.metadata?.position || "").toUpperCase() === "WR"))
       notes.push("Premium WR room with weekly ceiling.");
-    if ((posCounts.QB || 0) >= 2) notes.push("QB depth offers trade leverage.");
-    if ((posCounts.TE || 0) >= 2) notes.push("TE insulation for bye/injury weeks.");
+    if ((posCounts.QB || 0) >= Math.max(2, idealDepth.QB || 0)) notes.push("QB depth offers trade leverage.");
+    if ((posCounts.TE || 0) >= Math.max(2, idealDepth.TE || 0)) notes.push("TE insulation for bye/injury weeks.");
     if (lateCount >= 6) notes.push("Late-round upside shots could swing the league.");
+    if (model.slotAdjusted && capital[roster_id] > avgCapital * 1.15) notes.push("Held more draft capital than most.");
+
+    const topPicks = teamPicks.slice(0, 3);
 
-    return { roster_id, owner: rosterOwnerName(roster_id), topHeavyScore, balanceScore, depthScore, volatilityScore, total, notes };
+    return { roster_id, owner: rosterOwnerName(roster_id), topHeavyScore, balanceScore, depthScore, volatilityScore, total, notes, topPicks, kept };
   });
 
   // Normalize totals to 0–100 scale for prettier grades
@@ -216,6 +845,27 @@ function evaluateDraft(picks: SleeperPick[], league: SleeperLeague, rosters: Sle
   return graded;
 }
 
+function inferKeepers(
+  picks: SleeperPick[],
+  league: SleeperLeague,
+  rosters: SleeperRoster[],
+  previousRosters?: SleeperRoster[] | null
+) {
+  // Keeper leagues (type 1) don't always list keepers among the picks. A player on
+  // the same manager's roster last season and now, whom nobody drafted, was kept
+  // (or, rarely, re-acquired). Dynasty rosters carry over wholesale, so skip those.
+  const kept: Record<number, string[]> = {};
+  const keeperLeague = Number(league.settings?.type) === 1 || Number(league.settings?.max_keepers) > 0;
+  if (!keeperLeague || !previousRosters?.length) return kept;
+  const drafted = new Set(picks.map((p) => p.player_id));
+  for (const r of rosters) {
+    const before = new Set(previousRosters.find((x) => x.owner_id && x.owner_id === r.owner_id)?.players || []);
+    const ids = (r.players || []).filter((pid) => before.has(pid) && !drafted.has(pid));
+    if (ids.length) kept[r.roster_id] = ids;
+  }
+  return kept;
+}
+
 function strengthFromDraft(teams: ReturnType<typeof evaluateDraft>) {
   // Convert draft grades into a continuous team power index for matchup previews
   return Object.fromEntries(
@@ -223,38 +873,181 @@ function strengthFromDraft(teams: ReturnType<typeof evaluateDraft>) {
   );
 }
 
+// Recent games used for starter projections, and the fallback spread for
+// players without enough history to estimate their own
+const PROJECTION_LOOKBACK = 4;
+const DEFAULT_PLAYER_SD = 6;
+
+type PlayerProjection = { mean: number; sd: number; games: number };
+
+function playerHistory(
+  weekly: WeeklyMatchups,
+  beforeWeek: number,
+  players: PlayerDirectory | null,
+  games: NFLGame[] | null,
+  lookback = PROJECTION_LOOKBACK
+) {
+  // The last few weeks, minus byes and benched zeros (see countedPlayerWeeks)
+  const seen = countedPlayerWeeks(weekly, beforeWeek - lookback, beforeWeek - 1, players, games);
+  const out: Record<string, PlayerProjection> = {};
+  for (const [pid, weeks] of Object.entries(seen)) {
+    const pts = weeks.map((x) => x.points);
+    const mean = pts.reduce((a, b) => a + b, 0) / pts.length;
+    const sd = pts.length >= 3 ? Math.sqrt(pts.reduce((a, b) => a + (b - mean) ** 2, 0) / (pts.length - 1)) : DEFAULT_PLAYER_SD;
+    out[pid] = { mean, sd: Math.max(sd, 2), games: pts.length };
+  }
+  return out;
+}
+
+type StarterFlag = { player_id: string; kind: "empty" | "bye" | "injury" };
+
+function projectStarters(
+  starters: string[],
+  history: Record<string, PlayerProjection>,
+  players: PlayerDirectory | null,
+  byeTeams: string[]
+) {
+  // Position averages stand in for players we have no history for (rookies, fresh adds)
+  const posTotals: Record<string, { sum: number; n: number }> = {};
+  for (const [pid, h] of Object.entries(history)) {
+    const pos = players?.[pid]?.pos || "?";
+    if (!posTotals[pos]) posTotals[pos] = { sum: 0, n: 0 };
+    posTotals[pos].sum += h.mean;
+    posTotals[pos].n += 1;
+  }
+  let mean = 0;
+  let variance = 0;
+  let known = 0;
+  const flags: StarterFlag[] = [];
+  for (const pid of starters) {
+    if (!pid || pid === "0") {
+      flags.push({ player_id: pid, kind: "empty" });
+      continue;
+    }
+    const info = players?.[pid];
+    if (info && byeTeams.includes(info.team)) {
+      flags.push({ player_id: pid, kind: "bye" });
+      continue;
+    }
+    if (info && ["Out", "IR", "PUP", "Sus"].includes(info.injury)) {
+      flags.push({ player_id: pid, kind: "injury" });
+      continue;
+    }
+    const h = history[pid];
+    if (h) {
+      mean += h.mean;
+      variance += h.sd ** 2;
+      known++;
+    } else {
+      const pos = posTotals[info?.pos || "?"];
+      mean += pos ? pos.sum / pos.n : 0;
+      variance += DEFAULT_PLAYER_SD ** 2;
+    }
+  }
+  return { mean, sd: Math.sqrt(variance), known, flags };
+}
+
 function previewMatchups(
   week: number,
   matchups: SleeperMatchup[],
-  powerIndex: Record<number, number>
+  powerIndex: Record<number, number>,
+  ctx?: { weekly: WeeklyMatchups; players: PlayerDirectory | null; games: NFLGame[] | null; byeTeams: string[]; median?: boolean }
 ) {
-  // Pair matchups by matchup_id
+  // Pair matchups by matchup_id (null during playoffs for teams with no game)
   const byId: Record<number, SleeperMatchup[]> = {};
   for (const m of matchups) {
+    if (m.matchup_id == null) continue;
     if (!byId[m.matchup_id]) byId[m.matchup_id] = [];
     byId[m.matchup_id].push(m);
   }
-  type Preview = { matchup_id: number; a: number; b: number; aPower: number; bPower: number; diff: number };
+  const history = ctx ? playerHistory(ctx.weekly, week, ctx.players, ctx.games) : {};
+  const hasHistory = Object.keys(history).length > 0;
+  type Preview = {
+    matchup_id: number;
+    a: number;
+    b: number;
+    aPower: number;
+    bPower: number;
+    diff: number;
+    aStarters: string[];
+    bStarters: string[];
+    aProj: number | null; // null when there's no scoring history yet (week 1)
+    bProj: number | null;
+    aWinProb: number;
+    aMedianProb: number | null; // chance of beating the week's median (median-game leagues)
+    bMedianProb: number | null;
+    aFlags: StarterFlag[];
+    bFlags: StarterFlag[];
+  };
+  const sides: { mean: number; sd: number }[] = [];
   const previews: Preview[] = Object.entries(byId).map(([mid, two]) => {
     const [m1, m2] = two;
     const a = m1?.roster_id ?? two[0]?.roster_id;
     const b = m2?.roster_id ?? two[1]?.roster_id;
     const aPower = powerIndex[a] ?? 50;
     const bPower = powerIndex[b] ?? 50;
-    return { matchup_id: Number(mid), a, b, aPower, bPower, diff: Math.abs(aPower - bPower) };
+    const aStarters = m1?.starters || [];
+    const bStarters = m2?.starters || [];
+    const aSide = projectStarters(aStarters, history, ctx?.players ?? null, ctx?.byeTeams ?? []);
+    const bSide = projectStarters(bStarters, history, ctx?.players ?? null, ctx?.byeTeams ?? []);
+
+    // Projected scores when we know enough starters; otherwise lean on the power index
+    const projected = hasHistory && aSide.known + bSide.known > 0;
+    if (projected) sides.push(aSide, bSide);
+    const aWinProb = projected
+      ? normalCdf((aSide.mean - bSide.mean) / Math.max(1, Math.hypot(aSide.sd, bSide.sd)))
+      : 1 / (1 + Math.exp(-(aPower - bPower) / 10));
+    return {
+      matchup_id: Number(mid),
+      a,
+      b,
+      aPower,
+      bPower,
+      diff: Math.abs(aPower - bPower),
+      aStarters,
+      bStarters,
+      aProj: projected ? aSide.mean : null,
+      bProj: projected ? bSide.mean : null,
+      aWinProb,
+      aMedianProb: null,
+      bMedianProb: null,
+      aFlags: aSide.flags,
+      bFlags: bSide.flags,
+    };
   });
-  previews.sort(by((p) => p.diff, "asc"));
+  // Median game: each projected side against the median projection
+  if (ctx?.median && sides.length) {
+    const line = weekMedian(sides.map((x) => x.mean));
+    const sd = Math.max(1, ...sides.map((x) => x.sd));
+    for (const p of previews) {
+      if (p.aProj == null || p.bProj == null) continue;
+      p.aMedianProb = normalCdf((p.aProj - line) / sd);
+      p.bMedianProb = normalCdf((p.bProj - line) / sd);
+    }
+  }
+  // Game of the Week: the closest projected coin flip
+  previews.sort(by((p) => Math.abs(p.aWinProb - 0.5), "asc"));
   const gameOfWeek = previews[0];
   return { previews, gameOfWeek };
 }
 
+function favoriteLabel(winProb: number) {
+  const p = Math.max(winProb, 1 - winProb);
+  if (p < 0.55) return "toss-up";
+  if (p < 0.65) return "slight favorite";
+  if (p < 0.8) return "favorite";
+  return "heavy favorite";
+}
+
 function summarizeCompletedMatchups(
   matchups: SleeperMatchup[],
   rosters: SleeperRoster[],
-  users: SleeperUser[]
+  users: SleeperUser[],
+  median = false
 ) {
   const byId: Record<number, SleeperMatchup[]> = {};
   for (const m of matchups) {
+    if (m.matchup_id == null) continue;
     if (!byId[m.matchup_id]) byId[m.matchup_id] = [];
     byId[m.matchup_id].push(m);
   }
@@ -263,6 +1056,9 @@ function summarizeCompletedMatchups(
     const u = users.find((x) => x.user_id === r?.owner_id);
     return u?.display_name || `Team ${rid}`;
   };
+  const paired = matchups.filter((m) => m.matchup_id != null);
+  const line = median && paired.length ? weekMedian(paired.map((m) => m.points || 0)) : null;
+  const vsMedian = (pts: number) => (line == null ? null : pts > line ? "W" : pts < line ? "L" : "T");
   return Object.values(byId).map((pair) => {
     const [m1, m2] = pair;
     const A = m1;
@@ -284,6 +1080,10 @@ function summarizeCompletedMatchups(
 
     return {
       matchup_id: A?.matchup_id ?? B?.matchup_id,
+      a: A?.roster_id,
+      b: B?.roster_id,
+      aScore: aPts,
+      bScore: bPts,
       aName,
       bName,
       aPts: aPts.toFixed(2),
@@ -291,233 +1091,5534 @@ function summarizeCompletedMatchups(
       winner,
       margin,
       star: star(),
+      median: line,
+      aMedian: vsMedian(aPts),
+      bMedian: vsMedian(bPts),
     };
   });
 }
 
-/*********************  DATA FETCHING  *********************/
-async function loadLeagueBundle(league_id: string) {
-  const league = await fetchJSON<SleeperLeague>(`https://api.sleeper.app/v1/league/${league_id}`);
-  const [users, rosters] = await Promise.all([
-    fetchJSON<SleeperUser[]>(`https://api.sleeper.app/v1/league/${league_id}/users`),
-    fetchJSON<SleeperRoster[]>(`https://api.sleeper.app/v1/league/${league_id}/rosters`),
-  ]);
+/*********************  STANDINGS & POWER RANKINGS  *********************/
+// Weeks of results after which the power index ignores draft grades entirely
+const RESULTS_FULL_WEIGHT_WEEKS = 6;
 
-  // Draft data (take the most recent draft)
-  const drafts = await fetchJSON<SleeperDraft[]>(`https://api.sleeper.app/v1/league/${league_id}/drafts`);
-  let draftPicks: SleeperPick[] = [];
-  if (drafts && drafts.length) {
-    const draft_id = drafts[0].draft_id; // newest first
-    draftPicks = await fetchJSON<SleeperPick[]>(`https://api.sleeper.app/v1/draft/${draft_id}/picks`);
-  }
+type WeeklyMatchups = Record<number, SleeperMatchup[]>;
+
+type StandingRow = {
+  roster_id: number;
+  owner: string;
+  wins: number;
+  losses: number;
+  ties: number;
+  pf: number;
+  pa: number;
+  streak: string; // e.g. "W3", "L1"
+  allPlayWins: number;
+  allPlayLosses: number;
+  allPlayTies: number;
+  medianWins: number; // leagues that also play the week's median score (already in wins/losses/ties)
+  medianLosses: number;
+  medianTies: number;
+  games: number;
+};
 
-  return { league, users, rosters, draftPicks };
+function regularSeasonEnd(league: SleeperLeague) {
+  const start = Number(league.settings?.playoff_week_start) || 0;
+  return start > 1 ? start - 1 : 14;
 }
 
-async function loadWeekMatchups(league_id: string, week: number) {
-  return fetchJSON<SleeperMatchup[]>(`https://api.sleeper.app/v1/league/${league_id}/matchups/${week}`);
+function lastCompletedWeek(league: SleeperLeague, nfl: { season: string; season_type: string; week: number }) {
+  // Only regular-season weeks feed standings; playoffs are handled by brackets
+  const end = regularSeasonEnd(league);
+  if (seasonOver(league, nfl)) return end;
+  if (leaguePhase(league, nfl) === "preseason") return 0;
+  return Math.max(0, Math.min(nfl.week - 1, end));
 }
 
-async function getCurrentNFLState() {
-  return fetchJSON<{ season: string; season_type: string; week: number }>(`https://api.sleeper.app/v1/state/nfl`);
+function usesMedianGame(league: SleeperLeague) {
+  // Every regular-season week doubles as a game against the league's median score
+  return Number(league.settings?.league_average_match) === 1;
 }
 
-/*********************  UI  *********************/
-function Pill({ children }: { children: React.ReactNode }) {
-  return <span className="px-2 py-1 rounded-full text-xs bg-gray-100 border">{children}</span>;
+function weekMedian(scores: number[]) {
+  const sorted = [...scores].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
 }
 
-function Section({ title, children }: { title: string; children: React.ReactNode }) {
-  return (
-    <div className="my-6">
-      <div className="text-xl font-semibold mb-3">{title}</div>
-      <div className="grid gap-3">{children}</div>
-    </div>
+function computeStandings(
+  weekly: WeeklyMatchups,
+  rosters: SleeperRoster[],
+  users: SleeperUser[],
+  throughWeek: number,
+  median = false
+): StandingRow[] {
+  const nameFor = (rid: number) => {
+    const r = rosters.find((x) => x.roster_id === rid);
+    const u = users.find((x) => x.user_id === r?.owner_id);
+    return u?.display_name || `Team ${rid}`;
+  };
+  const rows: Record<number, StandingRow> = {};
+  const results: Record<number, ("W" | "L" | "T")[]> = {};
+  for (const r of rosters) {
+    rows[r.roster_id] = {
+      roster_id: r.roster_id,
+      owner: nameFor(r.roster_id),
+      wins: 0,
+      losses: 0,
+      ties: 0,
+      pf: 0,
+      pa: 0,
+      streak: "—",
+      allPlayWins: 0,
+      allPlayLosses: 0,
+      allPlayTies: 0,
+      medianWins: 0,
+      medianLosses: 0,
+      medianTies: 0,
+      games: 0,
+    };
+    results[r.roster_id] = [];
+  }
+
+  for (let w = 1; w <= throughWeek; w++) {
+    const games = (weekly[w] || []).filter((m) => m.matchup_id != null && rows[m.roster_id]);
+    if (!games.length) continue;
+
+    // Head-to-head
+    const byId: Record<number, SleeperMatchup[]> = {};
+    for (const m of games) {
+      if (!byId[m.matchup_id]) byId[m.matchup_id] = [];
+      byId[m.matchup_id].push(m);
+    }
+    for (const pair of Object.values(byId)) {
+      if (pair.length !== 2) continue;
+      const [A, B] = pair;
+      const aPts = A.points || 0;
+      const bPts = B.points || 0;
+      for (const [me, mine, theirs] of [
+        [A, aPts, bPts],
+        [B, bPts, aPts],
+      ] as const) {
+        const row = rows[me.roster_id];
+        row.pf += mine;
+        row.pa += theirs;
+        row.games += 1;
+        const res = mine === theirs ? "T" : mine > theirs ? "W" : "L";
+        if (res === "W") row.wins++;
+        else if (res === "L") row.losses++;
+        else row.ties++;
+        results[me.roster_id].push(res);
+      }
+    }
+
+    // All-play: every team vs every other team that week
+    for (const m of games) {
+      const row = rows[m.roster_id];
+      for (const o of games) {
+        if (o.roster_id === m.roster_id) continue;
+        const mine = m.points || 0;
+        const theirs = o.points || 0;
+        if (mine > theirs) row.allPlayWins++;
+        else if (mine < theirs) row.allPlayLosses++;
+        else row.allPlayTies++;
+      }
+    }
+
+    // Median game: top half of the week's scores win it (streaks stay head-to-head)
+    if (median) {
+      const line = weekMedian(games.map((m) => m.points || 0));
+      for (const m of games) {
+        const row = rows[m.roster_id];
+        const pts = m.points || 0;
+        if (pts > line) {
+          row.wins++;
+          row.medianWins++;
+        } else if (pts < line) {
+          row.losses++;
+          row.medianLosses++;
+        } else {
+          row.ties++;
+          row.medianTies++;
+        }
+      }
+    }
+  }
+
+  for (const [rid, res] of Object.entries(results)) {
+    if (!res.length) continue;
+    const last = res[res.length - 1];
+    let n = 0;
+    for (let i = res.length - 1; i >= 0 && res[i] === last; i--) n++;
+    rows[Number(rid)].streak = `${last}${n}`;
+  }
+
+  return Object.values(rows).sort(
+    (a, b) => b.wins + b.ties / 2 - (a.wins + a.ties / 2) || b.pf - a.pf
   );
 }
 
-function Card({ children }: { children: React.ReactNode }) {
-  return <div className="p-4 rounded-2xl border shadow-sm bg-white">{children}</div>;
+function resultsIndex(standings: StandingRow[]) {
+  // Blend all-play (true team strength), actual record and scoring into ~20–80
+  const played = standings.filter((r) => r.games > 0);
+  const avgPPG = played.reduce((s, r) => s + r.pf / r.games, 0) / Math.max(1, played.length);
+  const out: Record<number, number> = {};
+  for (const r of played) {
+    const apGames = r.allPlayWins + r.allPlayLosses + r.allPlayTies;
+    const allPlayPct = apGames ? (r.allPlayWins + r.allPlayTies / 2) / apGames : 0.5;
+    const winPct = (r.wins + r.ties / 2) / Math.max(1, r.wins + r.losses + r.ties); // median games count too
+    const ppgRatio = avgPPG ? r.pf / r.games / avgPPG : 1;
+    const scoring = Math.min(1, Math.max(0, 0.5 + (ppgRatio - 1) * 2));
+    out[r.roster_id] = 20 + 60 * (0.5 * allPlayPct + 0.25 * winPct + 0.25 * scoring);
+  }
+  return out;
 }
 
-function Loader() {
-  return (
-    <div className="flex items-center gap-2 text-sm text-gray-600">
-      <div className="animate-spin w-4 h-4 border-2 border-gray-300 border-t-transparent rounded-full" />
-      Loading…
-    </div>
-  );
+function blendedPower(standings: StandingRow[], draftPower: Record<number, number>) {
+  // Draft grades carry early weeks; results take over by RESULTS_FULL_WEIGHT_WEEKS
+  const results = resultsIndex(standings);
+  const out: Record<number, number> = {};
+  for (const r of standings) {
+    const w = Math.min(1, r.games / RESULTS_FULL_WEIGHT_WEEKS);
+    const draft = draftPower[r.roster_id] ?? 50;
+    out[r.roster_id] = (1 - w) * draft + w * (results[r.roster_id] ?? draft);
+  }
+  return out;
 }
 
-function LeagueHeader({ league }: { league: SleeperLeague }) {
-  return (
-    <div className="flex items-center justify-between flex-wrap gap-2">
-      <div>
-        <div className="text-2xl font-bold">{league.name}</div>
-        <div className="text-sm text-gray-600">Season {league.season} • {league.total_rosters} teams</div>
-      </div>
-    </div>
-  );
+function powerRankings(
+  weekly: WeeklyMatchups,
+  rosters: SleeperRoster[],
+  users: SleeperUser[],
+  draftPower: Record<number, number>,
+  throughWeek: number,
+  median = false
+) {
+  const rankOf = (wk: number) => {
+    const standings = computeStandings(weekly, rosters, users, wk, median);
+    const power = blendedPower(standings, draftPower);
+    const order = standings.slice().sort(by((r) => power[r.roster_id]));
+    return { standings, power, order };
+  };
+  const now = rankOf(throughWeek);
+  const prev = throughWeek > 0 ? rankOf(throughWeek - 1) : now;
+  const prevRank: Record<number, number> = {};
+  prev.order.forEach((r, i) => (prevRank[r.roster_id] = i + 1));
+  const rankings = now.order.map((r, i) => ({
+    rank: i + 1,
+    roster_id: r.roster_id,
+    owner: r.owner,
+    power: now.power[r.roster_id],
+    record: `${r.wins}-${r.losses}${r.ties ? `-${r.ties}` : ""}`,
+    movement: throughWeek > 1 ? prevRank[r.roster_id] - (i + 1) : 0,
+    resultsWeight: Math.min(1, r.games / RESULTS_FULL_WEIGHT_WEEKS),
+  }));
+  return { standings: now.standings, power: now.power, rankings };
 }
 
-function DraftGrades({ data }: { data: ReturnType<typeof evaluateDraft> }) {
-  return (
-    <div className="grid md:grid-cols-2 lg:grid-cols-3 gap-3">
-      {data.map((t) => (
-        <Card key={t.roster_id}>
-          <div className="flex items-start justify-between">
-            <div>
-              <div className="text-lg font-semibold">{t.owner}</div>
-              <div className="text-sm text-gray-600">Draft Grade</div>
-            </div>
-            <div className="text-3xl font-black">{t.grade}</div>
-          </div>
-          <div className="mt-3 text-sm">
-            <div className="font-medium">{t.note}</div>
-            <div className="mt-1 text-gray-700">Heuristic score: {t.total.toFixed(1)}</div>
-            {t.notes.length > 0 && (
-              <div className="mt-2 flex flex-wrap gap-2">
-                {t.notes.map((n, i) => (
-                  <Pill key={i}>{n}</Pill>
-                ))}
-              </div>
-            )}
-          </div>
-        </Card>
-      ))}
-    </div>
-  );
+function regradeBundle<B extends Record<string, any>>(b: B, overrides?: GradingOverrides | null, draftId?: string | null): B {
+  // Re-run draft grades and everything derived from them with the user's settings
+  const chosen = draftId && draftId !== b?.draftMeta?.draft_id ? b?.drafts?.find((d: LeagueDraft) => d.meta.draft_id === draftId) : null;
+  if ((!overrides && !chosen) || !b?.league) return b;
+  if (chosen) b = { ...b, draftMeta: chosen.meta, draftPicks: chosen.picks };
+  const draft = evaluateDraft(b.draftPicks, b.league, b.rosters, b.users, overrides, { draft: b.draftMeta, previousRosters: b.previousRosters });
+  const draftPower = strengthFromDraft(draft);
+  const { standings, power, rankings } = powerRankings(b.weekly || {}, b.rosters, b.users, draftPower, b.throughWeek || 0, usesMedianGame(b.league));
+  return { ...b, draft, draftPower, standings, power, rankings };
 }
 
-function Previews({ week, previews, rosterMap, users }: { week: number; previews: ReturnType<typeof previewMatchups>["previews"]; rosterMap: Record<number, SleeperRoster>; users: SleeperUser[] }) {
-  const nameFor = (rid: number) => {
-    const r = rosterMap[rid];
-    const u = users.find((x) => x.user_id === r?.owner_id);
-    return u?.display_name || `Team ${rid}`;
-  };
-  return (
+/*********************  PLAYOFF ODDS (MONTE CARLO)  *********************/
+const SIM_ITERATIONS = 10000;
+
+type SimTeam = { roster_id: number; wins: number; pf: number; mean: number; sd: number };
+type SimInput = {
+  teams: SimTeam[];
+  schedule: [number, number][][]; // remaining weeks → head-to-head pairs
+  playoffTeams: number;
+  byes: number;
+  median: boolean; // each week is also a game against the median score
+  iterations: number;
+};
+type SimResult = { roster_id: number; playoffPct: number; byePct: number; seedPct: number[]; avgWins: number };
+
+// NOTE: runs inside a Web Worker via Function#toString, so it must stay
+// self-contained — no references to anything else in this module.
+function simulateSeason(input: SimInput): SimResult[] {
+  const { teams, schedule, playoffTeams, byes, median, iterations } = input;
+  const n = teams.length;
+  const idx: Record<number, number> = {};
+  teams.forEach((t, i) => (idx[t.roster_id] = i));
+  const playoff = new Array(n).fill(0);
+  const bye = new Array(n).fill(0);
+  const winSum = new Array(n).fill(0);
+  const seeds: number[][] = teams.map(() => new Array(n).fill(0));
+  const wins = new Array(n).fill(0);
+  const pf = new Array(n).fill(0);
+  const order: number[] = teams.map((_, i) => i);
+  const week: number[] = []; // this week's scores, for the median game
+  const gauss = () => {
+    let u = 0;
+    let v = 0;
+    while (!u) u = Math.random();
+    while (!v) v = Math.random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+  };
+
+  for (let it = 0; it < iterations; it++) {
+    for (let i = 0; i < n; i++) {
+      wins[i] = teams[i].wins;
+      pf[i] = teams[i].pf;
+    }
+    for (const pairs of schedule) {
+      week.length = 0;
+      for (const [a, b] of pairs) {
+        const ia = idx[a];
+        const ib = idx[b];
+        if (ia == null || ib == null) continue;
+        const pa = Math.max(0, teams[ia].mean + teams[ia].sd * gauss());
+        const pb = Math.max(0, teams[ib].mean + teams[ib].sd * gauss());
+        pf[ia] += pa;
+        pf[ib] += pb;
+        week.push(ia, pa, ib, pb);
+        if (pa > pb) wins[ia] += 1;
+        else if (pb > pa) wins[ib] += 1;
+        else {
+          wins[ia] += 0.5;
+          wins[ib] += 0.5;
+        }
+      }
+      if (median && week.length) {
+        const scores: number[] = [];
+        for (let k = 1; k < week.length; k += 2) scores.push(week[k]);
+        scores.sort((x, y) => x - y);
+        const mid = scores.length >> 1;
+        const line = scores.length % 2 ? scores[mid] : (scores[mid - 1] + scores[mid]) / 2;
+        for (let k = 0; k < week.length; k += 2) {
+          if (week[k + 1] > line) wins[week[k]] += 1;
+          else if (week[k + 1] === line) wins[week[k]] += 0.5;
+        }
+      }
+    }
+    // Seeding: record first, points-for as the tiebreaker (Sleeper default)
+    order.sort((x, y) => wins[y] - wins[x] || pf[y] - pf[x]);
+    for (let s = 0; s < n; s++) {
+      const t = order[s];
+      seeds[t][s]++;
+      if (s < playoffTeams) playoff[t]++;
+      if (s < byes) bye[t]++;
+    }
+    for (let i = 0; i < n; i++) winSum[i] += wins[i];
+  }
+
+  return teams.map((t, i) => ({
+    roster_id: t.roster_id,
+    playoffPct: playoff[i] / iterations,
+    byePct: bye[i] / iterations,
+    seedPct: seeds[i].map((c) => c / iterations),
+    avgWins: winSum[i] / iterations,
+  }));
+}
+
+function runSimulation(input: SimInput): Promise<SimResult[]> {
+  // Off the main thread when possible so 10k seasons don't freeze the page
+  if (typeof Worker === "undefined" || typeof Blob === "undefined") return Promise.resolve(simulateSeason(input));
+  const src = `self.onmessage = function (e) { self.postMessage((${simulateSeason.toString()})(e.data)); };`;
+  const url = URL.createObjectURL(new Blob([src], { type: "text/javascript" }));
+  return new Promise((resolve) => {
+    const worker = new Worker(url);
+    const done = () => {
+      worker.terminate();
+      URL.revokeObjectURL(url);
+    };
+    worker.onmessage = (e: MessageEvent<SimResult[]>) => {
+      done();
+      resolve(e.data);
+    };
+    worker.onerror = () => {
+      // e.g. a CSP that forbids blob: workers — fall back to the main thread
+      done();
+      resolve(simulateSeason(input));
+    };
+    worker.postMessage(input);
+  });
+}
+
+function playoffSlots(league: SleeperLeague) {
+  const playoffTeams = Number(league.settings?.playoff_teams) || 6;
+  // Brackets fill to a power of two; the top seeds get the leftover spots as byes
+  const bracket = 2 ** Math.ceil(Math.log2(Math.max(2, playoffTeams)));
+  return { playoffTeams, byes: bracket - playoffTeams };
+}
+
+function remainingSchedule(remaining: WeeklyMatchups): [number, number][][] {
+  return Object.keys(remaining)
+    .map(Number)
+    .sort((a, b) => a - b)
+    .map((w) => {
+      const byId: Record<number, number[]> = {};
+      for (const m of remaining[w] || []) {
+        if (m.matchup_id == null) continue;
+        if (!byId[m.matchup_id]) byId[m.matchup_id] = [];
+        byId[m.matchup_id].push(m.roster_id);
+      }
+      return Object.values(byId)
+        .filter((pair) => pair.length === 2)
+        .map(([a, b]) => [a, b] as [number, number]);
+    });
+}
+
+function buildSimInput(
+  league: SleeperLeague,
+  standings: StandingRow[],
+  weekly: WeeklyMatchups,
+  throughWeek: number,
+  remaining: WeeklyMatchups
+): SimInput {
+  // Per-team scoring distribution from completed weeks, shrunk toward the
+  // league average so a couple of fluky weeks don't dominate
+  const scores: Record<number, number[]> = {};
+  for (let w = 1; w <= throughWeek; w++) {
+    for (const m of weekly[w] || []) {
+      if (m.matchup_id == null) continue;
+      if (!scores[m.roster_id]) scores[m.roster_id] = [];
+      scores[m.roster_id].push(m.points || 0);
+    }
+  }
+  const all = Object.values(scores).flat();
+  const leagueMean = all.length ? all.reduce((a, b) => a + b, 0) / all.length : 100;
+  const leagueSd = all.length > 1 ? Math.sqrt(all.reduce((a, b) => a + (b - leagueMean) ** 2, 0) / (all.length - 1)) : 20;
+  const PRIOR_GAMES = 3;
+
+  const teams: SimTeam[] = standings.map((r) => {
+    const pts = scores[r.roster_id] || [];
+    const n = pts.length;
+    const mean = n ? pts.reduce((a, b) => a + b, 0) / n : leagueMean;
+    const sd = n > 1 ? Math.sqrt(pts.reduce((a, b) => a + (b - mean) ** 2, 0) / (n - 1)) : leagueSd;
+    return {
+      roster_id: r.roster_id,
+      wins: r.wins + r.ties / 2,
+      pf: r.pf,
+      mean: (n * mean + PRIOR_GAMES * leagueMean) / (n + PRIOR_GAMES),
+      sd: (n * sd + PRIOR_GAMES * leagueSd) / (n + PRIOR_GAMES),
+    };
+  });
+
+  return { teams, schedule: remainingSchedule(remaining), ...playoffSlots(league), median: usesMedianGame(league), iterations: SIM_ITERATIONS };
+}
+
+function magicNumbers(standings: StandingRow[], remaining: WeeklyMatchups, playoffTeams: number, median = false) {
+  // Classic magic number vs. the first team out (ignores points-for tiebreaks).
+  // Teams outside the line get an elimination number vs. the last team in.
+  const perWeek = median ? 2 : 1;
+  const left: Record<number, number> = {};
+  for (const week of remainingSchedule(remaining)) {
+    for (const [a, b] of week) {
+      left[a] = (left[a] || 0) + perWeek;
+      left[b] = (left[b] || 0) + perWeek;
+    }
+  }
+  const w = (r: StandingRow) => r.wins + r.ties / 2;
+  const firstOut = standings[playoffTeams];
+  const lastIn = standings[playoffTeams - 1];
+  const out: Record<number, { kind: "magic" | "elim"; value: number }> = {};
+  standings.forEach((r, i) => {
+    if (i < playoffTeams) {
+      const value = firstOut ? Math.max(0, Math.floor(w(firstOut) + (left[firstOut.roster_id] || 0) + 1 - w(r))) : 0;
+      out[r.roster_id] = { kind: "magic", value };
+    } else {
+      const value = lastIn ? Math.max(0, Math.floor(w(r) + (left[r.roster_id] || 0) + 1 - w(lastIn))) : 0;
+      out[r.roster_id] = { kind: "elim", value };
+    }
+  });
+  return out;
+}
+
+/*********************  SCHEDULE LUCK & STRENGTH OF SCHEDULE  *********************/
+type Record3 = { w: number; l: number; t: number };
+
+type LuckRow = {
+  roster_id: number;
+  owner: string;
+  wins: number; // ties count half
+  games: number;
+  expectedWins: number; // all-play win rate × games: the record an average schedule gives
+  luck: number; // wins − expectedWins
+  allPlayPct: number;
+  sosPast: number; // opponents' average all-play win rate so far
+  sosRemaining: number | null; // same, for the rest of the regular season
+  remainingGames: number;
+};
+
+function scheduleLuck(
+  weekly: WeeklyMatchups,
+  rosters: SleeperRoster[],
+  throughWeek: number,
+  remaining: WeeklyMatchups | null,
+  nameFor: (rid: number) => string
+) {
+  // Per week: each team's score and head-to-head opponent
+  const score: Record<number, Record<number, number>> = {};
+  const opp: Record<number, Record<number, number>> = {};
+  const weeks: number[] = [];
+  for (let w = 1; w <= throughWeek; w++) {
+    const games = (weekly[w] || []).filter((m) => m.matchup_id != null);
+    const byId: Record<number, SleeperMatchup[]> = {};
+    for (const m of games) {
+      if (!byId[m.matchup_id]) byId[m.matchup_id] = [];
+      byId[m.matchup_id].push(m);
+    }
+    const pairs = Object.values(byId).filter((pair) => pair.length === 2);
+    if (!pairs.length) continue;
+    weeks.push(w);
+    score[w] = {};
+    opp[w] = {};
+    for (const [A, B] of pairs) {
+      score[w][A.roster_id] = A.points || 0;
+      score[w][B.roster_id] = B.points || 0;
+      opp[w][A.roster_id] = B.roster_id;
+      opp[w][B.roster_id] = A.roster_id;
+    }
+  }
+  const result = (mine: number, theirs: number, rec: Record3) => {
+    if (mine > theirs) rec.w++;
+    else if (mine < theirs) rec.l++;
+    else rec.t++;
+  };
+
+  // All-play win rate is schedule-independent, so it's both the luck baseline and
+  // the measure of how strong an opponent really was
+  const allPlay: Record<number, Record3> = {};
+  for (const r of rosters) allPlay[r.roster_id] = { w: 0, l: 0, t: 0 };
+  for (const w of weeks) {
+    const teams = Object.keys(score[w]).map(Number);
+    for (const a of teams) for (const b of teams) if (a !== b && allPlay[a]) result(score[w][a], score[w][b], allPlay[a]);
+  }
+  const pctOf = (rec: Record3) => (rec.w + rec.l + rec.t ? (rec.w + rec.t / 2) / (rec.w + rec.l + rec.t) : 0.5);
+  const strength: Record<number, number> = Object.fromEntries(Object.entries(allPlay).map(([rid, rec]) => [rid, pctOf(rec)]));
+
+  // swap[a][b]: a's record had it played b's schedule. Where b's opponent was a
+  // itself, a plays b instead; the diagonal is a's actual record.
+  const swap: Record<number, Record<number, Record3>> = {};
+  for (const a of rosters) {
+    swap[a.roster_id] = {};
+    for (const b of rosters) {
+      const rec = { w: 0, l: 0, t: 0 };
+      for (const w of weeks) {
+        const mine = score[w][a.roster_id];
+        const o = opp[w][b.roster_id];
+        if (mine == null || o == null) continue;
+        const vs = o === a.roster_id ? b.roster_id : o;
+        result(mine, score[w][vs], rec);
+      }
+      swap[a.roster_id][b.roster_id] = rec;
+    }
+  }
+
+  const future = remaining ? remainingSchedule(remaining) : [];
+  const rows: LuckRow[] = rosters.map((r) => {
+    const rid = r.roster_id;
+    const actual = swap[rid][rid];
+    const games = actual.w + actual.l + actual.t;
+    const faced = weeks.map((w) => opp[w][rid]).filter((o) => o != null);
+    const ahead = future.flatMap((pairs) => pairs.filter((p) => p.includes(rid)).map(([a, b]) => (a === rid ? b : a)));
+    const avg = (ids: number[]) => ids.reduce((s, o) => s + (strength[o] ?? 0.5), 0) / ids.length;
+    const wins = actual.w + actual.t / 2;
+    const expectedWins = strength[rid] * games;
+    return {
+      roster_id: rid,
+      owner: nameFor(rid),
+      wins,
+      games,
+      expectedWins,
+      luck: wins - expectedWins,
+      allPlayPct: strength[rid],
+      sosPast: faced.length ? avg(faced) : 0.5,
+      sosRemaining: ahead.length ? avg(ahead) : null,
+      remainingGames: ahead.length,
+    };
+  });
+
+  const order = [...rows].sort((a, b) => b.wins - a.wins || b.allPlayPct - a.allPlayPct).map((r) => r.roster_id);
+  return { rows: rows.sort(by((r) => r.luck)), swap, order };
+}
+
+/*********************  TRANSACTIONS & TRADE GRADES  *********************/
+// Weeks after a trade until realized points outweigh the draft-value model
+const TRADE_RESULTS_FULL_WEIGHT_WEEKS = 6;
+
+type TradeSide = {
+  roster_id: number;
+  owner: string;
+  players: string[];
+  picks: SleeperTradedPick[];
+  faab: number;
+  value: number; // positional value model (same as evaluateDraft)
+  pointsSince: number; // points scored by acquired players after the trade
+  share: number; // 0–1 blended share of everything exchanged
+  grade: string;
+};
+
+type GradedTrade = { tx: SleeperTransaction; sides: TradeSide[] };
+
+function tradeGrade(share: number, sides: number) {
+  // Share is relative to an even split, so 3-team trades grade fairly too
+  const edge = share - 1 / sides;
+  if (edge >= 0.2) return "A+";
+  if (edge >= 0.12) return "A";
+  if (edge >= 0.06) return "B+";
+  if (edge >= -0.04) return "B";
+  if (edge >= -0.1) return "C";
+  if (edge >= -0.18) return "D";
+  return "F";
+}
+
+function gradeTrades(
+  transactions: SleeperTransaction[],
+  league: SleeperLeague,
+  draftPicks: SleeperPick[],
+  weekly: WeeklyMatchups,
+  throughWeek: number,
+  players: PlayerDirectory | null,
+  nameFor: (rid: number) => string,
+  overrides?: GradingOverrides | null
+): GradedTrade[] {
+  const model = leagueGradingModel(league, overrides);
+  const pickOf: Record<string, number> = {};
+  for (const p of draftPicks) pickOf[p.player_id] = p.pick_no;
+  const posOf: Record<string, string> = {};
+  for (const p of draftPicks) posOf[p.player_id] = (p.metadata?.position || "").toUpperCase();
+  // Undrafted players are valued like the pick after the last one
+  const undrafted = model.format.teams * model.format.rounds + 1;
+
+  const playerValue = (pid: string) => {
+    const pos = players?.[pid]?.pos || posOf[pid] || "";
+    return ROUND_VALUE(model.normalizePick(pickOf[pid] ?? undrafted), model.roundCurve) * (model.positionValues[pos] || 1);
+  };
+  const pickValue = (p: SleeperTradedPick) => futurePickValue(p.season, p.round, league, model);
+  const pointsAfter = (pid: string, week: number) => {
+    let total = 0;
+    for (let w = week + 1; w <= throughWeek; w++) {
+      for (const m of weekly[w] || []) total += m.players_points?.[pid] || 0;
+    }
+    return total;
+  };
+
+  return transactions
+    .filter((tx) => tx.type === "trade" && tx.status === "complete")
+    .map((tx) => {
+      const sides = tx.roster_ids.map((rid) => {
+        const got = Object.entries(tx.adds || {})
+          .filter(([, to]) => to === rid)
+          .map(([pid]) => pid);
+        const picks = (tx.draft_picks || []).filter((p) => p.owner_id === rid);
+        const faab = (tx.waiver_budget || []).filter((b) => b.receiver === rid).reduce((s, b) => s + b.amount, 0);
+        const value = got.reduce((s, pid) => s + playerValue(pid), 0) + picks.reduce((s, p) => s + pickValue(p), 0);
+        const pointsSince = got.reduce((s, pid) => s + pointsAfter(pid, tx.leg), 0);
+        return { roster_id: rid, owner: nameFor(rid), players: got, picks, faab, value, pointsSince, share: 0, grade: "" };
+      });
+      const totalValue = sides.reduce((s, x) => s + x.value, 0);
+      const totalPoints = sides.reduce((s, x) => s + x.pointsSince, 0);
+      const w = totalPoints > 0 ? Math.min(1, Math.max(0, throughWeek - tx.leg) / TRADE_RESULTS_FULL_WEIGHT_WEEKS) : 0;
+      for (const side of sides) {
+        const valueShare = totalValue ? side.value / totalValue : 1 / sides.length;
+        const pointsShare = totalPoints ? side.pointsSince / totalPoints : 1 / sides.length;
+        side.share = (1 - w) * valueShare + w * pointsShare;
+        side.grade = tradeGrade(side.share, sides.length);
+      }
+      return { tx, sides };
+    })
+    .sort(by((t) => t.tx.created));
+}
+
+function tradeLedger(trades: GradedTrade[]) {
+  // Running "who won their trades" table: a side wins when it beats an even split
+  const rows: Record<number, { roster_id: number; owner: string; trades: number; won: number; lost: number; edge: number }> = {};
+  for (const t of trades) {
+    for (const side of t.sides) {
+      if (!rows[side.roster_id]) rows[side.roster_id] = { roster_id: side.roster_id, owner: side.owner, trades: 0, won: 0, lost: 0, edge: 0 };
+      const row = rows[side.roster_id];
+      const edge = side.share - 1 / t.sides.length;
+      row.trades++;
+      row.edge += edge;
+      if (edge > 0.02) row.won++;
+      else if (edge < -0.02) row.lost++;
+    }
+  }
+  return Object.values(rows).sort(by((r) => r.edge));
+}
+
+function transactionWeeks(league: SleeperLeague, nfl: { season: string; season_type: string; week: number }) {
+  // Past seasons: the whole year including playoffs; current season: through this week
+  if (seasonOver(league, nfl)) return NFL_WEEKS;
+  if (Number(league.season) > Number(nfl.season)) return 1;
+  return Math.max(1, nfl.week);
+}
+
+/*********************  LEAGUE HISTORY  *********************/
+// Sleeper chains each season to the previous one via previous_league_id.
+// Managers are tracked by user_id, which stays stable across seasons.
+const HISTORY_MAX_SEASONS = 15;
+
+type SeasonHistory = {
+  league: SleeperLeague;
+  users: SleeperUser[];
+  rosters: SleeperRoster[];
+  weekly: WeeklyMatchups;
+  throughWeek: number;
+  winnersBracket: SleeperBracketMatch[];
+};
+
+type CareerRow = {
+  user_id: string;
+  name: string;
+  seasons: number;
+  wins: number;
+  losses: number;
+  ties: number;
+  pf: number;
+  titles: number;
+};
+
+type WeekRef = { season: string; week: number };
+type StreakRecord = { user_id: string; name: string; kind: "W" | "L"; length: number; from: WeekRef; to: WeekRef };
+
+function championOf(bracket: SleeperBracketMatch[]) {
+  // p === 1 marks the title game; without it, the last round's game between two
+  // earlier winners — never the 3rd-place game between two losers
+  const lastRound = Math.max(0, ...bracket.map((m) => m.r));
+  const finals = bracket.filter((m) => m.r === lastRound);
+  const final =
+    bracket.find((m) => m.p === 1) || (finals.length === 1 ? finals[0] : finals.find((m) => m.t1_from?.w != null && m.t2_from?.w != null));
+  return final?.w ?? null;
+}
+
+function buildRecordBook(seasons: SeasonHistory[]) {
+  const chronological = seasons.slice().sort((a, b) => Number(a.league.season) - Number(b.league.season));
+  const names: Record<string, string> = {};
+  // Newest display names win, since managers rename over the years
+  for (const s of chronological) for (const u of s.users) names[u.user_id] = u.display_name;
+  const nameOf = (uid: string) => names[uid] || "Unknown manager";
+
+  const career: Record<string, CareerRow> = {};
+  const h2h: Record<string, Record<string, { wins: number; losses: number; ties: number }>> = {};
+  const champions: { season: string; user_id: string | null; name: string }[] = [];
+  const topScores: { season: string; week: number; user_id: string; name: string; points: number }[] = [];
+  const runs: Record<string, { kind: "W" | "L" | "T"; length: number; from: WeekRef }> = {};
+  let longestWin: StreakRecord | null = null;
+  let longestLoss: StreakRecord | null = null;
+
+  for (const s of chronological) {
+    const ownerOf: Record<number, string> = {};
+    for (const r of s.rosters) if (r.owner_id) ownerOf[r.roster_id] = r.owner_id;
+    for (const uid of new Set(Object.values(ownerOf))) {
+      if (!career[uid]) career[uid] = { user_id: uid, name: nameOf(uid), seasons: 0, wins: 0, losses: 0, ties: 0, pf: 0, titles: 0 };
+      career[uid].seasons++;
+    }
+
+    const champRid = championOf(s.winnersBracket);
+    const champ = champRid != null ? ownerOf[champRid] ?? null : null;
+    if (champ && career[champ]) career[champ].titles++;
+    if (s.winnersBracket.length) champions.push({ season: s.league.season, user_id: champ, name: champ ? nameOf(champ) : "—" });
+
+    for (let w = 1; w <= s.throughWeek; w++) {
+      const byId: Record<number, SleeperMatchup[]> = {};
+      for (const m of s.weekly[w] || []) {
+        if (m.matchup_id == null) continue;
+        if (!byId[m.matchup_id]) byId[m.matchup_id] = [];
+        byId[m.matchup_id].push(m);
+      }
+      for (const pair of Object.values(byId)) {
+        if (pair.length !== 2) continue;
+        for (const [me, them] of [
+          [pair[0], pair[1]],
+          [pair[1], pair[0]],
+        ]) {
+          const uid = ownerOf[me.roster_id];
+          const opp = ownerOf[them.roster_id];
+          if (!uid) continue;
+          const mine = me.points || 0;
+          const theirs = them.points || 0;
+          const res = mine === theirs ? "T" : mine > theirs ? "W" : "L";
+          const row = career[uid];
+          row.pf += mine;
+          if (res === "W") row.wins++;
+          else if (res === "L") row.losses++;
+          else row.ties++;
+
+          if (opp) {
+            if (!h2h[uid]) h2h[uid] = {};
+            if (!h2h[uid][opp]) h2h[uid][opp] = { wins: 0, losses: 0, ties: 0 };
+            const rec = h2h[uid][opp];
+            if (res === "W") rec.wins++;
+            else if (res === "L") rec.losses++;
+            else rec.ties++;
+          }
+
+          topScores.push({ season: s.league.season, week: w, user_id: uid, name: nameOf(uid), points: mine });
+
+          // Streaks carry across seasons for the same manager
+          const here = { season: s.league.season, week: w };
+          const run = runs[uid];
+          if (run && run.kind === res) run.length++;
+          else runs[uid] = { kind: res, length: 1, from: here };
+          const cur = runs[uid];
+          if (cur.kind === "W" && (!longestWin || cur.length > longestWin.length))
+            longestWin = { user_id: uid, name: nameOf(uid), kind: "W", length: cur.length, from: cur.from, to: here };
+          if (cur.kind === "L" && (!longestLoss || cur.length > longestLoss.length))
+            longestLoss = { user_id: uid, name: nameOf(uid), kind: "L", length: cur.length, from: cur.from, to: here };
+        }
+      }
+
+      // Median-game seasons: the extra weekly result counts toward career W-L, as in
+      // Standings (streaks and head-to-head stay opponent games)
+      if (usesMedianGame(s.league) && !isPlayoffWeek(s.league, w)) {
+        const games = (s.weekly[w] || []).filter((m) => m.matchup_id != null);
+        const line = weekMedian(games.map((m) => m.points || 0));
+        for (const m of games) {
+          const row = career[ownerOf[m.roster_id]];
+          if (!row) continue; // orphaned team: still sets the line, but has no manager to credit
+          const pts = m.points || 0;
+          if (pts > line) row.wins++;
+          else if (pts < line) row.losses++;
+          else row.ties++;
+        }
+      }
+    }
+  }
+
+  return {
+    seasons: chronological.map((s) => s.league.season),
+    champions: champions.reverse(),
+    career: Object.values(career).sort((a, b) => b.titles - a.titles || b.wins - a.wins || b.pf - a.pf),
+    h2h,
+    topScores: topScores.sort(by((x) => x.points)).slice(0, 10),
+    longestWin: longestWin as StreakRecord | null,
+    longestLoss: longestLoss as StreakRecord | null,
+  };
+}
+
+/*********************  CROSS-LEAGUE  *********************/
+// Everything loaded for one league that the overview and profiles read from
+type LeagueSnapshot = {
+  league: SleeperLeague;
+  users: SleeperUser[];
+  rosters: SleeperRoster[];
+  draft: ReturnType<typeof evaluateDraft>;
+  standings: StandingRow[];
+  rankings: ReturnType<typeof powerRankings>["rankings"];
+  throughWeek: number;
+};
+
+function summarizeLeague(b: LeagueSnapshot) {
+  const played = b.standings.filter((r) => r.games > 0);
+  const ppg = played.map((r) => r.pf / r.games);
+  const avgPPG = ppg.length ? ppg.reduce((a, x) => a + x, 0) / ppg.length : 0;
+  // Parity: spread of all-play win% — a league of clones sits near 0
+  const allPlay = played.map((r) => {
+    const g = r.allPlayWins + r.allPlayLosses + r.allPlayTies;
+    return g ? (r.allPlayWins + r.allPlayTies / 2) / g : 0.5;
+  });
+  const apMean = allPlay.reduce((a, x) => a + x, 0) / Math.max(1, allPlay.length);
+  const allPlaySpread = Math.sqrt(allPlay.reduce((a, x) => a + (x - apMean) ** 2, 0) / Math.max(1, allPlay.length));
+  const topScorer = played.slice().sort(by((r) => r.pf / r.games))[0];
+  return {
+    league_id: b.league.league_id,
+    name: b.league.name,
+    format: describeFormat(detectLeagueFormat(b.league)),
+    throughWeek: b.throughWeek,
+    avgPPG,
+    allPlaySpread,
+    leader: b.standings[0],
+    powerLeader: b.rankings[0],
+    topScorer,
+    bestDraft: b.draft[0],
+  };
+}
+
+function sharedManagers(snapshots: LeagueSnapshot[]) {
+  // user_id → display name + how many of the loaded leagues they play in
+  const seen: Record<string, { user_id: string; name: string; leagues: number }> = {};
+  for (const b of snapshots) {
+    const owners = new Set(b.rosters.map((r) => r.owner_id).filter(Boolean) as string[]);
+    for (const uid of owners) {
+      const name = b.users.find((u) => u.user_id === uid)?.display_name || uid;
+      if (!seen[uid]) seen[uid] = { user_id: uid, name, leagues: 0 };
+      seen[uid].leagues++;
+    }
+  }
+  return Object.values(seen).sort((a, b) => b.leagues - a.leagues || a.name.localeCompare(b.name));
+}
+
+function managerProfile(snapshots: LeagueSnapshot[], user_id: string) {
+  const entries = snapshots.flatMap((b) => {
+    const roster = b.rosters.find((r) => r.owner_id === user_id);
+    if (!roster) return [];
+    const rid = roster.roster_id;
+    const standingIdx = b.standings.findIndex((r) => r.roster_id === rid);
+    return [
+      {
+        league_id: b.league.league_id,
+        leagueName: b.league.name,
+        teams: b.standings.length,
+        draft: b.draft.find((d) => d.roster_id === rid) || null,
+        standing: b.standings[standingIdx] || null,
+        standingRank: standingIdx + 1,
+        power: b.rankings.find((r) => r.roster_id === rid) || null,
+      },
+    ];
+  });
+  const totals = entries.reduce(
+    (t, e) => {
+      if (e.standing) {
+        t.wins += e.standing.wins;
+        t.losses += e.standing.losses;
+        t.ties += e.standing.ties;
+        t.pf += e.standing.pf;
+        t.games += e.standing.games;
+      }
+      if (e.draft) {
+        t.draftSum += e.draft.total;
+        t.drafts++;
+      }
+      return t;
+    },
+    { wins: 0, losses: 0, ties: 0, pf: 0, games: 0, draftSum: 0, drafts: 0 }
+  );
+  const name = snapshots.flatMap((b) => b.users).find((u) => u.user_id === user_id)?.display_name || user_id;
+  return {
+    user_id,
+    name,
+    entries,
+    totals,
+    avgDraft: totals.drafts ? totals.draftSum / totals.drafts : null,
+    ppg: totals.games ? totals.pf / totals.games : null,
+  };
+}
+
+/*********************  DRAFT BOARD & ADP  *********************/
+// A pick this many 12-team-equivalent spots away from ADP (and at least this
+// fraction of it) is flagged as a reach or a steal
+const ADP_FLAG_PICKS = 12;
+const ADP_FLAG_RATIO = 0.25;
+
+type AdpEntry = { adp: number; samples: number; source: "drafts" | "import" };
+type AdpTable = Record<string, AdpEntry>;
+
+function roundDirection(round: number, type: SleeperDraft["type"], reversalRound = 0): "ltr" | "rtl" {
+  // Snake flips every round; third-round reversal (3RR) flips once more from that round on
+  if (type === "linear" || type === "auction") return "ltr";
+  let rtl = round % 2 === 0;
+  if (reversalRound > 0 && round >= reversalRound) rtl = !rtl;
+  return rtl ? "rtl" : "ltr";
+}
+
+function draftBoardLayout(picks: SleeperPick[], meta: SleeperDraft | null, league: SleeperLeague) {
+  const teams = meta?.settings?.teams || league.total_rosters || BASELINE_TEAMS;
+  const rounds = meta?.settings?.rounds || Math.max(0, ...picks.map((p) => p.round));
+  const type = meta?.type || "snake";
+  const reversal = meta?.settings?.reversal_round || 0;
+  // Board column → roster, preferring the draft's own mapping over round-1 picks
+  const slotRoster: Record<number, number> = {};
+  for (const [slot, rid] of Object.entries(meta?.slot_to_roster_id || {})) slotRoster[Number(slot)] = rid;
+  for (const p of picks) if (p.round === 1 && p.draft_slot && !slotRoster[p.draft_slot]) slotRoster[p.draft_slot] = p.roster_id;
+
+  const cells: (SleeperPick | null)[][] = [];
+  for (let r = 1; r <= rounds; r++) {
+    const dir = roundDirection(r, type, reversal);
+    cells.push(
+      Array.from({ length: teams }, (_, i) => {
+        const slot = i + 1;
+        const hit = picks.find((p) => p.round === r && p.draft_slot === slot);
+        if (hit) return hit;
+        // Older payloads lack draft_slot; derive the column from the overall pick
+        const within = dir === "ltr" ? slot : teams - slot + 1;
+        return picks.find((p) => !p.draft_slot && p.pick_no === (r - 1) * teams + within) || null;
+      })
+    );
+  }
+  return { teams, rounds, type, reversal, slotRoster, cells, directions: cells.map((_, i) => roundDirection(i + 1, type, reversal)) };
+}
+
+function consensusAdp(drafts: { picks: SleeperPick[]; league: SleeperLeague }[], imported: Record<string, number> | null): AdpTable {
+  // Average 12-team-equivalent pick across every loaded draft; an imported CSV wins
+  const sums: Record<string, { sum: number; n: number }> = {};
+  for (const d of drafts) {
+    const { normalizePick } = leagueGradingModel(d.league);
+    for (const p of d.picks) {
+      if (!sums[p.player_id]) sums[p.player_id] = { sum: 0, n: 0 };
+      sums[p.player_id].sum += normalizePick(p.pick_no);
+      sums[p.player_id].n += 1;
+    }
+  }
+  const table: AdpTable = {};
+  for (const [pid, { sum, n }] of Object.entries(sums)) table[pid] = { adp: sum / n, samples: n, source: "drafts" };
+  for (const [pid, adp] of Object.entries(imported || {})) table[pid] = { adp, samples: 1, source: "import" };
+  return table;
+}
+
+function pickVerdict(pick: SleeperPick, league: SleeperLeague, adp: AdpTable, overrides?: GradingOverrides | null) {
+  const entry = adp[pick.player_id];
+  // A single draft is its own ADP, so only judge against real consensus
+  if (!entry || (entry.source === "drafts" && entry.samples < 2)) return null;
+  const model = leagueGradingModel(league, overrides);
+  const at = model.normalizePick(pick.pick_no);
+  const delta = at - entry.adp; // positive → taken later than consensus
+  const pos = (pick.metadata?.position || "").toUpperCase();
+  const mult = model.positionValues[pos] || 1;
+  const value = ROUND_VALUE(at, model.roundCurve) * mult;
+  const adpValue = ROUND_VALUE(entry.adp, model.roundCurve) * mult;
+  const flagged = Math.abs(delta) >= Math.max(ADP_FLAG_PICKS, entry.adp * ADP_FLAG_RATIO);
+  return {
+    adp: entry.adp,
+    delta,
+    value,
+    gained: adpValue - value, // how much more the player is "worth" than the slot spent
+    flag: flagged ? (delta > 0 ? ("steal" as const) : ("reach" as const)) : null,
+  };
+}
+
+function splitCsvLine(line: string) {
+  // Quoted fields may hold commas ("Smith, Jr.") and "" for a literal quote
+  const cols: string[] = [];
+  let cur = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (quoted) {
+      if (c === '"' && line[i + 1] === '"') {
+        cur += '"';
+        i++;
+      } else if (c === '"') quoted = false;
+      else cur += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ",") {
+      cols.push(cur.trim());
+      cur = "";
+    } else cur += c;
+  }
+  cols.push(cur.trim());
+  return cols;
+}
+
+function parseAdpCsv(text: string, players: PlayerDirectory | null): Record<string, number> {
+  // Accepts "player_id,adp" or "name,adp" style CSVs (FantasyPros, Sleeper exports, hand-made)
+  const lines = text.split(/\r?\n/).filter((l) => l.trim());
+  if (!lines.length) return {};
+  const header = splitCsvLine(lines[0]).map((h) => h.toLowerCase());
+  const idCol = header.findIndex((h) => /player_?id|sleeper_?id/.test(h));
+  const nameCol = header.findIndex((h) => /name|player/.test(h) && !/id/.test(h));
+  const adpCol = header.findIndex((h) => /adp|avg|average/.test(h));
+  if (adpCol < 0 || (idCol < 0 && nameCol < 0)) throw new Error("ADP CSV needs an 'adp' column and a 'player_id' or 'name' column");
+  const byName: Record<string, string> = {};
+  for (const [pid, p] of Object.entries(players || {})) byName[p.name.toLowerCase()] = pid;
+  const out: Record<string, number> = {};
+  for (const line of lines.slice(1)) {
+    const cols = splitCsvLine(line);
+    const adp = parseFloat(cols[adpCol]);
+    if (!isFinite(adp)) continue;
+    const pid = idCol >= 0 ? cols[idCol] : byName[(cols[nameCol] || "").toLowerCase()];
+    if (pid) out[pid] = adp;
+  }
+  return out;
+}
+
+/*********************  DRAFTS, KEEPERS & DRAFT CAPITAL  *********************/
+// Sleeper lists traded picks only for the seasons it lets you trade (this one or
+// next, plus two more); untraded picks are implied, one per round per team.
+const FUTURE_SEASONS = 3;
+
+function draftLabel(draft: SleeperDraft, league: SleeperLeague) {
+  const kind = isRookieDraft(draft, league) ? "rookie draft" : "draft";
+  const rounds = draft.settings?.rounds ? ` • ${draft.settings.rounds} rounds` : "";
+  const status = draft.status === "complete" ? "" : ` (${draft.status.replace(/_/g, " ")})`;
+  return `${draft.season} ${kind} • ${draft.type || "snake"}${rounds}${status}`;
+}
+
+function futurePickValue(season: string, round: number, league: SleeperLeague, model: GradingModel) {
+  // Middle of the round, discounted for every season it sits in the future
+  const years = Math.max(0, Number(season) - Number(league.season));
+  return ROUND_VALUE((round - 0.5) * BASELINE_TEAMS, model.roundCurve) * 0.9 ** years;
+}
+
+type CapitalPick = { season: string; round: number; from: number }; // from = original owner's roster_id
+
+function futureDraftCapital(
+  league: SleeperLeague,
+  rosters: SleeperRoster[],
+  tradedPicks: SleeperTradedPick[],
+  drafts: LeagueDraft[],
+  overrides?: GradingOverrides | null
+) {
+  const model = leagueGradingModel(league, overrides);
+  const rounds = Number(league.settings?.draft_rounds) || 4;
+  // Once this season's draft is done, its picks are spent
+  const done = drafts.some((d) => d.meta.season === league.season && d.meta.status === "complete");
+  const first = Number(league.season) + (done ? 1 : 0);
+  const seasons = Array.from({ length: FUTURE_SEASONS }, (_, i) => String(first + i));
+
+  const owner: Record<string, number> = {};
+  for (const t of tradedPicks) owner[`${t.season}:${t.round}:${t.roster_id}`] = t.owner_id;
+  const byTeam: Record<number, { picks: CapitalPick[]; value: number }> = {};
+  for (const r of rosters) byTeam[r.roster_id] = { picks: [], value: 0 };
+  for (const season of seasons) {
+    for (let round = 1; round <= rounds; round++) {
+      for (const r of rosters) {
+        const to = owner[`${season}:${round}:${r.roster_id}`] ?? r.roster_id;
+        if (!byTeam[to]) continue;
+        byTeam[to].picks.push({ season, round, from: r.roster_id });
+        byTeam[to].value += futurePickValue(season, round, league, model);
+      }
+    }
+  }
+  const teams = Object.entries(byTeam)
+    .map(([rid, t]) => ({ roster_id: Number(rid), ...t, netPicks: t.picks.length - seasons.length * rounds }))
+    .sort(by((t) => t.value));
+  return { seasons, rounds, teams };
+}
+
+/*********************  LINEUP EFFICIENCY  *********************/
+// Which player positions each starting slot accepts
+const SLOT_ELIGIBILITY: Record<string, string[]> = {
+  QB: ["QB"],
+  RB: ["RB"],
+  WR: ["WR"],
+  TE: ["TE"],
+  K: ["K"],
+  DEF: ["DEF"],
+  FLEX: ["RB", "WR", "TE"],
+  WRRB_FLEX: ["RB", "WR"],
+  REC_FLEX: ["WR", "TE"],
+  SUPER_FLEX: ["QB", "RB", "WR", "TE"],
+  DL: ["DL"],
+  LB: ["LB"],
+  DB: ["DB"],
+  IDP_FLEX: ["DL", "LB", "DB"],
+};
+
+// Sleeper lists IDP players by real position; slots use the grouped ones
+const IDP_GROUPS: Record<string, string> = { DE: "DL", DT: "DL", NT: "DL", ILB: "LB", OLB: "LB", MLB: "LB", CB: "DB", S: "DB", SS: "DB", FS: "DB" };
+
+function startingSlots(league: SleeperLeague) {
+  return (league.roster_positions || []).filter((s) => !["BN", "IR", "TAXI"].includes(s));
+}
+
+function maxWeightAssignment(weights: number[][]): number[] {
+  // Hungarian algorithm (rows ≤ cols), maximizing total weight. Returns the
+  // column chosen for each row. Lineups are tiny, so O(n²m) is instant.
+  const n = weights.length;
+  const m = weights[0]?.length || 0;
+  const INF = Number.MAX_SAFE_INTEGER;
+  const u = new Array(n + 1).fill(0);
+  const v = new Array(m + 1).fill(0);
+  const p = new Array(m + 1).fill(0);
+  const way = new Array(m + 1).fill(0);
+  for (let i = 1; i <= n; i++) {
+    p[0] = i;
+    let j0 = 0;
+    const minv = new Array(m + 1).fill(INF);
+    const used = new Array(m + 1).fill(false);
+    do {
+      used[j0] = true;
+      const i0 = p[j0];
+      let delta = INF;
+      let j1 = 0;
+      for (let j = 1; j <= m; j++) {
+        if (used[j]) continue;
+        const cur = -weights[i0 - 1][j - 1] - u[i0] - v[j];
+        if (cur < minv[j]) {
+          minv[j] = cur;
+          way[j] = j0;
+        }
+        if (minv[j] < delta) {
+          delta = minv[j];
+          j1 = j;
+        }
+      }
+      for (let j = 0; j <= m; j++) {
+        if (used[j]) {
+          u[p[j]] += delta;
+          v[j] -= delta;
+        } else minv[j] -= delta;
+      }
+      j0 = j1;
+    } while (p[j0] !== 0);
+    do {
+      const j1 = way[j0];
+      p[j0] = p[j1];
+      j0 = j1;
+    } while (j0);
+  }
+  const rowToCol = new Array(n).fill(-1);
+  for (let j = 1; j <= m; j++) if (p[j]) rowToCol[p[j] - 1] = j - 1;
+  return rowToCol;
+}
+
+function optimalLineup(slots: string[], roster: string[], points: Record<string, number>, players: PlayerDirectory | null) {
+  // Columns: every rostered player, then one "leave empty" option per slot
+  const posOf = (pid: string) => {
+    const pos = players?.[pid]?.pos || "";
+    return IDP_GROUPS[pos] || pos;
+  };
+  const NEVER = -1e6; // ineligible player/slot pairs
+  const weights = slots.map((slot) => {
+    const ok = SLOT_ELIGIBILITY[slot] || [slot];
+    return [
+      ...roster.map((pid) => (ok.includes(posOf(pid)) ? points[pid] || 0 : NEVER)),
+      ...slots.map(() => 0),
+    ];
+  });
+  const pick = maxWeightAssignment(weights);
+  const lineup = slots.map((slot, i) => {
+    const col = pick[i];
+    const pid = col >= 0 && col < roster.length && weights[i][col] > NEVER ? roster[col] : null;
+    return { slot, player_id: pid, points: pid ? points[pid] || 0 : 0 };
+  });
+  return { lineup, total: lineup.reduce((s, x) => s + x.points, 0) };
+}
+
+type EfficiencyWeek = {
+  week: number;
+  roster_id: number;
+  actual: number;
+  optimal: number;
+  benchPoints: number; // optimal − actual
+  efficiency: number; // actual / optimal
+  opponent: number | null; // opponent's actual score
+  lost: boolean;
+  wouldHaveWon: boolean;
+  lineup: ReturnType<typeof optimalLineup>["lineup"];
+};
+
+function lineupEfficiency(
+  league: SleeperLeague,
+  weekly: WeeklyMatchups,
+  throughWeek: number,
+  players: PlayerDirectory | null,
+  nameFor: (rid: number) => string
+) {
+  const slots = startingSlots(league);
+  const weeks: EfficiencyWeek[] = [];
+  for (let w = 1; w <= throughWeek; w++) {
+    const games = weekly[w] || [];
+    for (const m of games) {
+      const roster = m.players || Object.keys(m.players_points || {});
+      if (!roster.length) continue;
+      const best = optimalLineup(slots, roster, m.players_points || {}, players);
+      const actual = m.points || 0;
+      // Custom points adjustments can push actual past our optimum; never report negative bench
+      const optimal = Math.max(best.total, actual);
+      const opp = m.matchup_id != null ? games.find((o) => o.matchup_id === m.matchup_id && o.roster_id !== m.roster_id) : undefined;
+      const oppPts = opp ? opp.points || 0 : null;
+      const lost = oppPts != null && actual < oppPts;
+      weeks.push({
+        week: w,
+        roster_id: m.roster_id,
+        actual,
+        optimal,
+        benchPoints: optimal - actual,
+        efficiency: optimal > 0 ? actual / optimal : 1,
+        opponent: oppPts,
+        lost,
+        wouldHaveWon: lost && oppPts != null && optimal > oppPts,
+        lineup: best.lineup,
+      });
+    }
+  }
+
+  const season: Record<number, { roster_id: number; owner: string; actual: number; optimal: number; benchPoints: number; efficiency: number; blownWins: number }> = {};
+  for (const x of weeks) {
+    if (!season[x.roster_id]) season[x.roster_id] = { roster_id: x.roster_id, owner: nameFor(x.roster_id), actual: 0, optimal: 0, benchPoints: 0, efficiency: 1, blownWins: 0 };
+    const row = season[x.roster_id];
+    row.actual += x.actual;
+    row.optimal += x.optimal;
+    row.benchPoints += x.benchPoints;
+    if (x.wouldHaveWon) row.blownWins++;
+  }
+  for (const row of Object.values(season)) row.efficiency = row.optimal > 0 ? row.actual / row.optimal : 1;
+
+  return { weeks, season: Object.values(season).sort(by((r) => r.efficiency)) };
+}
+
+/*********************  PLAYER ANALYTICS  *********************/
+// Boom and bust lines are percentiles of this league's starter scores at each
+// position, so they follow the league's scoring instead of fixed point totals
+const BOOM_PERCENTILE = 0.8;
+const BUST_PERCENTILE = 0.2;
+const TOP_PERFORMANCES = 10;
+
+type PlayerWeek = { week: number; points: number; roster_id: number; started: boolean };
+
+type PlayerSeason = {
+  player_id: string;
+  pos: string;
+  weeks: PlayerWeek[]; // bye weeks and benched zeros left out
+  games: number;
+  total: number;
+  avg: number;
+  sd: number;
+  boomRate: number;
+  bustRate: number;
+  best: PlayerWeek | null;
+  byTeam: Record<number, { points: number; started: number }>; // fantasy team → points scored while rostered / started
+};
+
+function percentile(sorted: number[], p: number) {
+  if (!sorted.length) return 0;
+  return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+}
+
+// Each player's weeks that count as games, for season stats and projections alike.
+// players_points lists the whole roster. A benched zero is almost always a bye or an
+// inactive player, and a bye week isn't a game even for a starter left in the lineup,
+// so only started zeros count against anyone.
+function countedPlayerWeeks(
+  weekly: WeeklyMatchups,
+  fromWeek: number,
+  throughWeek: number,
+  players: PlayerDirectory | null,
+  games: NFLGame[] | null
+) {
+  const seen: Record<string, PlayerWeek[]> = {};
+  for (let w = Math.max(1, fromWeek); w <= throughWeek; w++) {
+    const byes = new Set(byeTeamsForWeek(games, w));
+    for (const m of weekly[w] || []) {
+      const starters = new Set(m.starters || []);
+      for (const [pid, points] of Object.entries(m.players_points || {})) {
+        const started = starters.has(pid);
+        if (byes.has(players?.[pid]?.team || "") || (!started && points === 0)) continue;
+        if (!seen[pid]) seen[pid] = [];
+        seen[pid].push({ week: w, points, roster_id: m.roster_id, started });
+      }
+    }
+  }
+  return seen;
+}
+
+function playerAnalytics(weekly: WeeklyMatchups, throughWeek: number, players: PlayerDirectory | null, games: NFLGame[] | null) {
+  const posOf = (pid: string) => {
+    const pos = players?.[pid]?.pos || "";
+    return IDP_GROUPS[pos] || pos;
+  };
+
+  const seen = countedPlayerWeeks(weekly, 1, throughWeek, players, games);
+
+  const starterScores: Record<string, number[]> = {};
+  for (const [pid, weeks] of Object.entries(seen)) {
+    const pos = posOf(pid);
+    if (!starterScores[pos]) starterScores[pos] = [];
+    for (const x of weeks) if (x.started) starterScores[pos].push(x.points);
+  }
+  const thresholds: Record<string, { boom: number; bust: number }> = {};
+  for (const [pos, pts] of Object.entries(starterScores)) {
+    pts.sort((a, b) => a - b);
+    thresholds[pos] = { boom: percentile(pts, BOOM_PERCENTILE), bust: percentile(pts, BUST_PERCENTILE) };
+  }
+
+  const seasons: PlayerSeason[] = Object.entries(seen).map(([player_id, weeks]) => {
+    const pos = posOf(player_id);
+    const pts = weeks.map((x) => x.points);
+    const total = pts.reduce((a, b) => a + b, 0);
+    const avg = total / pts.length;
+    const sd = pts.length > 1 ? Math.sqrt(pts.reduce((a, b) => a + (b - avg) ** 2, 0) / (pts.length - 1)) : 0;
+    const t = thresholds[pos];
+    const byTeam: PlayerSeason["byTeam"] = {};
+    for (const x of weeks) {
+      if (!byTeam[x.roster_id]) byTeam[x.roster_id] = { points: 0, started: 0 };
+      byTeam[x.roster_id].points += x.points;
+      if (x.started) byTeam[x.roster_id].started += x.points;
+    }
+    return {
+      player_id,
+      pos,
+      weeks,
+      games: pts.length,
+      total,
+      avg,
+      sd,
+      boomRate: t ? pts.filter((p) => p >= t.boom).length / pts.length : 0,
+      bustRate: t ? pts.filter((p) => p <= t.bust).length / pts.length : 0,
+      best: [...weeks].sort(by((x) => x.points))[0] || null,
+      byTeam,
+    };
+  });
+
+  const positions: Record<string, { pos: string; players: number; total: number; started: number; avg: number; sd: number; boom: number; bust: number; leader: string | null }> = {};
+  for (const p of seasons) {
+    if (!p.pos) continue;
+    if (!positions[p.pos]) positions[p.pos] = { pos: p.pos, players: 0, total: 0, started: 0, avg: 0, sd: 0, boom: thresholds[p.pos]?.boom ?? 0, bust: thresholds[p.pos]?.bust ?? 0, leader: null };
+    const row = positions[p.pos];
+    row.players++;
+    row.total += p.total;
+    row.started += Object.values(p.byTeam).reduce((s, x) => s + x.started, 0);
+    row.sd += p.sd;
+    if (!row.leader || p.total > (seasons.find((x) => x.player_id === row.leader)?.total || 0)) row.leader = p.player_id;
+  }
+  for (const row of Object.values(positions)) {
+    const games = seasons.filter((p) => p.pos === row.pos).reduce((s, p) => s + p.games, 0);
+    row.avg = games ? row.total / games : 0;
+    row.sd /= row.players;
+  }
+
+  const top = seasons
+    .flatMap((p) => p.weeks.map((x) => ({ player_id: p.player_id, ...x })))
+    .sort(by((x) => x.points))
+    .slice(0, TOP_PERFORMANCES);
+
+  return { players: seasons.sort(by((p) => p.total)), positions: Object.values(positions).sort(by((r) => r.started)), top, thresholds };
+}
+
+/*********************  TRADE FINDER  *********************/
+// Candidates per team considered for each trade shape; pairs are checked by
+// re-solving both optimal lineups, so keep these small
+const TRADE_CANDIDATES = 10;
+const TRADE_CANDIDATES_2FOR1 = 6;
+const TRADE_MIN_GAIN = 0.5; // points per week a side must gain to call it beneficial
+
+type RosterProfile = {
+  roster_id: number;
+  owner: string;
+  starterTotal: number; // optimal lineup, season points per game
+  byPos: Record<string, number>; // starter points per game at each position
+  needs: string[]; // positions where starters trail the league
+  surplus: string[]; // positions with a bench player who'd start for an average team
+};
+
+type TradeIdea = {
+  partner: number;
+  give: string[];
+  get: string[];
+  gain: number; // per-week lineup gain for the team asking
+  partnerGain: number;
+  balance: number; // 0–1, 1 = equal value changing hands
+  score: number;
+};
+
+function tradePlayerValues(
+  league: SleeperLeague,
+  rosters: SleeperRoster[],
+  weekly: WeeklyMatchups,
+  throughWeek: number,
+  players: PlayerDirectory | null,
+  games: NFLGame[] | null
+) {
+  // Season-to-date points per game, and value over the best player a team
+  // could hope to start off waivers at the same position
+  const history = playerHistory(weekly, throughWeek + 1, players, games, throughWeek);
+  const ppg: Record<string, number> = {};
+  for (const r of rosters) for (const pid of r.players || []) ppg[pid] = history[pid]?.mean || 0;
+  const posOf = (pid: string) => {
+    const pos = players?.[pid]?.pos || "";
+    return IDP_GROUPS[pos] || pos;
+  };
+  const starters = detectLeagueFormat(league).starters;
+  const byPos: Record<string, number[]> = {};
+  for (const pid of Object.keys(ppg)) {
+    const pos = posOf(pid);
+    if (!byPos[pos]) byPos[pos] = [];
+    byPos[pos].push(ppg[pid]);
+  }
+  const replacement: Record<string, number> = {};
+  for (const [pos, pts] of Object.entries(byPos)) {
+    pts.sort((a, b) => b - a);
+    replacement[pos] = pts[Math.ceil((starters[pos] || 0) * rosters.length)] ?? 0;
+  }
+  const vor: Record<string, number> = {};
+  for (const pid of Object.keys(ppg)) vor[pid] = Math.max(0, ppg[pid] - (replacement[posOf(pid)] || 0));
+  return { ppg, vor, posOf };
+}
+
+function rosterProfiles(
+  league: SleeperLeague,
+  rosters: SleeperRoster[],
+  values: ReturnType<typeof tradePlayerValues>,
+  players: PlayerDirectory | null,
+  nameFor: (rid: number) => string
+): RosterProfile[] {
+  const slots = startingSlots(league);
+  const lineups = rosters.map((r) => ({ r, best: optimalLineup(slots, r.players || [], values.ppg, players) }));
+  const profiles = lineups.map(({ r, best }) => {
+    const byPos: Record<string, number> = {};
+    for (const l of best.lineup) {
+      if (!l.player_id) continue;
+      const pos = values.posOf(l.player_id);
+      byPos[pos] = (byPos[pos] || 0) + l.points;
+    }
+    return { roster_id: r.roster_id, owner: nameFor(r.roster_id), starterTotal: best.total, byPos, needs: [] as string[], surplus: [] as string[], best };
+  });
+
+  // Compare each position group to the league, and find the weakest starter an
+  // average team fields there: a bench player above that line is trade surplus
+  const positions = [...new Set(profiles.flatMap((p) => Object.keys(p.byPos)))];
+  for (const pos of positions) {
+    const totals = profiles.map((p) => p.byPos[pos] || 0).sort((a, b) => a - b);
+    const avg = totals.reduce((a, b) => a + b, 0) / Math.max(1, totals.length);
+    const lowThird = totals[Math.floor(totals.length / 3)];
+    const weakest = profiles
+      .map((p) => Math.min(...p.best.lineup.filter((l) => l.player_id && values.posOf(l.player_id) === pos).map((l) => l.points)))
+      .filter((x) => Number.isFinite(x))
+      .sort((a, b) => a - b);
+    const startLine = weakest[Math.floor(weakest.length / 2)] ?? Infinity;
+    for (const p of profiles) {
+      const have = p.byPos[pos] || 0;
+      if (have < lowThird || (have < avg * 0.85 && avg > 0)) p.needs.push(pos);
+      const starting = new Set(p.best.lineup.map((l) => l.player_id));
+      const roster = rosters.find((r) => r.roster_id === p.roster_id)?.players || [];
+      if (roster.some((pid) => !starting.has(pid) && values.posOf(pid) === pos && values.ppg[pid] >= startLine)) p.surplus.push(pos);
+    }
+  }
+  return profiles.map(({ best, ...p }) => p).sort(by((p) => p.starterTotal));
+}
+
+function findTrades(
+  league: SleeperLeague,
+  rosters: SleeperRoster[],
+  roster_id: number,
+  values: ReturnType<typeof tradePlayerValues>,
+  players: PlayerDirectory | null
+): TradeIdea[] {
+  // Mutually beneficial = both optimal lineups improve. Balance compares value
+  // over replacement, so neither side is simply fleeced for a lineup fit.
+  const slots = startingSlots(league);
+  const me = rosters.find((r) => r.roster_id === roster_id);
+  if (!me) return [];
+  const lineupTotal = (roster: string[]) => optimalLineup(slots, roster, values.ppg, players).total;
+  const tradeable = (r: SleeperRoster, n: number) =>
+    (r.players || [])
+      .filter((pid) => values.vor[pid] > 0)
+      .sort(by((pid) => values.vor[pid]))
+      .slice(0, n);
+  const sum = (ids: string[]) => ids.reduce((s, pid) => s + values.vor[pid], 0);
+  const myBase = lineupTotal(me.players || []);
+
+  const ideas: TradeIdea[] = [];
+  for (const them of rosters) {
+    if (them.roster_id === roster_id) continue;
+    const theirBase = lineupTotal(them.players || []);
+    const consider = (give: string[], get: string[]) => {
+      const mine = (me.players || []).filter((pid) => !give.includes(pid)).concat(get);
+      const theirs = (them.players || []).filter((pid) => !get.includes(pid)).concat(give);
+      const gain = lineupTotal(mine) - myBase;
+      const partnerGain = lineupTotal(theirs) - theirBase;
+      if (gain < TRADE_MIN_GAIN || partnerGain < TRADE_MIN_GAIN) return;
+      const a = sum(give);
+      const b = sum(get);
+      const balance = a + b > 0 ? 1 - Math.abs(a - b) / (a + b) : 1;
+      ideas.push({ partner: them.roster_id, give, get, gain, partnerGain, balance, score: Math.min(gain, partnerGain) * (0.5 + 0.5 * balance) });
+    };
+
+    const mine1 = tradeable(me, TRADE_CANDIDATES);
+    const theirs1 = tradeable(them, TRADE_CANDIDATES);
+    for (const give of mine1) for (const get of theirs1) consider([give], [get]);
+
+    // 2-for-1 both ways: consolidate depth into a starter, or split one into two
+    const mine2 = tradeable(me, TRADE_CANDIDATES_2FOR1);
+    const theirs2 = tradeable(them, TRADE_CANDIDATES_2FOR1);
+    for (let i = 0; i < mine2.length; i++) {
+      for (let j = i + 1; j < mine2.length; j++) for (const get of theirs2) consider([mine2[i], mine2[j]], [get]);
+    }
+    for (let i = 0; i < theirs2.length; i++) {
+      for (let j = i + 1; j < theirs2.length; j++) for (const give of mine2) consider([give], [theirs2[i], theirs2[j]]);
+    }
+  }
+  return ideas.sort(by((t) => t.score));
+}
+
+/*********************  WEEKLY RECAP ARTICLE  *********************/
+// Phrasing pools; each recap picks deterministically from a league+week seed so
+// regenerating the same week gives the same article but weeks read differently.
+const RECAP_TEMPLATES = {
+  headline: [
+    "{w} edged {l} {ws}–{ls} in the week's tightest finish, a {m}-point thriller.",
+    "Nobody breathed easy in {w} vs. {l}: {ws}–{ls}, decided by just {m}.",
+    "{w} survived {l} by {m} points ({ws}–{ls}). Game of the week, no contest.",
+  ],
+  blowout: [
+    "{w} flattened {l} {ws}–{ls}. That {m}-point margin was the week's biggest.",
+    "Mercy rule: {w} over {l} by {m} ({ws}–{ls}).",
+    "{l} never stood a chance — {w} won by {m}, {ws} to {ls}.",
+  ],
+  badBeat: [
+    "Bad beat of the week: {l} dropped {ls} points and still lost to {w} ({ws}).",
+    "{l} would have beaten most of the league with {ls}. Unfortunately they drew {w} ({ws}).",
+    "Pour one out for {l}: {ls} points, a loss anyway.",
+  ],
+  lowWin: [
+    "Lowest winning score: {w} scraped by with {ws} against {l} ({ls}).",
+    "{w} won ugly — {ws} was enough to beat {l} ({ls}).",
+    "Style points: zero. {w} took the W with just {ws} over {l}.",
+  ],
+  intro: [
+    "Week {week} in {league} is in the books. Here's how it went down.",
+    "Another week, another round of group-chat ammunition. Week {week} of {league}, recapped.",
+    "{league}, week {week}: the scores are final and the excuses are already flowing.",
+  ],
+};
+
+type RecapArticle = { title: string; intro: string; sections: { heading: string; lines: string[] }[] };
+
+function seededIndex(seed: string, n: number) {
+  // FNV-1a; stable across browsers, good enough for picking a template
+  let h = 2166136261;
+  for (let i = 0; i < seed.length; i++) {
+    h ^= seed.charCodeAt(i);
+    h = Math.imul(h, 16777619);
+  }
+  return (h >>> 0) % n;
+}
+
+function fillTemplate(t: string, vars: Record<string, string | number>) {
+  return t.replace(/\{(\w+)\}/g, (_, k) => String(vars[k] ?? ""));
+}
+
+function buildWeeklyRecap(
+  league: SleeperLeague,
+  week: number,
+  matchups: SleeperMatchup[],
+  rosters: SleeperRoster[],
+  users: SleeperUser[],
+  players: PlayerDirectory | null
+): RecapArticle {
+  const games = summarizeCompletedMatchups(matchups.filter((m) => m.matchup_id != null), rosters, users).filter(
+    (g) => g.a != null && g.b != null
+  );
+  const nameFor = (rid: number) => {
+    const r = rosters.find((x) => x.roster_id === rid);
+    return users.find((x) => x.user_id === r?.owner_id)?.display_name || `Team ${rid}`;
+  };
+  const pick = (key: keyof typeof RECAP_TEMPLATES, salt = "") =>
+    RECAP_TEMPLATES[key][seededIndex(`${league.league_id}:${week}:${key}:${salt}`, RECAP_TEMPLATES[key].length)];
+  const gameVars = (g: (typeof games)[number]) => {
+    const aWon = g.aScore >= g.bScore;
+    return {
+      w: aWon ? g.aName : g.bName,
+      l: aWon ? g.bName : g.aName,
+      ws: (aWon ? g.aScore : g.bScore).toFixed(2),
+      ls: (aWon ? g.bScore : g.aScore).toFixed(2),
+      m: g.margin,
+    };
+  };
+
+  const sections: RecapArticle["sections"] = [];
+  const decided = games.filter((g) => g.aScore !== g.bScore);
+  const margin = (g: (typeof games)[number]) => Math.abs(g.aScore - g.bScore);
+  const losing = (g: (typeof games)[number]) => Math.min(g.aScore, g.bScore);
+  const winning = (g: (typeof games)[number]) => Math.max(g.aScore, g.bScore);
+
+  if (decided.length) {
+    const headline = decided.slice().sort(by(margin, "asc"))[0];
+    const blowout = decided.slice().sort(by(margin))[0];
+    const badBeat = decided.slice().sort(by(losing))[0];
+    const lowWin = decided.slice().sort(by(winning, "asc"))[0];
+    sections.push({ heading: "Headline game", lines: [fillTemplate(pick("headline"), gameVars(headline))] });
+    if (blowout !== headline) sections.push({ heading: "Biggest blowout", lines: [fillTemplate(pick("blowout"), gameVars(blowout))] });
+    sections.push({ heading: "Bad beat", lines: [fillTemplate(pick("badBeat"), gameVars(badBeat))] });
+    sections.push({ heading: "Lowest winning score", lines: [fillTemplate(pick("lowWin"), gameVars(lowWin))] });
+  }
+
+  // Top performer at each position, starters only
+  const best: Record<string, { pid: string; pts: number; rid: number }> = {};
+  for (const m of matchups) {
+    for (const pid of m.starters || []) {
+      const pos = players?.[pid]?.pos;
+      const pts = m.players_points?.[pid] ?? 0;
+      if (!pos || !pid || pid === "0") continue;
+      if (!best[pos] || pts > best[pos].pts) best[pos] = { pid, pts, rid: m.roster_id };
+    }
+  }
+  const posOrder = ["QB", "RB", "WR", "TE", "K", "DEF"].filter((p) => best[p]).concat(Object.keys(best).filter((p) => !["QB", "RB", "WR", "TE", "K", "DEF"].includes(p)));
+  if (posOrder.length) {
+    sections.push({
+      heading: "Top performers",
+      lines: posOrder.map((pos) => {
+        const b = best[pos];
+        return `${pos}: ${playerInfo(players, b.pid).name} — ${b.pts.toFixed(1)} pts for ${nameFor(b.rid)}`;
+      }),
+    });
+  }
+
+  // Manager awards
+  const scores = matchups.filter((m) => m.matchup_id != null).map((m) => ({ rid: m.roster_id, pts: m.points || 0 }));
+  const awards: string[] = [];
+  if (scores.length) {
+    const top = scores.slice().sort(by((x) => x.pts))[0];
+    const low = scores.slice().sort(by((x) => x.pts, "asc"))[0];
+    awards.push(`🏆 Manager of the Week: ${nameFor(top.rid)} (${top.pts.toFixed(2)})`);
+    awards.push(`🚽 Toilet Bowl Preview: ${nameFor(low.rid)} (${low.pts.toFixed(2)})`);
+  }
+  if (players) {
+    const bench = matchups
+      .filter((m) => m.matchup_id != null)
+      .map((m) => {
+        const roster = m.players || Object.keys(m.players_points || {});
+        const optimal = optimalLineup(startingSlots(league), roster, m.players_points || {}, players).total;
+        return { rid: m.roster_id, left: Math.max(0, optimal - (m.points || 0)), eff: optimal ? (m.points || 0) / optimal : 1 };
+      });
+    const worst = bench.slice().sort(by((x) => x.left))[0];
+    const perfect = bench.filter((x) => x.left < 0.01);
+    if (worst && worst.left > 0) awards.push(`🪑 Bench Warmer: ${nameFor(worst.rid)} left ${worst.left.toFixed(2)} points on the bench`);
+    if (perfect.length) awards.push(`🎯 Set It and Forget It: ${perfect.map((x) => nameFor(x.rid)).join(", ")} started the optimal lineup`);
+  }
+  if (awards.length) sections.push({ heading: "Manager awards", lines: awards });
+
+  sections.push({
+    heading: "Final scores",
+    lines: games.map((g) => `${g.aName} ${g.aPts} — ${g.bName} ${g.bPts}`),
+  });
+
+  return {
+    title: `${league.name} — Week ${week} Recap`,
+    intro: fillTemplate(pick("intro"), { week, league: league.name }),
+    sections,
+  };
+}
+
+function recapToMarkdown(a: RecapArticle) {
+  const out = [`# ${a.title}`, "", a.intro, ""];
+  for (const s of a.sections) {
+    out.push(`## ${s.heading}`, "");
+    if (s.lines.length > 1) out.push(...s.lines.map((l) => `- ${l}`));
+    else out.push(...s.lines);
+    out.push("");
+  }
+  return out.join("\n");
+}
+
+function escapeHtml(x: string) {
+  return x.replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c] as string);
+}
+
+function recapToHtml(a: RecapArticle) {
+  const body = a.sections
+    .map((s) => {
+      const content = s.lines.length > 1 ? `<ul>${s.lines.map((l) => `<li>${escapeHtml(l)}</li>`).join("")}</ul>` : `<p>${escapeHtml(s.lines[0] || "")}</p>`;
+      return `<h2>${escapeHtml(s.heading)}</h2>\n${content}`;
+    })
+    .join("\n");
+  return `<!doctype html>
+<html><head><meta charset="utf-8"><title>${escapeHtml(a.title)}</title>
+<style>body{font-family:system-ui,sans-serif;max-width:680px;margin:2rem auto;padding:0 1rem;line-height:1.5;color:#111}h2{margin-top:1.5rem}</style>
+</head><body>
+<h1>${escapeHtml(a.title)}</h1>
+<p>${escapeHtml(a.intro)}</p>
+${body}
+</body></html>`;
+}
+
+/*********************  PLAYOFF BRACKETS  *********************/
+type BracketKind = "winners" | "losers";
+
+function playoffRoundWeeks(league: SleeperLeague, round: number, totalRounds: number) {
+  // settings.playoff_round_type: 0 = one week per round, 1 = two-week final, 2 = two weeks per round
+  const start = Number(league.settings?.playoff_week_start) || regularSeasonEnd(league) + 1;
+  const type = Number(league.settings?.playoff_round_type) || 0;
+  if (type === 2) return [start + 2 * (round - 1), start + 2 * (round - 1) + 1];
+  if (type === 1 && round === totalRounds) return [start + round - 1, start + round];
+  return [start + round - 1];
+}
+
+function lastPlayoffWeek(league: SleeperLeague, totalRounds: number) {
+  const weeks = playoffRoundWeeks(league, totalRounds, totalRounds);
+  return weeks[weeks.length - 1];
+}
+
+function playoffStarted(league: SleeperLeague, nfl: { season: string; season_type: string; week: number }) {
+  if (seasonOver(league, nfl)) return true;
+  if (leaguePhase(league, nfl) === "preseason") return false;
+  return nfl.week >= (Number(league.settings?.playoff_week_start) || regularSeasonEnd(league) + 1);
+}
+
+function isPlayoffWeek(league: SleeperLeague, week: number | null) {
+  return week != null && week >= (Number(league.settings?.playoff_week_start) || regularSeasonEnd(league) + 1);
+}
+
+function ordinal(n: number) {
+  const s = ["th", "st", "nd", "rd"];
+  const v = n % 100;
+  return n + (s[(v - 20) % 10] || s[v] || s[0]);
+}
+
+function bracketRoundName(match: SleeperBracketMatch, kind: BracketKind, totalRounds: number, league?: SleeperLeague) {
+  const toilet = kind === "losers" && Number(league?.settings?.loser_bracket_type) === 1;
+  if (kind === "losers") {
+    if (match.p === 1) return toilet ? "Toilet Bowl" : "Consolation final";
+    if (match.p) return `Consolation: ${ordinal(match.p)} place`;
+    return toilet ? `Toilet Bowl round ${match.r}` : `Consolation round ${match.r}`;
+  }
+  if (match.p === 1) return "Championship";
+  if (match.p) return `${ordinal(match.p)} place game`;
+  const fromEnd = totalRounds - match.r;
+  if (fromEnd === 1) return "Semifinal";
+  if (fromEnd === 2) return "Quarterfinal";
+  return `Playoffs round ${match.r}`;
+}
+
+function bracketStakes(match: SleeperBracketMatch, kind: BracketKind, league?: SleeperLeague) {
+  const toilet = kind === "losers" && Number(league?.settings?.loser_bracket_type) === 1;
+  if (kind === "winners") {
+    if (match.p === 1) return "Winner takes the title.";
+    if (match.p) return `Playing for ${ordinal(match.p)} place.`;
+    return "Win and advance — the loser is eliminated from title contention.";
+  }
+  if (toilet) return match.p === 1 ? "Loser owns the Toilet Bowl." : "Loser keeps sliding toward the Toilet Bowl.";
+  return match.p ? `Playing for ${ordinal(match.p)} place.` : "Consolation bracket — pride on the line.";
+}
+
+function bracketMatchScores(match: SleeperBracketMatch, weeks: number[], weekly: WeeklyMatchups) {
+  const score = (rid: number | null) => {
+    if (rid == null) return null;
+    let total = 0;
+    let seen = false;
+    for (const w of weeks) {
+      const m = (weekly[w] || []).find((x) => x.roster_id === rid);
+      if (m) {
+        seen = true;
+        total += m.points || 0;
+      }
+    }
+    return seen ? total : null;
+  };
+  return { t1: score(match.t1), t2: score(match.t2) };
+}
+
+function playoffMatchLabels(
+  league: SleeperLeague,
+  week: number,
+  winners: SleeperBracketMatch[],
+  losers: SleeperBracketMatch[]
+) {
+  // Keyed by sorted "rid-rid" so previews can look up their bracket game
+  const labels: Record<string, { round: string; stakes: string; kind: BracketKind }> = {};
+  for (const [kind, bracket] of [
+    ["winners", winners],
+    ["losers", losers],
+  ] as const) {
+    const total = Math.max(0, ...bracket.map((m) => m.r));
+    for (const m of bracket) {
+      if (m.t1 == null || m.t2 == null) continue;
+      if (!playoffRoundWeeks(league, m.r, total).includes(week)) continue;
+      labels[[m.t1, m.t2].sort((a, b) => a - b).join("-")] = {
+        round: bracketRoundName(m, kind, total, league),
+        stakes: bracketStakes(m, kind, league),
+        kind,
+      };
+    }
+  }
+  return labels;
+}
+
+/*********************  SEASON STRUCTURE  *********************/
+// What each week is for and where a league is in its year, from the league's own
+// settings rather than the NFL's 18 weeks
+const NFL_WEEKS = 18;
+
+type SeasonPhase = "preseason" | "regular" | "playoffs" | "complete";
+type SeasonWeek = { week: number; kind: "regular" | "playoff"; label: string };
+
+function seasonOver(league: SleeperLeague, nfl: { season: string; season_type: string }) {
+  // Past seasons, and this one once Sleeper marks it done or the NFL rolls into the offseason
+  if (Number(league.season) < Number(nfl.season)) return true;
+  return league.season === nfl.season && (nfl.season_type === "off" || league.status === "complete");
+}
+
+function leaguePhase(league: SleeperLeague, nfl: { season: string; season_type: string; week: number }): SeasonPhase {
+  if (seasonOver(league, nfl)) return "complete";
+  if (Number(league.season) > Number(nfl.season) || nfl.season_type === "pre" || nfl.week < 1) return "preseason";
+  if (league.status === "pre_draft" || league.status === "drafting") return "preseason";
+  return isPlayoffWeek(league, nfl.week) ? "playoffs" : "regular";
+}
+
+function weekComplete(league: SleeperLeague, nfl: { season: string; season_type: string; week: number }, week: number) {
+  if (seasonOver(league, nfl)) return true;
+  if (leaguePhase(league, nfl) === "preseason") return false;
+  return week < nfl.week;
+}
+
+function matchupsTTL(league: SleeperLeague, nfl: { season: string; season_type: string; week: number }, week: number) {
+  // Sleeper moves on to the next week before the NFL's mid-week stat corrections, so the
+  // week that just ended is only cached for a few days; older weeks and past seasons for good
+  if (!weekComplete(league, nfl, week)) return TTL.live;
+  const current = league.season === nfl.season && nfl.season_type !== "off";
+  return current && week >= nfl.week - 1 ? TTL.settling : TTL.forever;
+}
+
+function playoffRoundCount(league: SleeperLeague) {
+  const { playoffTeams, byes } = playoffSlots(league);
+  return Math.round(Math.log2(playoffTeams + byes));
+}
+
+function seasonWeeks(league: SleeperLeague): SeasonWeek[] {
+  const end = Math.min(regularSeasonEnd(league), NFL_WEEKS);
+  const weeks: SeasonWeek[] = Array.from({ length: end }, (_, i) => ({ week: i + 1, kind: "regular", label: `Week ${i + 1}` }));
+  const rounds = playoffRoundCount(league);
+  for (let r = 1; r <= rounds; r++) {
+    const roundWeeks = playoffRoundWeeks(league, r, rounds);
+    const name = r === rounds ? "Championship" : r === rounds - 1 ? "Semifinals" : r === rounds - 2 ? "Quarterfinals" : `Playoff round ${r}`;
+    roundWeeks.forEach((w, i) => {
+      if (w <= NFL_WEEKS) weeks.push({ week: w, kind: "playoff", label: `Week ${w} · ${name}${roundWeeks.length > 1 ? ` (${i + 1} of ${roundWeeks.length})` : ""}` });
+    });
+  }
+  return weeks;
+}
+
+function defaultWeek(league: SleeperLeague, nfl: { season: string; season_type: string; week: number }) {
+  // The current week in season; week 1 before it; the final week after it
+  const weeks = seasonWeeks(league);
+  const phase = leaguePhase(league, nfl);
+  if (phase === "preseason") return 1;
+  if (phase === "complete") return weeks[weeks.length - 1].week;
+  return Math.min(Math.max(1, nfl.week), weeks[weeks.length - 1].week);
+}
+
+/*********************  LIVE SCORING  *********************/
+// While games are on, the current week is re-polled and each poll becomes a point on
+// a win-probability trend. Whether games are on comes from the NFL schedule's game
+// statuses when Sleeper provides them, else from the usual kickoff windows (ET).
+const LIVE_POLL_MS = 60 * 1000;
+const LIVE_IDLE_POLL_MS = 5 * 60 * 1000; // game day, but between kickoffs
+const LIVE_MAX_POLL_MS = 10 * 60 * 1000;
+
+type GameState = "pre" | "in" | "done";
+type LiveStatus = "live" | "idle" | "final" | "off";
+type LiveSample = { at: number; scores: Record<number, { a: number; b: number; aWinProb: number }> }; // by matchup_id
+
+function teamGameStates(games: NFLGame[] | null, week: number) {
+  const states: Record<string, GameState> = {};
+  for (const g of games || []) {
+    if (g.week !== week || !g.status) continue;
+    const s: GameState = g.status === "complete" ? "done" : g.status === "in_game" ? "in" : "pre";
+    states[g.home] = s;
+    states[g.away] = s;
+  }
+  return states;
+}
+
+function inGameWindow(now: Date) {
+  // Thu/Mon night, Sunday from the London games on, Saturdays late in the season
+  const et = new Date(now.toLocaleString("en-US", { timeZone: "America/New_York" }));
+  const day = et.getDay();
+  const hour = et.getHours() + et.getMinutes() / 60;
+  if (day === 0) return hour >= 9.5;
+  if (day === 4 || day === 1) return hour >= 20;
+  if (day === 6) return et.getMonth() >= 11 && hour >= 13;
+  return false;
+}
+
+function liveWeekStatus(nfl: { season_type: string; week: number }, games: NFLGame[] | null, now = new Date()): LiveStatus {
+  if (nfl.season_type !== "regular" && nfl.season_type !== "post") return "off";
+  const states = Object.values(teamGameStates(games, nfl.week));
+  if (states.includes("in")) return "live";
+  if (states.length && states.every((s) => s === "done")) return "final";
+  return inGameWindow(now) ? "live" : "idle";
+}
+
+type LiveSide = { score: number; yetToPlay: number; playing: number; remainingProj: number; sd: number };
+
+function liveSide(
+  m: SleeperMatchup | undefined,
+  history: Record<string, PlayerProjection>,
+  players: PlayerDirectory | null,
+  states: Record<string, GameState>,
+  live: boolean
+): LiveSide {
+  const side: LiveSide = { score: m?.points ?? 0, yetToPlay: 0, playing: 0, remainingProj: 0, sd: 0 };
+  let variance = 0;
+  // No game states at all (schedule fetch failed, or the feed has no statuses): while
+  // games are on, a starter who has scored is mid-game and the rest are still to play.
+  // With states, a team missing from them is on bye.
+  const unknown = live && Object.keys(states).length === 0;
+  for (const pid of m?.starters || []) {
+    if (!pid || pid === "0") continue;
+    const state = unknown ? (m?.players_points?.[pid] ? "in" : "pre") : states[playerInfo(players, pid).team];
+    if (!state || state === "done") continue;
+    const proj = projectStarters([pid], history, players, []);
+    if (state === "pre") {
+      side.yetToPlay++;
+      side.remainingProj += proj.mean;
+      variance += proj.sd ** 2;
+    } else {
+      // Mid-game: assume roughly half of what's still expected is left to score
+      side.playing++;
+      side.remainingProj += Math.max(0, proj.mean - (m?.players_points?.[pid] || 0)) / 2;
+      variance += (proj.sd / 2) ** 2;
+    }
+  }
+  side.sd = Math.sqrt(variance);
+  return side;
+}
+
+function liveScoreboard(
+  week: number,
+  matchups: SleeperMatchup[],
+  weekly: WeeklyMatchups,
+  players: PlayerDirectory | null,
+  games: NFLGame[] | null,
+  states: Record<string, GameState>,
+  status: LiveStatus
+) {
+  const byId: Record<number, SleeperMatchup[]> = {};
+  for (const m of matchups) {
+    if (m.matchup_id == null) continue;
+    if (!byId[m.matchup_id]) byId[m.matchup_id] = [];
+    byId[m.matchup_id].push(m);
+  }
+  const history = playerHistory(weekly, week, players, games);
+  return Object.entries(byId).map(([mid, [m1, m2]]) => {
+    const aSide = liveSide(m1, history, players, states, status === "live");
+    const bSide = liveSide(m2, history, players, states, status === "live");
+    const diff = aSide.score + aSide.remainingProj - (bSide.score + bSide.remainingProj);
+    const sd = Math.hypot(aSide.sd, bSide.sd);
+    // Nothing left to play: the scoreboard is the answer
+    const aWinProb = sd < 0.5 ? (diff > 0 ? 1 : diff < 0 ? 0 : 0.5) : normalCdf(diff / sd);
+    return { matchup_id: Number(mid), a: m1?.roster_id, b: m2?.roster_id, aSide, bSide, aWinProb };
+  });
+}
+
+function leadChanges(samples: LiveSample[], matchup_id: number) {
+  // Ties don't count as a change; the next leader is compared with the last one
+  let leader = 0;
+  let changes = 0;
+  let latest = false;
+  for (const s of samples) {
+    const x = s.scores[matchup_id];
+    if (!x || x.a === x.b) continue;
+    const now = x.a > x.b ? 1 : -1;
+    latest = leader !== 0 && now !== leader;
+    if (latest) changes++;
+    leader = now;
+  }
+  return { changes, latest };
+}
+
+/*********************  ROUTING  *********************/
+// Hash routes so GitHub Pages needs no server rewrites:
+//   #/league/<league_id>/week/<n>/<section>?ids=<id>,<id>
+//   #/overview?ids=…      #/manager/<user_id>?ids=…
+type Route = {
+  ids: string[];
+  view: "league" | "overview" | "manager";
+  league?: string;
+  week?: number;
+  section?: string;
+  user?: string;
+  grading?: GradingOverrides; // shared settings preset (&grading=<json>), applied once on load
+};
+
+function parseRoute(hash: string): Route {
+  const [path, query = ""] = hash.replace(/^#\/?/, "").split("?");
+  const parts = path.split("/").filter(Boolean).map(decodeURIComponent);
+  const params = new URLSearchParams(query);
+  const ids = (params.get("ids") || "").split(",").filter(Boolean);
+  if (parts[0] === "overview") return { ids, view: "overview" };
+  if (parts[0] === "manager" && parts[1]) return { ids, view: "manager", user: parts[1] };
+  const route: Route = { ids, view: "league" };
+  try {
+    const g = params.get("grading");
+    const grading = g ? parseGradingOverrides(JSON.parse(g)) : null;
+    if (grading) route.grading = grading;
+  } catch {
+    // malformed share link — ignore the preset, keep the rest of the route
+  }
+  if (parts[0] === "league" && parts[1]) {
+    route.league = parts[1];
+    let i = 2;
+    if (parts[i] === "week" && /^\d+$/.test(parts[i + 1] || "")) {
+      route.week = Number(parts[i + 1]);
+      i += 2;
+    }
+    if (parts[i]) route.section = parts[i];
+  }
+  return route;
+}
+
+function formatRoute(r: Route) {
+  const query = r.ids.length ? `?ids=${r.ids.map(encodeURIComponent).join(",")}` : "";
+  if (r.view === "overview") return `#/overview${query}`;
+  if (r.view === "manager" && r.user) return `#/manager/${encodeURIComponent(r.user)}${query}`;
+  if (!r.league) return `#/${query}`;
+  let path = `#/league/${encodeURIComponent(r.league)}`;
+  if (r.week != null) path += `/week/${r.week}`;
+  if (r.section) path += `/${encodeURIComponent(r.section)}`;
+  const grading = r.grading ? `${query ? "&" : "?"}grading=${encodeURIComponent(JSON.stringify(r.grading))}` : "";
+  return path + query + grading;
+}
+
+// True when `to` only fills in what a pasted or bookmarked `from` left out (the default week,
+// the ids list, the first league), i.e. rewriting the URL is normalisation, not navigation
+function normalisesRoute(from: Route, to: Route) {
+  return (
+    from.view === to.view &&
+    (from.league == null || from.league === to.league) &&
+    (from.week == null || from.week === to.week) &&
+    (from.ids.length === 0 || from.ids.join() === to.ids.join()) &&
+    from.section === to.section &&
+    from.user === to.user
+  );
+}
+
+// Lets <Section id=…> render a deep link without threading route state through every view
+const SectionLinkContext = createContext<((section: string) => string) | null>(null);
+
+/*********************  DATA FETCHING  *********************/
+type LeagueDraft = { meta: SleeperDraft; picks: SleeperPick[] };
+
+async function loadLeague(league_id: string) {
+  return fetchJSON<SleeperLeague>(`https://api.sleeper.app/v1/league/${league_id}`);
+}
+
+async function loadLeagueBundle(league_id: string) {
+  const league = await loadLeague(league_id);
+  const [users, rosters, tradedPicks] = await Promise.all([
+    fetchJSON<SleeperUser[]>(`https://api.sleeper.app/v1/league/${league_id}/users`),
+    fetchJSON<SleeperRoster[]>(`https://api.sleeper.app/v1/league/${league_id}/rosters`),
+    fetchJSON<SleeperTradedPick[]>(`https://api.sleeper.app/v1/league/${league_id}/traded_picks`).catch(() => []),
+  ]);
+
+  // Every draft (startup + rookie drafts in dynasty); the newest is graded by default
+  const metas = (await fetchJSON<SleeperDraft[]>(`https://api.sleeper.app/v1/league/${league_id}/drafts`)) || [];
+  const drafts: LeagueDraft[] = await Promise.all(
+    metas.map(async (meta) => ({
+      meta,
+      picks: await fetchJSON<SleeperPick[]>(`https://api.sleeper.app/v1/draft/${meta.draft_id}/picks`, {
+        ttl: meta.status === "complete" ? TTL.forever : TTL.short,
+      }),
+    }))
+  );
+  const draftMeta = drafts[0]?.meta ?? null; // newest first
+  const draftPicks = drafts[0]?.picks ?? [];
+
+  // Keeper leagues: last season's rosters tell kept players apart from draftees
+  const keeperLeague = Number(league.settings?.type) === 1 || Number(league.settings?.max_keepers) > 0;
+  const previousRosters =
+    keeperLeague && league.previous_league_id && league.previous_league_id !== "0"
+      ? await fetchJSON<SleeperRoster[]>(`https://api.sleeper.app/v1/league/${league.previous_league_id}/rosters`).catch(() => null)
+      : null;
+
+  return { league, users, rosters, draftPicks, draftMeta, drafts, tradedPicks: tradedPicks || [], previousRosters };
+}
+
+// Weeks still being played refresh like live data; see matchupsTTL for finished ones
+async function loadWeekMatchups(league_id: string, week: number, ttl = TTL.live) {
+  return fetchJSON<SleeperMatchup[]>(`https://api.sleeper.app/v1/league/${league_id}/matchups/${week}`, { ttl });
+}
+
+// Live polls always go to the network (stale copies still cover an outage)
+async function loadLiveMatchups(league_id: string, week: number) {
+  return fetchJSON<SleeperMatchup[]>(`https://api.sleeper.app/v1/league/${league_id}/matchups/${week}`, { ttl: 0 });
+}
+
+async function loadSeasonMatchups(league_id: string, throughWeek: number, fromWeek = 1, ttlFor: (week: number) => number = () => TTL.live) {
+  const weeks = Array.from({ length: Math.max(0, throughWeek - fromWeek + 1) }, (_, i) => fromWeek + i);
+  const results = await Promise.all(weeks.map((w) => loadWeekMatchups(league_id, w, ttlFor(w))));
+  const weekly: WeeklyMatchups = {};
+  weeks.forEach((w, i) => (weekly[w] = results[i]));
+  return weekly;
+}
+
+async function loadLeagueHistory(
+  league_id: string,
+  nfl: { season: string; season_type: string; week: number },
+  onProgress?: (season: string) => void
+) {
+  const seasons: SeasonHistory[] = [];
+  let id: string | null | undefined = league_id;
+  while (id && id !== "0" && seasons.length < HISTORY_MAX_SEASONS) {
+    try {
+      const league: SleeperLeague = await fetchJSON<SleeperLeague>(`https://api.sleeper.app/v1/league/${id}`);
+      onProgress?.(league.season);
+      const [users, rosters, winnersBracket] = await Promise.all([
+        fetchJSON<SleeperUser[]>(`https://api.sleeper.app/v1/league/${id}/users`),
+        fetchJSON<SleeperRoster[]>(`https://api.sleeper.app/v1/league/${id}/rosters`),
+        // Brackets 404 before the playoffs are seeded
+        fetchJSON<SleeperBracketMatch[]>(`https://api.sleeper.app/v1/league/${id}/winners_bracket`).catch(() => []),
+      ]);
+      const throughWeek = lastCompletedWeek(league, nfl);
+      const weekly = await loadSeasonMatchups(id, throughWeek, 1, (w) => matchupsTTL(league, nfl, w));
+      seasons.push({ league, users, rosters, weekly, throughWeek, winnersBracket: winnersBracket || [] });
+      id = league.previous_league_id;
+    } catch (e) {
+      // An older season that can't be loaded (deleted, or not in an offline snapshot)
+      // ends the chain; only the current season is required
+      if (!seasons.length) throw e;
+      console.warn(`League history stops at ${seasons[seasons.length - 1].league.season}`, e);
+      break;
+    }
+  }
+  return seasons;
+}
+
+async function loadPlayoffs(league: SleeperLeague, nfl: { season: string; season_type: string; week: number }) {
+  const id = league.league_id;
+  const [winners, losers] = await Promise.all([
+    fetchJSON<SleeperBracketMatch[]>(`https://api.sleeper.app/v1/league/${id}/winners_bracket`).catch(() => []),
+    fetchJSON<SleeperBracketMatch[]>(`https://api.sleeper.app/v1/league/${id}/losers_bracket`).catch(() => []),
+  ]);
+  const totalRounds = Math.max(0, ...(winners || []).map((m) => m.r));
+  const start = Number(league.settings?.playoff_week_start) || regularSeasonEnd(league) + 1;
+  let through = totalRounds ? lastPlayoffWeek(league, totalRounds) : start - 1;
+  // Current season: only weeks that have started have scores worth showing
+  const current = !seasonOver(league, nfl);
+  if (current) through = Math.min(through, nfl.week);
+  const weekly = await loadSeasonMatchups(id, through, start, (w) => matchupsTTL(league, nfl, w));
+  return { winners: winners || [], losers: losers || [], weekly };
+}
+
+async function loadTransactions(league_id: string, throughWeek: number) {
+  const weeks = Array.from({ length: Math.max(0, throughWeek) }, (_, i) => i + 1);
+  const perWeek = await Promise.all(
+    weeks.map((w) =>
+      fetchJSON<SleeperTransaction[]>(`https://api.sleeper.app/v1/league/${league_id}/transactions/${w}`, {
+        ttl: w < throughWeek ? TTL.day : TTL.short,
+      })
+    )
+  );
+  return perWeek.flatMap((txs) => txs || []);
+}
+
+type NFLGame = { week: number; home: string; away: string; status?: string }; // "pre_game" | "in_game" | "complete"
+
+// `live` skips the once-a-day cache so game statuses stay current during games
+async function loadNFLSchedule(season: string, live = false) {
+  // Not part of the documented v1 API (it powers sleeper.com's schedule page), so
+  // treat it as optional: without it we simply can't flag bye weeks.
+  const key = `nfl_schedule_${season}`;
+  const today = new Date().toISOString().slice(0, 10);
+  if (live) return fetchJSON<NFLGame[]>(`https://api.sleeper.com/schedule/nfl/regular/${season}`, { ttl: LIVE_IDLE_POLL_MS, persist: false });
+  const cached = await cacheGet<{ day: string; games: NFLGame[] }>(key);
+  if (cached && cached.day === today) return cached.games;
+  const games = await fetchJSON<NFLGame[]>(`https://api.sleeper.com/schedule/nfl/regular/${season}`, { ttl: TTL.day, persist: false });
+  await cacheSet(key, { day: today, games });
+  return games;
+}
+
+function byeTeamsForWeek(games: NFLGame[] | null, week: number) {
+  if (!games?.length) return [];
+  const all = new Set(games.flatMap((g) => [g.home, g.away]));
+  const playing = new Set(games.filter((g) => g.week === week).flatMap((g) => [g.home, g.away]));
+  if (!playing.size) return []; // outside the regular season
+  return Array.from(all).filter((t) => !playing.has(t));
+}
+
+// Username → user; Sleeper answers unknown usernames with `null` rather than a 404
+async function lookupSleeperUser(username: string) {
+  const user = await fetchJSON<SleeperUser | null>(`https://api.sleeper.app/v1/user/${encodeURIComponent(username)}`);
+  if (!user?.user_id) throw new Error(`No Sleeper user named "${username}"`);
+  return user;
+}
+
+async function loadUserLeagues(user_id: string, season: string) {
+  return (await fetchJSON<SleeperLeague[] | null>(`https://api.sleeper.app/v1/user/${user_id}/leagues/nfl/${season}`)) || [];
+}
+
+async function getCurrentNFLState() {
+  return fetchJSON<{ season: string; season_type: string; week: number }>(`https://api.sleeper.app/v1/state/nfl`, { ttl: TTL.live });
+}
+
+/*********************  OFFLINE SNAPSHOTS & DEMO  *********************/
+// A snapshot is everything the UI reads for a league, stored as the API returned
+// it. Importing one pins those responses in the API client (seedResponse), so the
+// normal loaders run unchanged without touching the network.
+const SNAPSHOT_FORMAT = "sleeper-analyzer-snapshot";
+const SNAPSHOT_VERSION = 1;
+const DEMO_LEAGUE_ID = "demo";
+
+type ArchivedLeague = {
+  league: SleeperLeague;
+  users: SleeperUser[];
+  rosters: SleeperRoster[];
+  drafts: SleeperDraft[];
+  picks: Record<string, SleeperPick[]>; // by draft_id
+  matchups: Record<number, SleeperMatchup[]>; // by week
+  transactions: Record<number, SleeperTransaction[]>; // by week
+  winnersBracket: SleeperBracketMatch[];
+  losersBracket: SleeperBracketMatch[];
+  tradedPicks?: SleeperTradedPick[]; // optional: not in the earliest v1 exports
+  previousRosters?: SleeperRoster[] | null; // keeper leagues only
+};
+
+type SnapshotFile = {
+  format: typeof SNAPSHOT_FORMAT;
+  version: number;
+  exportedAt: string;
+  nflState: { season: string; season_type: string; week: number };
+  leagues: ArchivedLeague[];
+  players?: PlayerDirectory; // only players that appear in the leagues
+};
+
+async function archiveLeague(league_id: string, nfl: { season: string; season_type: string; week: number }): Promise<ArchivedLeague> {
+  const base = `https://api.sleeper.app/v1/league/${league_id}`;
+  const league = await fetchJSON<SleeperLeague>(base);
+  const weeks = seasonWeeks(league).map((w) => w.week);
+  const [users, rosters, drafts, matchups, txs, winnersBracket, losersBracket] = await Promise.all([
+    fetchJSON<SleeperUser[]>(`${base}/users`),
+    fetchJSON<SleeperRoster[]>(`${base}/rosters`),
+    fetchJSON<SleeperDraft[]>(`${base}/drafts`),
+    loadSeasonMatchups(league_id, weeks[weeks.length - 1], 1, (w) => matchupsTTL(league, nfl, w)),
+    Promise.all(weeks.map((w) => fetchJSON<SleeperTransaction[]>(`${base}/transactions/${w}`))),
+    fetchJSON<SleeperBracketMatch[]>(`${base}/winners_bracket`).catch(() => []),
+    fetchJSON<SleeperBracketMatch[]>(`${base}/losers_bracket`).catch(() => []),
+  ]);
+  const tradedPicks = await fetchJSON<SleeperTradedPick[]>(`${base}/traded_picks`).catch(() => []);
+  const prev = league.previous_league_id;
+  const previousRosters =
+    prev && prev !== "0" ? await fetchJSON<SleeperRoster[]>(`https://api.sleeper.app/v1/league/${prev}/rosters`).catch(() => null) : null;
+  const picks: Record<string, SleeperPick[]> = {};
+  for (const d of drafts || []) {
+    picks[d.draft_id] = await fetchJSON<SleeperPick[]>(`https://api.sleeper.app/v1/draft/${d.draft_id}/picks`);
+  }
+  const transactions: Record<number, SleeperTransaction[]> = {};
+  weeks.forEach((w, i) => (transactions[w] = txs[i] || []));
+  return {
+    league,
+    users,
+    rosters,
+    drafts: drafts || [],
+    picks,
+    matchups,
+    transactions,
+    winnersBracket: winnersBracket || [],
+    losersBracket: losersBracket || [],
+    tradedPicks: tradedPicks || [],
+    previousRosters,
+  };
+}
+
+function buildSnapshot(
+  leagues: ArchivedLeague[],
+  nflState: SnapshotFile["nflState"],
+  players: PlayerDirectory | null
+): SnapshotFile {
+  const ids = new Set<string>();
+  for (const a of leagues) {
+    a.rosters.forEach((r) => (r.players || []).forEach((p) => ids.add(p)));
+    Object.values(a.picks).flat().forEach((p) => ids.add(p.player_id));
+    Object.values(a.matchups).flat().forEach((m) => (m.players || m.starters || []).forEach((p) => ids.add(p)));
+    Object.values(a.transactions).flat().forEach((t) => Object.keys({ ...t.adds, ...t.drops }).forEach((p) => ids.add(p)));
+  }
+  const subset: PlayerDirectory = {};
+  if (players) ids.forEach((id) => players[id] && (subset[id] = players[id]));
+  return { format: SNAPSHOT_FORMAT, version: SNAPSHOT_VERSION, exportedAt: new Date().toISOString(), nflState, leagues, players: subset };
+}
+
+function parseSnapshot(text: string): SnapshotFile {
+  let file: SnapshotFile;
+  try {
+    file = JSON.parse(text);
+  } catch {
+    throw new Error("That file isn't valid JSON");
+  }
+  if (file?.format !== SNAPSHOT_FORMAT || !Array.isArray(file.leagues)) throw new Error("That file isn't a league snapshot");
+  if (typeof file.version !== "number") throw new Error("That snapshot has no format version");
+  if (file.version > SNAPSHOT_VERSION) {
+    throw new Error(`Snapshot version ${file.version} is newer than this site understands (${SNAPSHOT_VERSION})`);
+  }
+  if (typeof file.nflState?.season !== "string" || typeof file.nflState?.week !== "number") throw new Error("That snapshot is missing its NFL week");
+  if (!file.leagues.length) throw new Error("That snapshot has no leagues in it");
+  // Checked up front so a damaged entry fails here with a message, not halfway through mounting
+  file.leagues.forEach((a, i) => {
+    const ok =
+      typeof a?.league?.league_id === "string" &&
+      Array.isArray(a.users) &&
+      Array.isArray(a.rosters) &&
+      typeof a.matchups === "object" &&
+      a.matchups !== null &&
+      !Array.isArray(a.matchups);
+    if (!ok) throw new Error(`League ${i + 1} in that snapshot is incomplete (needs league, users, rosters and matchups)`);
+  });
+  return file;
+}
+
+// Pins every response in the snapshot and returns the league ids it covers
+function mountSnapshot(file: SnapshotFile) {
+  for (const a of file.leagues) {
+    const base = `https://api.sleeper.app/v1/league/${a.league.league_id}`;
+    seedResponse(base, a.league);
+    seedResponse(`${base}/users`, a.users);
+    seedResponse(`${base}/rosters`, a.rosters);
+    seedResponse(`${base}/drafts`, a.drafts || []);
+    seedResponse(`${base}/winners_bracket`, a.winnersBracket || []);
+    seedResponse(`${base}/losers_bracket`, a.losersBracket || []);
+    seedResponse(`${base}/traded_picks`, a.tradedPicks || []);
+    const prev = a.league.previous_league_id;
+    if (prev && a.previousRosters) seedResponse(`https://api.sleeper.app/v1/league/${prev}/rosters`, a.previousRosters);
+    for (const [draft_id, picks] of Object.entries(a.picks || {})) seedResponse(`https://api.sleeper.app/v1/draft/${draft_id}/picks`, picks);
+    for (const { week: w } of seasonWeeks(a.league)) {
+      seedResponse(`${base}/matchups/${w}`, a.matchups[w] || []);
+      seedResponse(`${base}/transactions/${w}`, a.transactions?.[w] || []);
+    }
+  }
+  return file.leagues.map((a) => a.league.league_id);
+}
+
+function demoSnapshot(): SnapshotFile {
+  // A fictional 10-team league, generated from a fixed seed rather than shipped as
+  // a blob of JSON: same data on every load, and it keeps this file readable.
+  let state = 2023;
+  const rand = () => {
+    // mulberry32
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  const gauss = () => Math.sqrt(-2 * Math.log(1 - rand())) * Math.cos(2 * Math.PI * rand());
+  const round1 = (x: number) => Math.round(x * 10) / 10;
+
+  const season = "2023";
+  const TEAMS = 10;
+  const ROUNDS = 15;
+  const league_id = DEMO_LEAGUE_ID;
+  const league: SleeperLeague = {
+    league_id,
+    name: "Demo League (sample data)",
+    season,
+    total_rosters: TEAMS,
+    settings: { playoff_week_start: 15, playoff_teams: 6, num_teams: TEAMS, draft_rounds: ROUNDS, waiver_budget: 100, type: 1, max_keepers: 1 },
+    scoring_settings: { rec: 1 },
+    roster_positions: ["QB", "RB", "RB", "WR", "WR", "TE", "FLEX", "K", "DEF", ...Array(6).fill("BN")],
+    previous_league_id: null,
+    status: "complete",
+  };
+  const managers = ["GridironGuru", "WaiverWendy", "TheCommish", "FourthAndLong", "BenchWarmer", "PuntGod", "RedZoneRita", "HailMaryHank", "TankCommander", "SnapCountSam"];
+  const users: SleeperUser[] = managers.map((display_name, i) => ({ user_id: `demo-user-${i + 1}`, display_name }));
+
+  // Player pool: position strength falls off with depth rank
+  const nflTeams = "ARI ATL BAL BUF CAR CHI CIN CLE DAL DEN DET GB HOU IND JAX KC LAC LAR LV MIA MIN NE NO NYG NYJ PHI PIT SEA SF TB TEN WAS".split(" ");
+  const firsts = "Aaron Bo Cal Dante Eli Femi Gus Hollis Isaiah Jalen Kenny Luca Marcus Nico Omar Pat Quinn Reggie Sal Tyrell".split(" ");
+  const lasts = "Adams Brooks Carter Dawson Ellis Foster Grant Hayes Irving Jennings Knox Lowe Moss Nash Owens Price Reed Shaw Tate Young Vance Wells".split(" ");
+  const layout: [string, number, number][] = [["QB", 20, 21], ["RB", 45, 16], ["WR", 55, 15], ["TE", 18, 11], ["K", 12, 8], ["DEF", 12, 8]];
+  type DemoPlayer = { id: string; pos: string; mean: number; sd: number; draftValue: number };
+  const pool: DemoPlayer[] = [];
+  const players: PlayerDirectory = {};
+  let n = 0;
+  for (const [pos, count, top] of layout) {
+    for (let i = 0; i < count; i++, n++) {
+      const team = nflTeams[(n * 7) % nflTeams.length];
+      const id = pos === "DEF" ? team : `demo-${n}`;
+      const mean = top * (1 - (0.6 * i) / count);
+      // Drafters see value through noise; QBs and kickers go later than their points
+      const discount = pos === "QB" ? 0.7 : pos === "K" || pos === "DEF" ? 0.3 : 1;
+      pool.push({ id, pos, mean, sd: mean * 0.45, draftValue: mean * discount * (1 + 0.15 * gauss()) });
+      const name = pos === "DEF" ? `${team} D/ST` : `${firsts[(n * 3) % firsts.length]} ${lasts[(n * 5) % lasts.length]}`;
+      players[id] = { name, pos, team, injury: "" };
+    }
+  }
+  const byId: Record<string, DemoPlayer> = Object.fromEntries(pool.map((p) => [p.id, p]));
+
+  // Snake draft, best available with sensible position caps
+  const caps: Record<string, number> = { QB: 2, TE: 2, K: 1, DEF: 1 };
+  const roster: Record<number, string[]> = {};
+  for (let r = 1; r <= TEAMS; r++) roster[r] = [];
+  const available = new Set(pool.map((p) => p.id));
+  const picks: SleeperPick[] = [];
+  for (let round = 1; round <= ROUNDS; round++) {
+    for (let i = 0; i < TEAMS; i++) {
+      const slot = round % 2 ? i + 1 : TEAMS - i;
+      const mine = roster[slot].map((id) => byId[id].pos);
+      const has = (pos: string) => mine.filter((x) => x === pos).length;
+      const need = round === ROUNDS - 1 && !has("K") ? "K" : round === ROUNDS && !has("DEF") ? "DEF" : null;
+      const choice = Array.from(available)
+        .map((id) => byId[id])
+        .filter((p) => (need ? p.pos === need : has(p.pos) < (caps[p.pos] ?? 99) && (round >= ROUNDS - 2 || (p.pos !== "K" && p.pos !== "DEF"))))
+        .sort(by((p) => p.draftValue))[0];
+      available.delete(choice.id);
+      roster[slot].push(choice.id);
+      const [first_name, ...rest] = players[choice.id].name.split(" ");
+      picks.push({
+        player_id: choice.id,
+        round,
+        pick_no: picks.length + 1,
+        draft_slot: slot,
+        roster_id: slot,
+        metadata: { position: choice.pos, team: players[choice.id].team, first_name, last_name: rest.join(" ") },
+      });
+    }
+  }
+  const drafts: SleeperDraft[] = [
+    {
+      draft_id: "demo-draft",
+      status: "complete",
+      season,
+      type: "snake",
+      settings: { rounds: ROUNDS, teams: TEAMS },
+      slot_to_roster_id: Object.fromEntries(Array.from({ length: TEAMS }, (_, i) => [String(i + 1), i + 1])),
+    },
+  ];
+
+  // In-season moves: a handful of waiver pickups and one trade
+  const kickoff = Date.UTC(2023, 8, 7);
+  const transactions: Record<number, SleeperTransaction[]> = {};
+  const move = (week: number, tx: Omit<SleeperTransaction, "transaction_id" | "status" | "leg" | "created">) => {
+    if (!transactions[week]) transactions[week] = [];
+    transactions[week].push({ ...tx, transaction_id: `demo-tx-${week}-${transactions[week].length}`, status: "complete", leg: week, created: kickoff + (week - 1) * 7 * 864e5 + 2 * 864e5 });
+  };
+  const waiverWeeks: [number, number][] = [[2, 4], [3, 9], [5, 2], [8, 6], [11, 7]];
+  const bench = (rid: number) =>
+    roster[rid].filter((id) => !["QB", "K", "DEF"].includes(byId[id].pos)).sort((a, b) => byId[a].mean - byId[b].mean)[0];
+  const scheduledMoves: Record<number, () => void> = {};
+  const tradedPicks: SleeperTradedPick[] = [];
+  for (const [week, rid] of waiverWeeks) {
+    scheduledMoves[week] = () => {
+      const add = Array.from(available)
+        .map((id) => byId[id])
+        .filter((p) => p.pos !== "K" && p.pos !== "DEF")
+        .sort(by((p) => p.mean))[0];
+      const drop = bench(rid);
+      available.delete(add.id);
+      available.add(drop);
+      roster[rid] = [...roster[rid].filter((id) => id !== drop), add.id];
+      const bid = Math.round(5 + 20 * rand());
+      move(week, { type: "waiver", roster_ids: [rid], adds: { [add.id]: rid }, drops: { [drop]: rid }, settings: { waiver_bid: bid } });
+    };
+  }
+  scheduledMoves[6] = () => {
+    const best = (rid: number, pos: string) => roster[rid].filter((id) => byId[id].pos === pos).sort((a, b) => byId[b].mean - byId[a].mean)[1];
+    const [a, b] = [best(1, "RB"), best(5, "WR")];
+    roster[1] = [...roster[1].filter((id) => id !== a), b];
+    roster[5] = [...roster[5].filter((id) => id !== b), a];
+    // Team 1 sweetens it with next year's 2nd
+    const pick: SleeperTradedPick = { season: "2024", round: 2, roster_id: 1, previous_owner_id: 1, owner_id: 5 };
+    tradedPicks.push(pick);
+    move(6, { type: "trade", roster_ids: [1, 5], adds: { [a]: 5, [b]: 1 }, drops: { [a]: 1, [b]: 5 }, draft_picks: [pick] });
+  };
+
+  // Weekly scoring; the starting lineup is the best projected one
+  const lineup = (rid: number) => {
+    const sorted = [...roster[rid]].sort((a, b) => byId[b].mean - byId[a].mean);
+    const starters: string[] = [];
+    const take = (ok: (p: DemoPlayer) => boolean) => {
+      const id = sorted.find((x) => !starters.includes(x) && ok(byId[x]));
+      if (id) starters.push(id);
+    };
+    for (const slot of league.roster_positions.filter((s) => s !== "BN")) {
+      take((p) => (slot === "FLEX" ? ["RB", "WR", "TE"].includes(p.pos) : p.pos === slot));
+    }
+    return starters;
+  };
+  // Round robin (circle method) for the regular season
+  const pairings = (week: number) => {
+    const ids = Array.from({ length: TEAMS }, (_, i) => i + 1);
+    const rot = (week - 1) % (TEAMS - 1);
+    const ring = [ids[0], ...ids.slice(1).map((_, i) => ids[1 + ((i + rot) % (TEAMS - 1))])];
+    return Array.from({ length: TEAMS / 2 }, (_, i) => [ring[i], ring[TEAMS - 1 - i]]);
+  };
+  const scoreWeek = (week: number, pairs: number[][]) => {
+    scheduledMoves[week]?.();
+    const out: SleeperMatchup[] = [];
+    pairs.forEach((pair, i) =>
+      pair.forEach((rid) => {
+        const starters = lineup(rid);
+        const players_points: Record<string, number> = {};
+        for (const id of roster[rid]) players_points[id] = Math.max(0, round1(byId[id].mean + byId[id].sd * gauss()));
+        const points = round1(starters.reduce((s, id) => s + players_points[id], 0));
+        out.push({ matchup_id: i + 1, roster_id: rid, starters, players: [...roster[rid]], points, players_points });
+      })
+    );
+    return out;
+  };
+  const matchups: Record<number, SleeperMatchup[]> = {};
+  const end = regularSeasonEnd(league);
+  for (let w = 1; w <= end; w++) matchups[w] = scoreWeek(w, pairings(w));
+
+  // Six-team bracket: seeds 1–2 get byes, then a final plus 3rd/5th place games
+  const standings = computeStandings(matchups, Array.from({ length: TEAMS }, (_, i) => ({ roster_id: i + 1 })), users, end);
+  const seed = standings.map((r) => r.roster_id);
+  const winnersBracket: SleeperBracketMatch[] = [];
+  const pointsIn = (week: number, rid: number) => matchups[week].find((m) => m.roster_id === rid)?.points || 0;
+  const playRound = (week: number, games: Omit<SleeperBracketMatch, "w" | "l">[]) => {
+    const paired = games.map((g) => [g.t1 as number, g.t2 as number]);
+    const inBracket = new Set(paired.flat());
+    // Everyone else plays a consolation game so each roster has a matchup row
+    const rest = seed.filter((rid) => !inBracket.has(rid));
+    const consolation = Array.from({ length: rest.length / 2 }, (_, i) => [rest[2 * i], rest[2 * i + 1]]);
+    matchups[week] = scoreWeek(week, [...paired, ...consolation]);
+    for (const g of games) {
+      const t1Wins = pointsIn(week, g.t1 as number) >= pointsIn(week, g.t2 as number);
+      winnersBracket.push({ ...g, w: t1Wins ? g.t1 : g.t2, l: t1Wins ? g.t2 : g.t1 });
+    }
+  };
+  const result = (m: number, key: "w" | "l") => winnersBracket.find((x) => x.m === m)?.[key] ?? null;
+  playRound(end + 1, [
+    { r: 1, m: 1, t1: seed[2], t2: seed[5] },
+    { r: 1, m: 2, t1: seed[3], t2: seed[4] },
+  ]);
+  playRound(end + 2, [
+    { r: 2, m: 3, t1: seed[0], t2: result(2, "w"), t2_from: { w: 2 } },
+    { r: 2, m: 4, t1: seed[1], t2: result(1, "w"), t2_from: { w: 1 } },
+    { r: 2, m: 5, t1: result(1, "l"), t2: result(2, "l"), t1_from: { l: 1 }, t2_from: { l: 2 }, p: 5 },
+  ]);
+  playRound(end + 3, [
+    { r: 3, m: 6, t1: result(3, "w"), t2: result(4, "w"), t1_from: { w: 3 }, t2_from: { w: 4 }, p: 1 },
+    { r: 3, m: 7, t1: result(3, "l"), t2: result(4, "l"), t1_from: { l: 3 }, t2_from: { l: 4 }, p: 3 },
+  ]);
+
+  const rosters: SleeperRoster[] = users.map((u, i) => ({ roster_id: i + 1, owner_id: u.user_id, players: roster[i + 1], starters: lineup(i + 1) }));
+  return {
+    format: SNAPSHOT_FORMAT,
+    version: SNAPSHOT_VERSION,
+    exportedAt: new Date(Date.UTC(2024, 0, 10)).toISOString(),
+    nflState: { season, season_type: "post", week: 18 },
+    leagues: [{ league, users, rosters, drafts, picks: { "demo-draft": picks }, matchups, transactions, winnersBracket, losersBracket: [], tradedPicks }],
+    players,
+  };
+}
+
+/*********************  HEADLESS REPORTS  *********************/
+// The same draft grades, previews and results the page shows, as plain rows for
+// sleeper_league_report_cli.mjs (scripted weekly posts, and the fixture check `npm test` runs).
+const round2 = (x: number) => Math.round(x * 100) / 100;
+
+type LeagueReport = {
+  league: { league_id: string; name: string; season: string };
+  week: number;
+  final: boolean; // week is complete, so results are included
+  grades: { rank: number; team: string; grade: string; score: number; topPicks: string[]; notes: string[] }[];
+  previews: { matchup_id: number; team_a: string; team_b: string; proj_a: number | null; proj_b: number | null; win_prob_a: number; label: string; game_of_week: boolean }[];
+  results: {
+    matchup_id: number;
+    team_a: string;
+    team_b: string;
+    score_a: number;
+    score_b: number;
+    winner: string;
+    margin: number;
+    star: string;
+    star_points: number | null;
+    median_a: string; // W/L/T against the week's median, median-game leagues only
+    median_b: string;
+  }[];
+};
+
+async function buildLeagueReport(
+  league_id: string,
+  week: number,
+  nfl: { season: string; season_type: string; week: number },
+  players: PlayerDirectory | null,
+  opts: { schedule?: boolean } = {}
+): Promise<LeagueReport> {
+  // Mirrors the page's loadOne: draft grades seed the power index until results take over
+  const bundle = await loadLeagueBundle(league_id);
+  const grades = evaluateDraft(bundle.draftPicks, bundle.league, bundle.rosters, bundle.users, null, {
+    draft: bundle.draftMeta,
+    previousRosters: bundle.previousRosters,
+  });
+  const throughWeek = lastCompletedWeek(bundle.league, nfl);
+  const weekly = await loadSeasonMatchups(league_id, throughWeek, 1, (w) => matchupsTTL(bundle.league, nfl, w));
+  const median = usesMedianGame(bundle.league) && !isPlayoffWeek(bundle.league, week);
+  const { power } = powerRankings(weekly, bundle.rosters, bundle.users, strengthFromDraft(grades), throughWeek, usesMedianGame(bundle.league));
+  const final = weekComplete(bundle.league, nfl, week);
+  const matchups = weekly[week] || (await loadWeekMatchups(league_id, week, matchupsTTL(bundle.league, nfl, week)));
+  const games = opts.schedule === false ? null : await loadNFLSchedule(bundle.league.season).catch(() => null);
+  const { previews, gameOfWeek } = previewMatchups(week, matchups, power, { weekly, players, games, byeTeams: byeTeamsForWeek(games, week), median });
+
+  const nameFor = (rid: number) => {
+    const r = bundle.rosters.find((x) => x.roster_id === rid);
+    return bundle.users.find((u) => u.user_id === r?.owner_id)?.display_name || `Team ${rid}`;
+  };
+  const playerName = (pid: string, fallback?: SleeperPick["metadata"]) => playerInfo(players, pid, fallback).name;
+
+  return {
+    league: { league_id, name: bundle.league.name, season: bundle.league.season },
+    week,
+    final,
+    grades: grades.map((t, i) => ({
+      rank: i + 1,
+      team: t.owner,
+      grade: t.grade,
+      score: round2(t.total),
+      topPicks: t.topPicks.map((p) => playerName(p.player_id, p.metadata)),
+      notes: t.notes,
+    })),
+    previews: previewRows(previews, gameOfWeek, nameFor),
+    results: final ? resultRows(summarizeCompletedMatchups(matchups, bundle.rosters, bundle.users, median), players) : [],
+  };
+}
+
+function previewRows(
+  previews: ReturnType<typeof previewMatchups>["previews"],
+  gameOfWeek: ReturnType<typeof previewMatchups>["gameOfWeek"],
+  nameFor: (rid: number) => string
+): LeagueReport["previews"] {
+  return previews.map((p) => ({
+    matchup_id: p.matchup_id,
+    team_a: nameFor(p.a),
+    team_b: nameFor(p.b),
+    proj_a: p.aProj == null ? null : round2(p.aProj),
+    proj_b: p.bProj == null ? null : round2(p.bProj),
+    win_prob_a: round2(p.aWinProb),
+    label: favoriteLabel(p.aWinProb),
+    game_of_week: p === gameOfWeek,
+  }));
+}
+
+function resultRows(games: ReturnType<typeof summarizeCompletedMatchups>, players: PlayerDirectory | null): LeagueReport["results"] {
+  return games.map((g) => ({
+    matchup_id: g.matchup_id as number,
+    team_a: g.aName,
+    team_b: g.bName,
+    score_a: round2(g.aScore),
+    score_b: round2(g.bScore),
+    winner: g.winner,
+    margin: Number(g.margin),
+    star: g.star ? playerInfo(players, g.star.player_id).name : "",
+    star_points: g.star ? round2(g.star.points) : null,
+    median_a: g.aMedian || "",
+    median_b: g.bMedian || "",
+  }));
+}
+
+function reportToMarkdown(r: LeagueReport) {
+  const pct = (x: number) => `${Math.round(x * 100)}%`;
+  const out = [`# ${r.league.name} (${r.league.season}) — Week ${r.week}`, ""];
+  if (r.results.length) {
+    out.push("## Results", "");
+    for (const g of r.results) {
+      const median = g.median_a ? ` · vs median ${g.median_a}/${g.median_b}` : "";
+      out.push(`- **${g.winner}** — ${g.team_a} ${g.score_a.toFixed(2)} vs ${g.team_b} ${g.score_b.toFixed(2)}` + (g.star ? ` (star: ${g.star}, ${g.star_points?.toFixed(2)})` : "") + median);
+    }
+    out.push("");
+  }
+  out.push(r.final ? "## Pre-game previews" : "## Previews", "");
+  for (const p of r.previews) {
+    const proj = p.proj_a != null ? ` — projected ${p.proj_a.toFixed(1)}–${p.proj_b?.toFixed(1)}` : "";
+    out.push(`- ${p.game_of_week ? "⭐ " : ""}${p.team_a} vs ${p.team_b}: ${pct(p.win_prob_a)}–${pct(1 - p.win_prob_a)} (${p.label})${proj}`);
+  }
+  out.push("", "## Draft grades", "", "| # | Team | Grade | Score | Top picks |", "|---|---|---|---|---|");
+  for (const t of r.grades) out.push(`| ${t.rank} | ${t.team} | ${t.grade} | ${t.score.toFixed(1)} | ${t.topPicks.join(", ")} |`);
+  return out.join("\n") + "\n";
+}
+
+function toCsv(rows: Record<string, unknown>[]) {
+  if (!rows.length) return "";
+  const cols = Object.keys(rows[0]);
+  const cell = (v: unknown) => {
+    const x = Array.isArray(v) ? v.join("; ") : v == null ? "" : String(v);
+    return /[",\n]/.test(x) ? `"${x.replace(/"/g, '""')}"` : x;
+  };
+  return [cols.join(","), ...rows.map((r) => cols.map((c) => cell(r[c])).join(","))].join("\n") + "\n";
+}
+
+function reportToCsv(r: LeagueReport): Record<"grades" | "previews" | "results", string> {
+  // One table per section; every row carries the league and week so files concatenate cleanly
+  const tag = (rows: Record<string, unknown>[]) => rows.map((x) => ({ league_id: r.league.league_id, week: r.week, ...x }));
+  return { grades: toCsv(tag(r.grades)), previews: toCsv(tag(r.previews)), results: toCsv(tag(r.results)) };
+}
+
+/*********************  WEBHOOK PUBLISHING  *********************/
+// Weekly previews and results posted to a Discord channel or Slack workspace via
+// incoming webhooks. Any http(s) URL is accepted, so a local mock server stands in
+// for testing. Webhook URLs are secrets: they stay in this browser's cache (or the
+// CLI's command line), never in links or snapshots.
+const WEBHOOKS_KEY = "sleeper-analyzer:webhooks";
+const WEBHOOK_LOG_KEY = "sleeper-analyzer:webhook-log";
+const DISCORD_MAX_FIELDS = 25;
+const SLACK_MAX_BLOCKS = 50;
+
+type WebhookKind = "discord" | "slack";
+type WebhookTarget = { id: string; kind: WebhookKind; label: string; url: string };
+
+// Host of an http(s) URL, or null for anything else ("http://" alone included)
+function webhookHost(url: string) {
+  if (!/^https?:\/\//i.test(url)) return null;
+  try {
+    return new URL(url).host || null;
+  } catch {
+    return null;
+  }
+}
+type PostKind = "previews" | "results";
+type WebhookMessage = { title: string; intro: string; items: { heading: string; body: string }[]; footer: string };
+// postKey → last post and where it went. `unconfirmed` holds browser sends to Slack,
+// whose answer the page can't read; they're shown but don't block a resend
+type PostedLog = Record<string, { at: number; targets: string[]; unconfirmed?: string[] }>;
+
+function postKey(league_id: string, week: number, kind: PostKind) {
+  return `${league_id}:${week}:${kind}`;
+}
+
+function previewsMessage(league: LeagueReport["league"], week: number, rows: LeagueReport["previews"]): WebhookMessage {
+  const pct = (x: number) => `${Math.round(x * 100)}%`;
+  const gotw = rows.find((p) => p.game_of_week);
+  return {
+    title: `${league.name} — Week ${week} previews`,
+    intro: gotw ? `Game of the Week: ${gotw.team_a} vs ${gotw.team_b} (${pct(gotw.win_prob_a)}–${pct(1 - gotw.win_prob_a)})` : "",
+    items: rows.map((p) => {
+      const fav = p.win_prob_a >= 0.5 ? p.team_a : p.team_b;
+      const odds = p.label === "toss-up" ? "Toss-up" : `${fav} ${p.label} (${pct(Math.max(p.win_prob_a, 1 - p.win_prob_a))})`;
+      return {
+        heading: `${p.game_of_week ? "⭐ " : ""}${p.team_a} vs ${p.team_b}`,
+        body: odds + (p.proj_a != null && p.proj_b != null ? ` · projected ${p.proj_a.toFixed(1)}–${p.proj_b.toFixed(1)}` : ""),
+      };
+    }),
+    footer: "Win probabilities from each side's starters and recent scoring",
+  };
+}
+
+function resultsMessage(league: LeagueReport["league"], week: number, rows: LeagueReport["results"]): WebhookMessage {
+  const decided = rows.filter((g) => g.winner !== "Tie");
+  const closest = [...decided].sort(by((g) => g.margin, "asc"))[0];
+  const blowout = [...decided].sort(by((g) => g.margin))[0];
+  const loser = (g: LeagueReport["results"][number]) => (g.winner === g.team_a ? g.team_b : g.team_a);
+  const intro = [
+    closest && `Closest: ${closest.winner} edged ${loser(closest)} by ${closest.margin.toFixed(2)}.`,
+    blowout && blowout !== closest && `Biggest win: ${blowout.winner} over ${loser(blowout)} by ${blowout.margin.toFixed(2)}.`,
+  ].filter(Boolean);
+  return {
+    title: `${league.name} — Week ${week} results`,
+    intro: intro.join(" "),
+    items: rows.map((g) => ({
+      heading: g.winner === "Tie" ? `${g.team_a} and ${g.team_b} tie` : `${g.winner} wins`,
+      body: [
+        `${g.team_a} ${g.score_a.toFixed(2)} – ${g.score_b.toFixed(2)} ${g.team_b}`,
+        g.star && `Star: ${g.star} (${g.star_points?.toFixed(1)})`,
+        g.median_a && `Vs median: ${g.team_a} ${g.median_a} · ${g.team_b} ${g.median_b}`,
+      ]
+        .filter(Boolean)
+        .join("\n"),
+    })),
+    footer: `Final scores from Sleeper · ${league.season} season`,
+  };
+}
+
+function clip(text: string, max: number) {
+  return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+}
+
+function toDiscordPayload(msg: WebhookMessage) {
+  // One embed; Discord caps fields at 25 and rejects empty values
+  const extra = msg.items.length - DISCORD_MAX_FIELDS;
+  return {
+    username: "Sleeper League Analyzer",
+    embeds: [
+      {
+        title: clip(msg.title, 256),
+        ...(msg.intro ? { description: clip(msg.intro, 4096) } : {}),
+        color: 0x111827,
+        fields: msg.items.slice(0, DISCORD_MAX_FIELDS).map((i) => ({ name: clip(i.heading, 256), value: clip(i.body || "—", 1024), inline: false })),
+        footer: { text: clip(extra > 0 ? `${msg.footer} · ${extra} more not shown` : msg.footer, 2048) },
+      },
+    ],
+  };
+}
+
+function toSlackPayload(msg: WebhookMessage) {
+  // Block Kit with a plain-text fallback for notifications; mrkdwn needs &, <, > escaped
+  const esc = (x: string) => x.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+  const blocks: Record<string, unknown>[] = [
+    { type: "header", text: { type: "plain_text", text: clip(msg.title, 150) } },
+    ...(msg.intro ? [{ type: "section", text: { type: "mrkdwn", text: clip(esc(msg.intro), 3000) } }] : []),
+    { type: "divider" },
+    ...msg.items.map((i) => ({ type: "section", text: { type: "mrkdwn", text: clip(`*${esc(i.heading)}*\n${esc(i.body)}`, 3000) } })),
+  ];
+  const extra = blocks.length - (SLACK_MAX_BLOCKS - 1);
+  const footer = extra > 0 ? `${msg.footer} · ${extra} more not shown` : msg.footer;
+  const context = { type: "context", elements: [{ type: "mrkdwn", text: esc(footer) }] };
+  return { text: msg.title, blocks: [...blocks.slice(0, SLACK_MAX_BLOCKS - 1), context] };
+}
+
+// Resolves true when the webhook confirmed the post, false when it went out unseen
+async function postWebhook(target: WebhookTarget, msg: WebhookMessage) {
+  if (!/^https?:\/\//i.test(target.url)) throw new Error(`${target.label}: not an http(s) URL`);
+  const inBrowser = typeof document !== "undefined";
+  let res: Response;
+  try {
+    if (target.kind === "slack") {
+      // Slack's endpoint sends no CORS headers, so a page can only make a simple
+      // form post and can't read the answer; Node gets the real status
+      const body = new URLSearchParams({ payload: JSON.stringify(toSlackPayload(msg)) });
+      res = await fetch(target.url, { method: "POST", body, ...(inBrowser ? { mode: "no-cors" as RequestMode } : {}) });
+    } else {
+      res = await fetch(target.url, { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(toDiscordPayload(msg)) });
+    }
+  } catch {
+    throw new Error(`${target.label}: couldn't reach the webhook`);
+  }
+  if (res.type === "opaque") return false;
+  if (!res.ok) {
+    throw new Error(`${target.label}: ${target.kind === "slack" ? "Slack" : "Discord"} answered ${res.status}${res.status === 429 ? " (rate limited)" : ""}`);
+  }
+  return true;
+}
+
+// Named exports for the headless CLI; the page itself only uses the default export
+export {
+  buildLeagueReport,
+  reportToMarkdown,
+  reportToCsv,
+  previewsMessage,
+  resultsMessage,
+  postWebhook,
+  postKey,
+  parseSnapshot,
+  mountSnapshot,
+  getCurrentNFLState,
+  loadLeague,
+  seasonWeeks,
+  defaultWeek,
+  loadPlayerDirectory,
+  evaluateDraft,
+  previewMatchups,
+  summarizeCompletedMatchups,
+};
+
+/*********************  UI  *********************/
+function Pill({ children }: { children: React.ReactNode }) {
+  return <span className="px-2 py-1 rounded-full text-xs bg-gray-100 border">{children}</span>;
+}
+
+function Section({ id, title, children }: { id?: string; title: string; children: React.ReactNode }) {
+  const hrefFor = useContext(SectionLinkContext);
+  return (
+    <div className="my-6" id={id ? `section-${id}` : undefined}>
+      <div className="group text-xl font-semibold mb-3">
+        {title}
+        {id && hrefFor && (
+          <a href={hrefFor(id)} className="ml-2 text-gray-300 group-hover:text-gray-500" title="Link to this section">#</a>
+        )}
+      </div>
+      <div className="grid gap-3">{children}</div>
+    </div>
+  );
+}
+
+function Card({ children }: { children: React.ReactNode }) {
+  return <div className="p-4 rounded-2xl border shadow-sm bg-white">{children}</div>;
+}
+
+function PlayerTag({ id, players, fallback }: { id: string; players: PlayerDirectory | null; fallback?: SleeperPick["metadata"] }) {
+  const p = playerInfo(players, id, fallback);
+  return (
+    <span className="inline-flex items-center gap-1">
+      <span className="font-medium">{p.name}</span>
+      {(p.pos || p.team) && <span className="text-xs text-gray-500">{[p.pos, p.team].filter(Boolean).join(" • ")}</span>}
+      {p.injury && <span className="px-1 rounded text-xs bg-red-100 text-red-700 border border-red-200">{p.injury}</span>}
+    </span>
+  );
+}
+
+function Loader() {
+  return (
+    <div className="flex items-center gap-2 text-sm text-gray-600">
+      <div className="animate-spin w-4 h-4 border-2 border-gray-300 border-t-transparent rounded-full" />
+      Loading…
+    </div>
+  );
+}
+
+type Discovery = { user: SleeperUser; season: string; leagues: SleeperLeague[] };
+
+function LeaguePicker({
+  discovery,
+  added,
+  seasons,
+  onSeason,
+  onAdd,
+  onClose,
+}: {
+  discovery: Discovery;
+  added: string[];
+  seasons: string[];
+  onSeason: (season: string) => void;
+  onAdd: (ids: string[]) => void;
+  onClose: () => void;
+}) {
+  const fresh = discovery.leagues.filter((l) => !added.includes(l.league_id));
+  const [picked, setPicked] = useState<string[]>(() => fresh.map((l) => l.league_id));
+  useEffect(() => setPicked(fresh.map((l) => l.league_id)), [discovery]); // eslint-disable-line react-hooks/exhaustive-deps
+  const toggle = (id: string) => setPicked((p) => (p.includes(id) ? p.filter((x) => x !== id) : [...p, id]));
+
+  return (
+    <Card>
+      <div className="flex items-center justify-between gap-2 flex-wrap">
+        <div className="font-semibold">
+          {discovery.user.display_name}'s leagues
+          <select value={discovery.season} onChange={(e) => onSeason(e.target.value)} className="ml-2 px-2 py-1 rounded-lg border bg-white text-sm">
+            {seasons.map((s) => (
+              <option key={s} value={s}>{s}</option>
+            ))}
+          </select>
+        </div>
+        <button onClick={onClose} className="text-sm text-gray-600 hover:underline">Close</button>
+      </div>
+      {discovery.leagues.length === 0 && <div className="mt-2 text-sm text-gray-600">No leagues in {discovery.season}.</div>}
+      <div className="mt-2 grid gap-1">
+        {discovery.leagues.map((l) => {
+          const already = added.includes(l.league_id);
+          return (
+            <label key={l.league_id} className={`flex items-center gap-2 text-sm ${already ? "text-gray-400" : ""}`}>
+              <input type="checkbox" disabled={already} checked={already || picked.includes(l.league_id)} onChange={() => toggle(l.league_id)} />
+              <span className="font-medium">{l.name}</span>
+              <span className="text-xs text-gray-500">{l.total_rosters} teams{already ? " • already added" : ""}</span>
+            </label>
+          );
+        })}
+      </div>
+      {fresh.length > 0 && (
+        <button
+          onClick={() => onAdd(picked)}
+          disabled={!picked.length}
+          className="mt-3 px-3 py-2 rounded-xl border bg-white hover:bg-gray-100 disabled:opacity-50"
+        >
+          Add {picked.length} league{picked.length === 1 ? "" : "s"}
+        </button>
+      )}
+    </Card>
+  );
+}
+
+function LeagueManager({
+  ids,
+  nameOf,
+  onMove,
+  onRemove,
+}: {
+  ids: string[];
+  nameOf: (id: string) => string;
+  onMove: (id: string, delta: number) => void;
+  onRemove: (id: string) => void;
+}) {
+  return (
+    <Card>
+      <div className="grid gap-1">
+        {ids.map((id, i) => (
+          <div key={id} className="flex items-center gap-2 text-sm">
+            <span className="w-6 text-right text-gray-500">{i + 1}.</span>
+            <span className="flex-1 font-medium">{nameOf(id)}</span>
+            <span className="font-mono text-xs text-gray-500">{id}</span>
+            <button onClick={() => onMove(id, -1)} disabled={i === 0} className="px-2 rounded border bg-white hover:bg-gray-100 disabled:opacity-30">↑</button>
+            <button onClick={() => onMove(id, 1)} disabled={i === ids.length - 1} className="px-2 rounded border bg-white hover:bg-gray-100 disabled:opacity-30">↓</button>
+            <button onClick={() => onRemove(id)} className="px-2 rounded border bg-white hover:bg-red-50 text-red-600">✕</button>
+          </div>
+        ))}
+      </div>
+    </Card>
+  );
+}
+
+function SeasonStatus({
+  league,
+  nfl,
+  draft,
+  champion,
+  nameFor,
+}: {
+  league: SleeperLeague;
+  nfl: { season: string; season_type: string; week: number };
+  draft: SleeperDraft | null;
+  champion: number | null;
+  nameFor: (rid: number) => string;
+}) {
+  // Only the in-between states need explaining; in season the sections speak for themselves
+  const phase = leaguePhase(league, nfl);
+  if (phase === "regular" || phase === "playoffs") return null;
+  const weeks = seasonWeeks(league);
+  const playoffs = weeks.filter((w) => w.kind === "playoff");
+  const calendar = `${weeks.length - playoffs.length}-week regular season${playoffs.length ? `, playoffs weeks ${playoffs[0].week}–${playoffs[playoffs.length - 1].week}` : ""}${usesMedianGame(league) ? ", plus a weekly game against the league median" : ""}.`;
+  if (phase === "preseason") {
+    const when = draft?.start_time ? new Date(draft.start_time).toLocaleString(undefined, { dateStyle: "medium", timeStyle: "short" }) : null;
+    const draftLine =
+      draft?.status === "drafting" ? "The draft is underway." :
+      draft?.status === "complete" ? "The draft is done — grades and the board are below." :
+      when ? `The draft is scheduled for ${when}.` : "The draft hasn't been scheduled yet.";
+    return (
+      <Card>
+        <div className="font-semibold">Preseason</div>
+        <div className="mt-1 text-sm text-gray-700">
+          The {league.season} season hasn't kicked off. {draftLine} Standings, odds and recaps start after week 1. {calendar}
+        </div>
+      </Card>
+    );
+  }
+  return (
+    <Card>
+      <div className="font-semibold">Season complete</div>
+      <div className="mt-1 text-sm text-gray-700">
+        {champion != null ? `${nameFor(champion)} won the ${league.season} title. ` : ""}
+        Every week below is final — pick one for its results and recap, or load the record book for past seasons. {calendar}
+      </div>
+    </Card>
+  );
+}
+
+function LeagueHeader({ league }: { league: SleeperLeague }) {
+  return (
+    <div className="flex items-center justify-between flex-wrap gap-2">
+      <div>
+        <div className="text-2xl font-bold">{league.name}</div>
+        <div className="text-sm text-gray-600">Season {league.season} • {league.total_rosters} teams</div>
+      </div>
+      <div className="flex flex-wrap gap-2">
+        {describeFormat(detectLeagueFormat(league)).map((f) => (
+          <Pill key={f}>{f}</Pill>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function Slider({ label, value, min, max, step, onChange }: { label: string; value: number; min: number; max: number; step: number; onChange: (v: number) => void }) {
+  return (
+    <label className="grid grid-cols-[7rem_1fr_3rem] items-center gap-2 text-sm">
+      <span className="text-gray-700">{label}</span>
+      <input type="range" min={min} max={max} step={step} value={value} onChange={(e) => onChange(parseFloat(e.target.value))} />
+      <span className="font-mono text-right">{Number.isInteger(step) ? value : value.toFixed(2)}</span>
+    </label>
+  );
+}
+
+function GradingSettings({
+  league,
+  draft,
+  overrides,
+  onChange,
+  shareUrl,
+}: {
+  league: SleeperLeague;
+  draft?: SleeperDraft | null;
+  overrides: GradingOverrides | null;
+  onChange: (o: GradingOverrides | null) => void;
+  shareUrl: (o: GradingOverrides) => string;
+}) {
+  const model = leagueGradingModel(league, overrides, draft);
+  const [note, setNote] = useState<string | null>(null);
+  const [importing, setImporting] = useState<string | null>(null);
+  const edit = (patch: GradingOverrides) => onChange({ ...overrides, ...patch, preset: "custom" });
+  const flash = (msg: string) => {
+    setNote(msg);
+    setTimeout(() => setNote(null), 1500);
+  };
+  const current: GradingOverrides = {
+    weights: model.weights,
+    positionValues: model.positionValues,
+    idealDepth: model.idealDepth,
+    roundCurve: model.roundCurve,
+  };
+  async function copy(text: string, done: string) {
+    // Rejects without clipboard permission, outside a secure context or an unfocused page
+    try {
+      await navigator.clipboard.writeText(text);
+      flash(done);
+    } catch {
+      flash("Couldn't copy — the browser blocked clipboard access");
+    }
+  }
+  function applyImport() {
+    let parsed: GradingOverrides | null = null;
+    try {
+      parsed = parseGradingOverrides(JSON.parse(importing || ""));
+    } catch {
+      flash("That isn't valid JSON");
+      return;
+    }
+    if (!parsed) {
+      flash("Those aren't grading settings (known keys with numbers only)");
+      return;
+    }
+    onChange({ ...parsed, preset: "custom" });
+    setImporting(null);
+  }
+
+  return (
+    <Card>
+      <div className="flex items-center gap-2 flex-wrap">
+        <select
+          value={overrides?.preset || "auto"}
+          onChange={(e) => {
+            const key = e.target.value;
+            if (key === "auto") onChange(null);
+            else if (GRADING_PRESETS[key]) onChange({ ...GRADING_PRESETS[key].overrides, preset: key });
+          }}
+          className="px-3 py-2 rounded-xl border bg-white"
+        >
+          <option value="auto">Auto-detected ({describeFormat(model.format).join(", ")})</option>
+          {Object.entries(GRADING_PRESETS).map(([key, p]) => (
+            <option key={key} value={key}>{p.label}</option>
+          ))}
+          {overrides?.preset === "custom" && <option value="custom">Custom</option>}
+        </select>
+        <button onClick={() => onChange(null)} className="px-3 py-2 rounded-xl border bg-white hover:bg-gray-100 text-sm">Reset to default</button>
+        <button onClick={() => copy(shareUrl(current), "Link copied")} className="px-3 py-2 rounded-xl border bg-white hover:bg-gray-100 text-sm">
+          Copy share link
+        </button>
+        <button onClick={() => copy(JSON.stringify(current, null, 2), "JSON copied")} className="px-3 py-2 rounded-xl border bg-white hover:bg-gray-100 text-sm">
+          Copy JSON
+        </button>
+        <button onClick={() => setImporting((x) => (x == null ? "" : null))} className="px-3 py-2 rounded-xl border bg-white hover:bg-gray-100 text-sm">
+          Import JSON
+        </button>
+        {note && <span className="text-sm text-gray-600">{note}</span>}
+      </div>
+      {importing != null && (
+        <div className="mt-3 grid gap-2">
+          <textarea
+            value={importing}
+            onChange={(e) => setImporting(e.target.value)}
+            placeholder="Paste a grading settings JSON blob (from Copy JSON)"
+            rows={6}
+            className="px-3 py-2 rounded-xl border font-mono text-xs"
+          />
+          <div className="flex gap-2">
+            <button onClick={applyImport} className="px-3 py-2 rounded-xl border bg-white hover:bg-gray-100 text-sm">Apply</button>
+            <button onClick={() => setImporting(null)} className="px-3 py-2 rounded-xl border bg-white hover:bg-gray-100 text-sm">Cancel</button>
+          </div>
+        </div>
+      )}
+      <div className="mt-4 grid md:grid-cols-2 lg:grid-cols-4 gap-6">
+        <div className="grid gap-2 content-start">
+          <div className="font-medium">Score weights</div>
+          {(Object.keys(SCORING_WEIGHTS) as (keyof typeof SCORING_WEIGHTS)[]).map((k) => (
+            <Slider key={k} label={k} value={model.weights[k]} min={0} max={1} step={0.05} onChange={(v) => edit({ weights: { ...model.weights, [k]: v } })} />
+          ))}
+        </div>
+        <div className="grid gap-2 content-start">
+          <div className="font-medium">Position values</div>
+          {Object.keys(model.positionValues).map((pos) => (
+            <Slider
+              key={pos}
+              label={pos}
+              value={model.positionValues[pos]}
+              min={0}
+              max={2}
+              step={0.05}
+              onChange={(v) => edit({ positionValues: { ...model.positionValues, [pos]: v } })}
+            />
+          ))}
+        </div>
+        <div className="grid gap-2 content-start">
+          <div className="font-medium">Ideal depth</div>
+          {Object.keys(model.idealDepth).map((pos) => (
+            <Slider
+              key={pos}
+              label={pos}
+              value={model.idealDepth[pos]}
+              min={0}
+              max={10}
+              step={1}
+              onChange={(v) => edit({ idealDepth: { ...model.idealDepth, [pos]: v } })}
+            />
+          ))}
+        </div>
+        <div className="grid gap-2 content-start">
+          <div className="font-medium">Round value curve</div>
+          <div className="text-xs text-gray-500">value = scale ÷ (pick + offset)^exponent</div>
+          <Slider label="scale" value={model.roundCurve.scale} min={50} max={200} step={5} onChange={(v) => edit({ roundCurve: { ...model.roundCurve, scale: v } })} />
+          <Slider label="offset" value={model.roundCurve.offset} min={0} max={10} step={0.5} onChange={(v) => edit({ roundCurve: { ...model.roundCurve, offset: v } })} />
+          <Slider label="exponent" value={model.roundCurve.exponent} min={0.2} max={1.2} step={0.05} onChange={(v) => edit({ roundCurve: { ...model.roundCurve, exponent: v } })} />
+        </div>
+      </div>
+    </Card>
+  );
+}
+
+function DraftGrades({ data, players }: { data: ReturnType<typeof evaluateDraft>; players: PlayerDirectory | null }) {
+  return (
+    <div className="grid md:grid-cols-2 lg:grid-cols-3 gap-3">
+      {data.map((t) => (
+        <Card key={t.roster_id}>
+          <div className="flex items-start justify-between">
+            <div>
+              <div className="text-lg font-semibold">{t.owner}</div>
+              <div className="text-sm text-gray-600">Draft Grade</div>
+            </div>
+            <div className="text-3xl font-black">{t.grade}</div>
+          </div>
+          <div className="mt-3 text-sm">
+            <div className="font-medium">{t.note}</div>
+            <div className="mt-1 text-gray-700">Heuristic score: {t.total.toFixed(1)}</div>
+            {t.topPicks.length > 0 && (
+              <div className="mt-2 grid gap-1">
+                {t.topPicks.map((p) => (
+                  <div key={p.pick_no} className="text-gray-700">
+                    <span className="font-mono text-xs mr-2">#{p.pick_no}</span>
+                    <PlayerTag id={p.player_id} players={players} fallback={p.metadata} />
+                  </div>
+                ))}
+              </div>
+            )}
+            {t.kept.length > 0 && (
+              <div className="mt-2 text-gray-700">
+                <span className="text-xs font-semibold uppercase text-gray-500 mr-1">Kept</span>
+                {t.kept.map((id, i) => (
+                  <span key={id}>
+                    {i > 0 && ", "}
+                    <PlayerTag id={id} players={players} />
+                  </span>
+                ))}
+              </div>
+            )}
+            {t.notes.length > 0 && (
+              <div className="mt-2 flex flex-wrap gap-2">
+                {t.notes.map((n, i) => (
+                  <Pill key={i}>{n}</Pill>
+                ))}
+              </div>
+            )}
+          </div>
+        </Card>
+      ))}
+    </div>
+  );
+}
+
+function DraftCapital({
+  capital,
+  nameFor,
+}: {
+  capital: ReturnType<typeof futureDraftCapital>;
+  nameFor: (rid: number) => string;
+}) {
+  return (
+    <Card>
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-500">
+              <th className="py-1 pr-2">Team</th>
+              {capital.seasons.map((s) => (
+                <th key={s} className="py-1 pr-2">{s}</th>
+              ))}
+              <th className="py-1 pr-2 text-right">Picks ±</th>
+              <th className="py-1 pr-2 text-right">Value</th>
+            </tr>
+          </thead>
+          <tbody>
+            {capital.teams.map((t) => (
+              <tr key={t.roster_id} className="border-t align-top">
+                <td className="py-1 pr-2 font-medium">{nameFor(t.roster_id)}</td>
+                {capital.seasons.map((season) => (
+                  <td key={season} className="py-1 pr-2">
+                    <div className="flex flex-wrap gap-1">
+                      {t.picks
+                        .filter((p) => p.season === season)
+                        .sort(by((p) => p.round, "asc"))
+                        .map((p) => (
+                          <span
+                            key={`${p.round}-${p.from}`}
+                            title={p.from === t.roster_id ? "Own pick" : `Via ${nameFor(p.from)}`}
+                            className={`px-1.5 rounded border font-mono text-xs ${p.from === t.roster_id ? "bg-white" : "bg-green-100 border-green-300"}`}
+                          >
+                            R{p.round}
+                          </span>
+                        ))}
+                    </div>
+                  </td>
+                ))}
+                <td className={`py-1 pr-2 font-mono text-right ${t.netPicks > 0 ? "text-green-700" : t.netPicks < 0 ? "text-red-700" : ""}`}>
+                  {t.netPicks > 0 ? "+" : ""}
+                  {t.netPicks}
+                </td>
+                <td className="py-1 pr-2 font-mono text-right">{t.value.toFixed(1)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <div className="mt-2 text-xs text-gray-500">
+        Green picks came in by trade. Values use the draft value curve at mid-round, discounted 10% per season out.
+      </div>
+    </Card>
+  );
+}
+
+const POSITION_COLORS: Record<string, string> = {
+  QB: "bg-red-100 border-red-300",
+  RB: "bg-green-100 border-green-300",
+  WR: "bg-blue-100 border-blue-300",
+  TE: "bg-orange-100 border-orange-300",
+  K: "bg-purple-100 border-purple-300",
+  DEF: "bg-gray-200 border-gray-400",
+};
+
+function PlayoffBracket({
+  kind,
+  bracket,
+  league,
+  weekly,
+  seeds,
+  nameFor,
+}: {
+  kind: BracketKind;
+  bracket: SleeperBracketMatch[];
+  league: SleeperLeague;
+  weekly: WeeklyMatchups;
+  seeds: Record<number, number>;
+  nameFor: (rid: number) => string;
+}) {
+  const total = Math.max(0, ...bracket.map((m) => m.r));
+  const rounds = Array.from({ length: total }, (_, i) => i + 1);
+  const source = (from?: { w?: number; l?: number }) =>
+    from?.w != null ? `Winner of M${from.w}` : from?.l != null ? `Loser of M${from.l}` : "TBD";
+  const row = (rid: number | null, from: SleeperBracketMatch["t1_from"], pts: number | null, match: SleeperBracketMatch) => {
+    const won = rid != null && match.w === rid;
+    const lost = rid != null && match.l === rid;
+    return (
+      <div className={`flex justify-between gap-2 ${won ? "font-semibold text-green-800" : lost ? "text-gray-400" : ""}`}>
+        <span className="truncate">
+          {rid != null ? (
+            <>
+              {seeds[rid] && <span className="font-mono text-xs text-gray-500 mr-1">({seeds[rid]})</span>}
+              {nameFor(rid)}
+            </>
+          ) : (
+            <span className="text-gray-500">{source(from)}</span>
+          )}
+        </span>
+        <span className="font-mono">{pts != null ? pts.toFixed(2) : ""}</span>
+      </div>
+    );
+  };
+  return (
+    <div className="overflow-x-auto">
+      <div className="flex gap-4 min-w-max">
+        {rounds.map((r) => (
+          <div key={r} className="w-60 flex flex-col gap-3 justify-around">
+            <div className="text-xs uppercase text-gray-500">
+              Round {r} • week {playoffRoundWeeks(league, r, total).join("–")}
+            </div>
+            {bracket
+              .filter((m) => m.r === r)
+              .sort((a, b) => (a.p || 0) - (b.p || 0) || a.m - b.m)
+              .map((m) => {
+                const weeks = playoffRoundWeeks(league, m.r, total);
+                const pts = bracketMatchScores(m, weeks, weekly);
+                return (
+                  <Card key={m.m}>
+                    <div className="flex justify-between text-xs text-gray-500 mb-1">
+                      <span>{bracketRoundName(m, kind, total, league)}</span>
+                      <span>M{m.m}</span>
+                    </div>
+                    <div className="text-sm grid gap-1">
+                      {row(m.t1, m.t1_from, pts.t1, m)}
+                      {row(m.t2, m.t2_from, pts.t2, m)}
+                    </div>
+                  </Card>
+                );
+              })}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function WeeklyRecap({ article }: { article: RecapArticle }) {
+  const [copied, setCopied] = useState<"ok" | "failed" | null>(null);
+  async function copyMarkdown() {
+    try {
+      await navigator.clipboard.writeText(recapToMarkdown(article));
+      setCopied("ok");
+    } catch {
+      setCopied("failed"); // no clipboard permission, insecure context or unfocused page
+    }
+    setTimeout(() => setCopied(null), 1500);
+  }
+  function downloadHtml() {
+    downloadBlob(new Blob([recapToHtml(article)], { type: "text/html" }), `${article.title.replace(/[^\w]+/g, "-").toLowerCase()}.html`);
+  }
+  return (
+    <Card>
+      <div className="flex items-start justify-between gap-3 flex-wrap">
+        <div className="text-xl font-bold">{article.title}</div>
+        <div className="flex gap-2">
+          <button onClick={copyMarkdown} className="px-3 py-1 rounded-xl border bg-white hover:bg-gray-100 text-sm">{copied === "ok" ? "Copied!" : copied === "failed" ? "Couldn't copy" : "Copy as Markdown"}</button>
+          <button onClick={downloadHtml} className="px-3 py-1 rounded-xl border bg-white hover:bg-gray-100 text-sm">Download HTML</button>
+        </div>
+      </div>
+      <div className="mt-2 text-gray-700">{article.intro}</div>
+      {article.sections.map((s) => (
+        <div key={s.heading} className="mt-3">
+          <div className="font-semibold">{s.heading}</div>
+          {s.lines.length > 1 ? (
+            <ul className="list-disc pl-5 text-sm">
+              {s.lines.map((l, i) => (
+                <li key={i}>{l}</li>
+              ))}
+            </ul>
+          ) : (
+            <div className="text-sm">{s.lines[0]}</div>
+          )}
+        </div>
+      ))}
+    </Card>
+  );
+}
+
+function PublishDialog({
+  league,
+  week,
+  previews,
+  results,
+  targets,
+  log,
+  onTargets,
+  onPosted,
+  onClose,
+}: {
+  league: LeagueReport["league"];
+  week: number;
+  previews: LeagueReport["previews"];
+  results: LeagueReport["results"] | null; // null until the week is complete
+  targets: WebhookTarget[];
+  log: PostedLog;
+  onTargets: (t: WebhookTarget[]) => void;
+  onPosted: (key: string, targetId: string, confirmed: boolean) => void;
+  onClose: () => void;
+}) {
+  const [kind, setKind] = useState<PostKind>(results ? "results" : "previews");
+  const [chosen, setChosen] = useState<string[]>(() => targets.map((t) => t.id));
+  const [draft, setDraft] = useState<{ kind: WebhookKind; label: string; url: string }>({ kind: "discord", label: "", url: "" });
+  const [sending, setSending] = useState(false);
+  const [status, setStatus] = useState<Record<string, string>>({});
+  const [resend, setResend] = useState(false);
+  const [urlError, setUrlError] = useState<string | null>(null);
+
+  const msg = kind === "results" && results ? resultsMessage(league, week, results) : previewsMessage(league, week, previews);
+  const key = postKey(league.league_id, week, kind);
+  const posted = log[key];
+  const picked = targets.filter((t) => chosen.includes(t.id));
+  const duplicates = picked.filter((t) => posted?.targets.includes(t.id));
+
+  function addTarget() {
+    const url = draft.url.trim();
+    const host = webhookHost(url);
+    if (!host) {
+      setUrlError("That isn't a webhook URL. Paste the full https:// address from the channel's integration settings.");
+      return;
+    }
+    const id = `${draft.kind}:${url}`;
+    if (!targets.some((t) => t.id === id)) {
+      onTargets([...targets, { id, kind: draft.kind, label: draft.label.trim() || `${draft.kind === "slack" ? "Slack" : "Discord"} ${host}`, url }]);
+      setChosen((c) => [...c, id]);
+    }
+    setDraft({ ...draft, label: "", url: "" });
+  }
+
+  async function send() {
+    setSending(true);
+    // One at a time, so a failure names its target and the rest still go out
+    for (const t of picked) {
+      setStatus((s) => ({ ...s, [t.id]: "Posting…" }));
+      try {
+        const confirmed = await postWebhook(t, msg);
+        onPosted(key, t.id, confirmed);
+        setStatus((s) => ({ ...s, [t.id]: confirmed ? "Posted" : "Sent, unconfirmed (Slack doesn't answer browsers; check the channel)" }));
+      } catch (e) {
+        setStatus((s) => ({ ...s, [t.id]: errorText(e) }));
+      }
+    }
+    setSending(false);
+    setResend(false);
+  }
+
+  return (
+    <div className="fixed inset-0 z-40 flex items-center justify-center bg-black/20 p-4" onClick={onClose}>
+      <div className="w-full max-w-2xl max-h-full overflow-y-auto bg-white rounded-2xl shadow-xl p-4 grid gap-3" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-start justify-between gap-3">
+          <div className="text-lg font-semibold">Publish week {week}</div>
+          <button onClick={onClose} className="px-2 py-1 rounded-lg border bg-white hover:bg-gray-100 text-sm">Close</button>
+        </div>
+
+        <div className="flex gap-2">
+          {(["previews", "results"] as const).map((k) => (
+            <button
+              key={k}
+              disabled={k === "results" && !results}
+              onClick={() => setKind(k)}
+              className={`px-3 py-1 rounded-full border text-sm disabled:opacity-40 ${kind === k ? "bg-black text-white" : "bg-white hover:bg-gray-100"}`}
+            >
+              {k === "previews" ? "Previews" : "Results"}
+            </button>
+          ))}
+          {!results && <span className="text-xs text-gray-500 self-center">Results unlock once the week is final.</span>}
+        </div>
+
+        <div>
+          <div className="text-sm font-semibold mb-1">Send to</div>
+          {targets.length === 0 && <div className="text-sm text-gray-600">No webhooks yet — add one below.</div>}
+          {targets.map((t) => (
+            <div key={t.id} className="flex items-center gap-2 text-sm py-1">
+              <input
+                type="checkbox"
+                checked={chosen.includes(t.id)}
+                onChange={(e) => setChosen((c) => (e.target.checked ? [...c, t.id] : c.filter((x) => x !== t.id)))}
+              />
+              <Pill>{t.kind === "slack" ? "Slack" : "Discord"}</Pill>
+              <span>{t.label}</span>
+              {posted?.targets.includes(t.id) ? (
+                <span className="text-xs text-amber-700">posted {new Date(posted.at).toLocaleString()}</span>
+              ) : (
+                posted?.unconfirmed?.includes(t.id) && <span className="text-xs text-gray-500">sent {new Date(posted.at).toLocaleString()}, unconfirmed</span>
+              )}
+              {status[t.id] && <span className="text-xs text-gray-600">{status[t.id]}</span>}
+              <button onClick={() => onTargets(targets.filter((x) => x.id !== t.id))} className="ml-auto text-xs text-gray-500 hover:underline">Remove</button>
+            </div>
+          ))}
+          <div className="flex gap-2 flex-wrap mt-2">
+            <select value={draft.kind} onChange={(e) => setDraft({ ...draft, kind: e.target.value as WebhookKind })} className="px-3 py-2 rounded-xl border bg-white">
+              <option value="discord">Discord</option>
+              <option value="slack">Slack</option>
+            </select>
+            <input value={draft.label} onChange={(e) => setDraft({ ...draft, label: e.target.value })} placeholder="Name (optional)" className="px-3 py-2 rounded-xl border w-36" />
+            <input
+              value={draft.url}
+              onChange={(e) => {
+                setDraft({ ...draft, url: e.target.value });
+                setUrlError(null);
+              }}
+              placeholder="Incoming webhook URL"
+              className="px-3 py-2 rounded-xl border flex-1 min-w-[12rem]"
+            />
+            <button onClick={addTarget} className="px-3 py-2 rounded-xl border bg-white hover:bg-gray-100">Add</button>
+          </div>
+          {urlError && <div className="text-xs text-red-600 mt-1">{urlError}</div>}
+          <div className="text-xs text-gray-500 mt-1">Webhook URLs are kept in this browser only — never in links or snapshots.</div>
+        </div>
+
+        <Card>
+          <div className="font-semibold">{msg.title}</div>
+          {msg.intro && <div className="text-sm text-gray-700 mt-1">{msg.intro}</div>}
+          <div className="mt-2 grid gap-2">
+            {msg.items.map((i) => (
+              <div key={i.heading} className="text-sm">
+                <div className="font-medium">{i.heading}</div>
+                <div className="whitespace-pre-line text-gray-700">{i.body}</div>
+              </div>
+            ))}
+          </div>
+          <div className="text-xs text-gray-500 mt-2">{msg.footer}</div>
+          <details className="mt-2 text-xs">
+            <summary className="cursor-pointer text-gray-600">Raw payloads</summary>
+            <pre className="mt-1 p-2 bg-gray-50 rounded-lg overflow-x-auto">{JSON.stringify({ discord: toDiscordPayload(msg), slack: toSlackPayload(msg) }, null, 2)}</pre>
+          </details>
+        </Card>
+
+        <div className="flex items-center gap-3 flex-wrap">
+          {duplicates.length > 0 && (
+            <label className="flex items-center gap-2 text-sm text-amber-700">
+              <input type="checkbox" checked={resend} onChange={(e) => setResend(e.target.checked)} />
+              Already posted to {duplicates.map((t) => t.label).join(", ")} — post again anyway
+            </label>
+          )}
+          <button
+            onClick={send}
+            disabled={sending || picked.length === 0 || (duplicates.length > 0 && !resend)}
+            className="ml-auto px-3 py-2 rounded-xl border bg-black text-white disabled:opacity-40"
+          >
+            {sending ? "Posting…" : `Post to ${picked.length} webhook${picked.length === 1 ? "" : "s"}`}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function LineupEfficiency({
+  report,
+  throughWeek,
+  nameFor,
+  players,
+}: {
+  report: ReturnType<typeof lineupEfficiency>;
+  throughWeek: number;
+  nameFor: (rid: number) => string;
+  players: PlayerDirectory | null;
+}) {
+  const [week, setWeek] = useState<number | "season">("season");
+  const pct = (x: number) => `${(x * 100).toFixed(1)}%`;
+  const weekRows = week === "season" ? [] : report.weeks.filter((x) => x.week === week).sort(by((x) => x.efficiency));
+  return (
+    <Card>
+      <div className="flex items-center gap-3 mb-2">
+        <select
+          value={week}
+          onChange={(e) => setWeek(e.target.value === "season" ? "season" : parseInt(e.target.value))}
+          className="px-3 py-2 rounded-xl border bg-white"
+        >
+          <option value="season">Season to date</option>
+          {Array.from({ length: throughWeek }, (_, i) => i + 1).map((w) => (
+            <option key={w} value={w}>Week {w}</option>
+          ))}
+        </select>
+        <span className="text-sm text-gray-600">Optimal lineups respect each slot's eligibility (FLEX, SUPER_FLEX, IDP).</span>
+      </div>
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-500">
+              <th className="py-1 pr-2">Team</th>
+              <th className="py-1 pr-2 text-right">Actual</th>
+              <th className="py-1 pr-2 text-right">Optimal</th>
+              <th className="py-1 pr-2 text-right">Left on bench</th>
+              <th className="py-1 pr-2 text-right">Efficiency</th>
+              <th className="py-1 pr-2">{week === "season" ? "Losses optimal lineup wins" : "Result"}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {week === "season"
+              ? report.season.map((r) => (
+                  <tr key={r.roster_id} className="border-t">
+                    <td className="py-1 pr-2 font-medium">{r.owner}</td>
+                    <td className="py-1 pr-2 font-mono text-right">{r.actual.toFixed(2)}</td>
+                    <td className="py-1 pr-2 font-mono text-right">{r.optimal.toFixed(2)}</td>
+                    <td className="py-1 pr-2 font-mono text-right">{r.benchPoints.toFixed(2)}</td>
+                    <td className="py-1 pr-2 font-mono text-right">{pct(r.efficiency)}</td>
+                    <td className="py-1 pr-2">{r.blownWins || "—"}</td>
+                  </tr>
+                ))
+              : weekRows.map((x) => (
+                  <tr key={x.roster_id} className="border-t align-top">
+                    <td className="py-1 pr-2 font-medium">
+                      {nameFor(x.roster_id)}
+                      {x.benchPoints > 0 && (
+                        <details className="text-xs text-gray-600 font-normal">
+                          <summary className="cursor-pointer">Optimal lineup</summary>
+                          {x.lineup.map((l, i) => (
+                            <div key={i}>
+                              <span className="font-mono mr-1">{l.slot}</span>
+                              {l.player_id ? <PlayerTag id={l.player_id} players={players} /> : "empty"} ({l.points.toFixed(1)})
+                            </div>
+                          ))}
+                        </details>
+                      )}
+                    </td>
+                    <td className="py-1 pr-2 font-mono text-right">{x.actual.toFixed(2)}</td>
+                    <td className="py-1 pr-2 font-mono text-right">{x.optimal.toFixed(2)}</td>
+                    <td className="py-1 pr-2 font-mono text-right">{x.benchPoints.toFixed(2)}</td>
+                    <td className="py-1 pr-2 font-mono text-right">{pct(x.efficiency)}</td>
+                    <td className="py-1 pr-2">
+                      {x.opponent == null ? "—" : x.wouldHaveWon ? <span className="text-red-700">Lost, optimal wins</span> : x.lost ? "Lost" : "Won/tied"}
+                    </td>
+                  </tr>
+                ))}
+          </tbody>
+        </table>
+      </div>
+    </Card>
+  );
+}
+
+function DraftBoard({
+  picks,
+  meta,
+  league,
+  adp,
+  players,
+  nameFor,
+  onImportAdp,
+  adpError,
+  overrides,
+}: {
+  picks: SleeperPick[];
+  meta: SleeperDraft | null;
+  league: SleeperLeague;
+  adp: AdpTable;
+  players: PlayerDirectory | null;
+  nameFor: (rid: number) => string;
+  onImportAdp: (csv: string) => void;
+  adpError?: string | null;
+  overrides?: GradingOverrides | null;
+}) {
+  const [selected, setSelected] = useState<number | null>(null);
+  const board = draftBoardLayout(picks, meta, league);
+  const teamPicks = selected == null ? [] : picks.filter((p) => p.roster_id === selected).sort(by((p) => p.pick_no, "asc"));
+  const hasConsensus = Object.values(adp).some((e) => e.source === "import" || e.samples >= 2);
+
+  return (
+    <div className="grid gap-3">
+      <div className="flex items-center gap-3 flex-wrap text-sm">
+        <Pill>{board.type === "snake" && board.reversal ? `Snake, reversal in round ${board.reversal}` : board.type}</Pill>
+        <Pill>{board.rounds} rounds × {board.teams} teams</Pill>
+        <label className="px-3 py-1 rounded-xl border bg-white hover:bg-gray-100 cursor-pointer">
+          Import ADP CSV
+          <input
+            type="file"
+            accept=".csv,text/csv"
+            className="hidden"
+            onChange={async (e) => {
+              const file = e.target.files?.[0];
+              if (file) onImportAdp(await file.text());
+              e.target.value = "";
+            }}
+          />
+        </label>
+        {adpError && <span className="text-red-600">{adpError}</span>}
+        {!hasConsensus && <span className="text-gray-600">Load more leagues or import ADP to flag reaches and steals.</span>}
+      </div>
+      <div className="overflow-x-auto">
+        <table className="text-xs border-separate" style={{ borderSpacing: 2 }}>
+          <thead>
+            <tr>
+              <th />
+              {Array.from({ length: board.teams }, (_, i) => {
+                const rid = board.slotRoster[i + 1];
+                return (
+                  <th key={i} className="px-1 font-medium">
+                    <button
+                      onClick={() => setSelected(selected === rid ? null : rid)}
+                      className={`w-full px-1 py-1 rounded ${selected === rid ? "bg-black text-white" : "hover:bg-gray-100"}`}
+                    >
+                      {rid != null ? nameFor(rid) : `Slot ${i + 1}`}
+                    </button>
+                  </th>
+                );
+              })}
+            </tr>
+          </thead>
+          <tbody>
+            {board.cells.map((row, ri) => (
+              <tr key={ri}>
+                <td className="pr-1 text-gray-500 whitespace-nowrap">R{ri + 1} {board.directions[ri] === "ltr" ? "→" : "←"}</td>
+                {row.map((p, ci) => {
+                  if (!p) return <td key={ci} className="w-24 h-12 rounded border border-dashed" />;
+                  const info = playerInfo(players, p.player_id, p.metadata);
+                  const verdict = pickVerdict(p, league, adp, overrides);
+                  const dim = selected != null && p.roster_id !== selected;
+                  return (
+                    <td
+                      key={ci}
+                      onClick={() => setSelected(selected === p.roster_id ? null : p.roster_id)}
+                      title={verdict ? `ADP ${verdict.adp.toFixed(1)} (12-team)` : undefined}
+                      className={`w-24 h-12 align-top p-1 rounded border cursor-pointer ${POSITION_COLORS[info.pos] || "bg-white"} ${dim ? "opacity-30" : ""}`}
+                    >
+                      <div className="flex justify-between text-gray-500">
+                        <span>
+                          {p.pick_no}
+                          {p.is_keeper && <span className="ml-1 px-1 rounded bg-yellow-200 text-yellow-900 font-bold" title="Keeper">K</span>}
+                        </span>
+                        {verdict?.flag && (
+                          <span className={verdict.flag === "steal" ? "text-green-700 font-bold" : "text-red-700 font-bold"}>
+                            {verdict.flag === "steal" ? "STEAL" : "REACH"}
+                          </span>
+                        )}
+                      </div>
+                      <div className="font-medium truncate">{info.name}</div>
+                      <div className="text-gray-600">{[info.pos, info.team].filter(Boolean).join(" ")}</div>
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      {selected != null && (
+        <Card>
+          <div className="font-semibold mb-2">{nameFor(selected)} — pick by pick</div>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500">
+                  <th className="py-1 pr-2">Pick</th>
+                  <th className="py-1 pr-2">Player</th>
+                  <th className="py-1 pr-2 text-right">ADP</th>
+                  <th className="py-1 pr-2 text-right">Value</th>
+                  <th className="py-1 pr-2 text-right">vs. ADP</th>
+                </tr>
+              </thead>
+              <tbody>
+                {teamPicks.map((p) => {
+                  const v = pickVerdict(p, league, adp, overrides);
+                  const model = leagueGradingModel(league, overrides, meta);
+                  const pos = (p.metadata?.position || "").toUpperCase();
+                  const value = v?.value ?? ROUND_VALUE(model.normalizePick(p.pick_no), model.roundCurve) * (model.positionValues[pos] || 1);
+                  return (
+                    <tr key={p.pick_no} className="border-t">
+                      <td className="py-1 pr-2 font-mono">{p.round}.{String(p.pick_no - (p.round - 1) * board.teams).padStart(2, "0")}</td>
+                      <td className="py-1 pr-2"><PlayerTag id={p.player_id} players={players} fallback={p.metadata} /></td>
+                      <td className="py-1 pr-2 font-mono text-right">{v ? v.adp.toFixed(1) : "—"}</td>
+                      <td className="py-1 pr-2 font-mono text-right">{value.toFixed(1)}</td>
+                      <td className={`py-1 pr-2 font-mono text-right ${v && v.gained > 0 ? "text-green-700" : v && v.gained < 0 ? "text-red-700" : ""}`}>
+                        {v ? `${v.gained > 0 ? "+" : ""}${v.gained.toFixed(1)}` : "—"}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        </Card>
+      )}
+    </div>
+  );
+}
+
+function Sparkline({
+  values,
+  width = 120,
+  height = 28,
+  max = 1,
+  baseline = 0.5,
+}: {
+  values: number[];
+  width?: number;
+  height?: number;
+  max?: number;
+  baseline?: number | null;
+}) {
+  // 0–max series; the dashed baseline defaults to a coin flip on a 0–1 scale
+  const y = (v: number) => height - (max > 0 ? v / max : 0) * height;
+  const points = values.map((v, i) => `${values.length > 1 ? (i / (values.length - 1)) * width : width},${y(v)}`).join(" ");
+  return (
+    <svg width={width} height={height} viewBox={`0 0 ${width} ${height}`} className="text-blue-600">
+      {baseline != null && <line x1={0} y1={y(baseline)} x2={width} y2={y(baseline)} stroke="#d1d5db" strokeDasharray="3 3" />}
+      <polyline points={points} fill="none" stroke="currentColor" strokeWidth={1.5} />
+    </svg>
+  );
+}
+
+function LiveScoreboard({
+  status,
+  games,
+  samples,
+  rosterMap,
+  users,
+}: {
+  status: LiveStatus;
+  games: ReturnType<typeof liveScoreboard>;
+  samples: LiveSample[];
+  rosterMap: Record<number, SleeperRoster>;
+  users: SleeperUser[];
+}) {
+  const nameFor = (rid: number) => {
+    const r = rosterMap[rid];
+    const u = users.find((x) => x.user_id === r?.owner_id);
+    return u?.display_name || `Team ${rid}`;
+  };
+  const updated = samples[samples.length - 1]?.at;
+  const detail = (s: LiveSide) =>
+    [s.playing && `${s.playing} playing`, s.yetToPlay && `${s.yetToPlay} yet to play`].filter(Boolean).join(" • ") || "all done";
+  return (
+    <div className="grid gap-3">
+      <div className="flex items-center gap-2 text-sm">
+        {status === "live" && <span className="px-2 py-1 rounded-full text-xs bg-red-600 text-white">● LIVE</span>}
+        {status === "idle" && <Pill>Between games — checking every few minutes</Pill>}
+        {status === "final" && <Pill>Final</Pill>}
+        {updated && <span className="text-gray-600">Updated {new Date(updated).toLocaleTimeString()}</span>}
+      </div>
+      <div className="grid md:grid-cols-2 gap-3">
+        {games.map((g) => {
+          const trend = samples.map((s) => s.scores[g.matchup_id]?.aWinProb).filter((x): x is number => x != null);
+          const lead = leadChanges(samples, g.matchup_id);
+          return (
+            <div key={g.matchup_id} className={`rounded-2xl border bg-white p-4 shadow-sm ${lead.latest ? "ring-2 ring-amber-400" : ""}`}>
+              <div className="flex items-center justify-between text-xs text-gray-500">
+                <span>Matchup #{g.matchup_id}</span>
+                {lead.latest ? <span className="px-2 py-0.5 rounded-full bg-amber-100 text-amber-800 font-semibold">Lead change!</span> : lead.changes > 0 && <span>{lead.changes} lead change{lead.changes === 1 ? "" : "s"}</span>}
+              </div>
+              {[
+                { rid: g.a, side: g.aSide, prob: g.aWinProb },
+                { rid: g.b, side: g.bSide, prob: 1 - g.aWinProb },
+              ].map(({ rid, side, prob }) => (
+                <div key={rid} className="mt-2 flex items-center justify-between gap-2">
+                  <div>
+                    <div className="font-semibold">{nameFor(rid)}</div>
+                    <div className="text-xs text-gray-500">{detail(side)}</div>
+                  </div>
+                  <div className="text-right">
+                    <div className="text-xl font-bold tabular-nums">{side.score.toFixed(2)}</div>
+                    <div className="text-xs text-gray-500">{Math.round(prob * 100)}% to win</div>
+                  </div>
+                </div>
+              ))}
+              {trend.length > 1 && (
+                <div className="mt-2 flex items-center gap-2 text-xs text-gray-500">
+                  <Sparkline values={trend} />
+                  <span>{nameFor(g.a)} win probability</span>
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+function Previews({
+  week,
+  previews,
+  rosterMap,
+  users,
+  players,
+  playoffLabels,
+}: {
+  week: number;
+  previews: ReturnType<typeof previewMatchups>["previews"];
+  rosterMap: Record<number, SleeperRoster>;
+  users: SleeperUser[];
+  players: PlayerDirectory | null;
+  playoffLabels?: ReturnType<typeof playoffMatchLabels>;
+}) {
+  const nameFor = (rid: number) => {
+    const r = rosterMap[rid];
+    const u = users.find((x) => x.user_id === r?.owner_id);
+    return u?.display_name || `Team ${rid}`;
+  };
+  return (
+    <div className="grid md:grid-cols-2 gap-3">
+      {previews.map((p) => {
+        const fav = p.aWinProb >= 0.5 ? p.a : p.b;
+        const favProb = Math.max(p.aWinProb, 1 - p.aWinProb);
+        const playoff = playoffLabels?.[[p.a, p.b].sort((x, y) => x - y).join("-")];
+        return (
+          <Card key={p.matchup_id}>
+            <div className="flex items-center justify-between">
+              <div className="font-semibold">{playoff ? `Week ${week} • ${playoff.round}` : `Week ${week} Preview`}</div>
+              <Pill>{p.aProj != null ? "Projected from starters" : `Diff ${p.diff.toFixed(1)}`}</Pill>
+            </div>
+            <div className="mt-2 text-lg">
+              {nameFor(p.a)} (<span className="font-mono">{p.aProj != null ? p.aProj.toFixed(1) : p.aPower.toFixed(1)}</span>)
+              <span className="mx-2">vs</span>
+              {nameFor(p.b)} (<span className="font-mono">{p.bProj != null ? p.bProj.toFixed(1) : p.bPower.toFixed(1)}</span>)
+            </div>
+            <div className="mt-2 flex h-2 rounded-full overflow-hidden bg-gray-200" title={`${Math.round(p.aWinProb * 100)}% – ${Math.round((1 - p.aWinProb) * 100)}%`}>
+              <div className="bg-gray-800" style={{ width: `${p.aWinProb * 100}%` }} />
+            </div>
+            <div className="mt-1 flex justify-between text-xs font-mono text-gray-600">
+              <span>{Math.round(p.aWinProb * 100)}%</span>
+              <span>{Math.round((1 - p.aWinProb) * 100)}%</span>
+            </div>
+            <div className="mt-2 text-sm text-gray-700">
+              {favoriteLabel(p.aWinProb) === "toss-up" ? "Toss-up" : `${nameFor(fav)} ${favoriteLabel(p.aWinProb)} (${Math.round(favProb * 100)}%)`}
+            </div>
+            {playoff && (
+              <div className={`mt-1 text-sm font-medium ${playoff.kind === "winners" ? "text-green-800" : "text-gray-600"}`}>{playoff.stakes}</div>
+            )}
+            {p.aMedianProb != null && p.bMedianProb != null && (
+              <div className="mt-1 text-xs text-gray-600">
+                Median game: {nameFor(p.a)} {Math.round(p.aMedianProb * 100)}% · {nameFor(p.b)} {Math.round(p.bMedianProb * 100)}% to finish in the top half
+              </div>
+            )}
+            {(() => {
+              // Empty slots, byes and injury designations among the submitted starters
+              const flagged = [
+                ...p.aFlags.map((f) => ({ ...f, rid: p.a })),
+                ...p.bFlags.map((f) => ({ ...f, rid: p.b })),
+              ];
+              const questionable = [...p.aStarters, ...p.bStarters].filter(
+                (id) => id !== "0" && players?.[id]?.injury && !flagged.some((f) => f.player_id === id)
+              );
+              if (!flagged.length && !questionable.length) return null;
+              return (
+                <div className="mt-2 text-sm text-gray-700">
+                  <div className="text-xs uppercase text-gray-500 mb-1">Lineup watch</div>
+                  <div className="grid gap-1">
+                    {flagged.map((f, i) => (
+                      <div key={i} className={f.kind === "injury" ? "" : "text-red-700"}>
+                        {nameFor(f.rid)}:{" "}
+                        {f.kind === "empty" ? "empty starter slot" : <><PlayerTag id={f.player_id} players={players} /> {f.kind === "bye" ? "on bye" : "not expected to play"}</>}
+                      </div>
+                    ))}
+                    {questionable.length > 0 && (
+                      <div className="flex flex-wrap gap-x-3 gap-y-1">
+                        {questionable.map((id) => (
+                          <PlayerTag key={id} id={id} players={players} />
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                </div>
+              );
+            })()}
+          </Card>
+        );
+      })}
+    </div>
+  );
+}
+
+function Summaries({ items, players }: { items: ReturnType<typeof summarizeCompletedMatchups>; players: PlayerDirectory | null }) {
+  return (
     <div className="grid md:grid-cols-2 gap-3">
-      {previews.map((p) => (
-        <Card key={p.matchup_id}>
+      {items.map((s) => (
+        <Card key={s.matchup_id}>
           <div className="flex items-center justify-between">
-            <div className="font-semibold">Week {week} Preview</div>
-            <Pill>Diff {p.diff.toFixed(1)}</Pill>
+            <div className="font-semibold">Final</div>
+            <Pill>Margin {s.margin}</Pill>
           </div>
           <div className="mt-2 text-lg">
-            {nameFor(p.a)} (<span className="font-mono">{p.aPower.toFixed(1)}</span>)
-            <span className="mx-2">vs</span>
-            {nameFor(p.b)} (<span className="font-mono">{p.bPower.toFixed(1)}</span>)
+            {s.aName} <span className="font-mono">{s.aPts}</span>
+            <span className="mx-2">—</span>
+            {s.bName} <span className="font-mono">{s.bPts}</span>
           </div>
           <div className="mt-2 text-sm text-gray-700">
-            {p.aPower === p.bPower ? "Toss-up" : p.aPower > p.bPower ? `${nameFor(p.a)} slight favorite` : `${nameFor(p.b)} slight favorite`}
+            {s.winner === "Tie" ? "Dead even — a rare draw." : `${s.winner} wins by ${s.margin}.`}
+            {s.star && (
+              <div className="mt-1">Star of the game: <PlayerTag id={s.star.player_id} players={players} /> ({s.star.points.toFixed(1)} pts)</div>
+            )}
+            {s.median != null && (
+              <div className="mt-1">
+                Vs the median ({s.median.toFixed(2)}): {s.aName} {s.aMedian} · {s.bName} {s.bMedian}
+              </div>
+            )}
+          </div>
+        </Card>
+      ))}
+    </div>
+  );
+}
+
+function Standings({ rows }: { rows: StandingRow[] }) {
+  const median = rows.some((r) => r.medianWins + r.medianLosses + r.medianTies > 0);
+  return (
+    <Card>
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-500">
+              <th className="py-1 pr-2">#</th>
+              <th className="py-1 pr-2">Team</th>
+              <th className="py-1 pr-2">W-L-T</th>
+              <th className="py-1 pr-2 text-right">PF</th>
+              <th className="py-1 pr-2 text-right">PA</th>
+              <th className="py-1 pr-2">Streak</th>
+              <th className="py-1 pr-2">All-Play</th>
+              {median && <th className="py-1 pr-2" title="Record against each week's median score, included in W-L-T">vs Median</th>}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((r, i) => (
+              <tr key={r.roster_id} className="border-t">
+                <td className="py-1 pr-2">{i + 1}</td>
+                <td className="py-1 pr-2 font-medium">{r.owner}</td>
+                <td className="py-1 pr-2 font-mono">{r.wins}-{r.losses}-{r.ties}</td>
+                <td className="py-1 pr-2 font-mono text-right">{r.pf.toFixed(2)}</td>
+                <td className="py-1 pr-2 font-mono text-right">{r.pa.toFixed(2)}</td>
+                <td className="py-1 pr-2">{r.streak}</td>
+                <td className="py-1 pr-2 font-mono">{r.allPlayWins}-{r.allPlayLosses}-{r.allPlayTies}</td>
+                {median && <td className="py-1 pr-2 font-mono">{r.medianWins}-{r.medianLosses}{r.medianTies ? `-${r.medianTies}` : ""}</td>}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </Card>
+  );
+}
+
+function PowerRankings({ items }: { items: ReturnType<typeof powerRankings>["rankings"] }) {
+  return (
+    <div className="grid md:grid-cols-2 gap-3">
+      {items.map((t) => (
+        <Card key={t.roster_id}>
+          <div className="flex items-center justify-between">
+            <div className="flex items-center gap-3">
+              <div className="text-2xl font-black w-8">{t.rank}</div>
+              <div>
+                <div className="font-semibold">{t.owner}</div>
+                <div className="text-xs text-gray-600">{t.record} • {Math.round(t.resultsWeight * 100)}% results / {Math.round((1 - t.resultsWeight) * 100)}% draft</div>
+              </div>
+            </div>
+            <div className="text-right">
+              <div className="font-mono">{t.power.toFixed(1)}</div>
+              <div className={`text-xs ${t.movement > 0 ? "text-green-700" : t.movement < 0 ? "text-red-700" : "text-gray-500"}`}>
+                {t.movement > 0 ? `▲ ${t.movement}` : t.movement < 0 ? `▼ ${-t.movement}` : "—"}
+              </div>
+            </div>
+          </div>
+        </Card>
+      ))}
+    </div>
+  );
+}
+
+function PlayoffOdds({
+  odds,
+  standings,
+  byes,
+  onRerun,
+}: {
+  odds: { results: SimResult[]; magic: ReturnType<typeof magicNumbers>; playoffTeams: number };
+  standings: StandingRow[];
+  byes: number;
+  onRerun: () => void;
+}) {
+  const byId = Object.fromEntries(odds.results.map((r) => [r.roster_id, r]));
+  const pct = (x: number) => (x >= 0.995 ? ">99%" : x > 0 && x < 0.005 ? "<1%" : `${Math.round(x * 100)}%`);
+  return (
+    <Card>
+      <div className="flex items-center justify-between mb-2">
+        <div className="text-sm text-gray-600">
+          {SIM_ITERATIONS.toLocaleString()} simulated seasons • top {odds.playoffTeams} make the playoffs
+        </div>
+        <button onClick={onRerun} className="px-3 py-1 rounded-xl border bg-white hover:bg-gray-100 text-sm">Re-run</button>
+      </div>
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-500">
+              <th className="py-1 pr-2">Team</th>
+              <th className="py-1 pr-2">Record</th>
+              <th className="py-1 pr-2 text-right">Proj. W</th>
+              <th className="py-1 pr-2 text-right">Playoffs</th>
+              {byes > 0 && <th className="py-1 pr-2 text-right">Bye</th>}
+              <th className="py-1 pr-2">Seed distribution</th>
+              <th className="py-1 pr-2">Magic #</th>
+            </tr>
+          </thead>
+          <tbody>
+            {standings.map((r) => {
+              const o = byId[r.roster_id];
+              const m = odds.magic[r.roster_id];
+              if (!o) return null;
+              return (
+                <tr key={r.roster_id} className="border-t">
+                  <td className="py-1 pr-2 font-medium">{r.owner}</td>
+                  <td className="py-1 pr-2 font-mono">{r.wins}-{r.losses}{r.ties ? `-${r.ties}` : ""}</td>
+                  <td className="py-1 pr-2 font-mono text-right">{o.avgWins.toFixed(1)}</td>
+                  <td className="py-1 pr-2 font-mono text-right">{pct(o.playoffPct)}</td>
+                  {byes > 0 && <td className="py-1 pr-2 font-mono text-right">{pct(o.byePct)}</td>}
+                  <td className="py-1 pr-2">
+                    <div className="flex gap-px">
+                      {o.seedPct.map((p, i) => (
+                        <div
+                          key={i}
+                          title={`Seed ${i + 1}: ${pct(p)}`}
+                          className={`w-4 h-4 rounded-sm ${i < odds.playoffTeams ? "bg-green-700" : "bg-gray-700"}`}
+                          style={{ opacity: 0.08 + 0.92 * p }}
+                        />
+                      ))}
+                    </div>
+                  </td>
+                  <td className="py-1 pr-2">
+                    {m.kind === "magic"
+                      ? m.value === 0 ? "Clinched" : m.value
+                      : m.value === 0 ? "Eliminated" : `Elim ${m.value}`}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </Card>
+  );
+}
+
+function LuckLeaderboard({ rows }: { rows: LuckRow[] }) {
+  const pct = (x: number) => `${(x * 100).toFixed(1)}%`;
+  // Rank 1 = hardest schedule
+  const sosRank = (key: "sosPast" | "sosRemaining") => {
+    const ranked = rows.filter((r) => r[key] != null).sort(by((r) => r[key] as number));
+    return (rid: number) => ranked.findIndex((r) => r.roster_id === rid) + 1;
+  };
+  const pastRank = sosRank("sosPast");
+  const aheadRank = sosRank("sosRemaining");
+  const hasRemaining = rows.some((r) => r.sosRemaining != null);
+  return (
+    <div className="overflow-x-auto">
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-left text-gray-500">
+            <th className="py-1 pr-2">Team</th>
+            <th className="py-1 pr-2 text-right">Wins</th>
+            <th className="py-1 pr-2 text-right">Expected</th>
+            <th className="py-1 pr-2 text-right">Luck</th>
+            <th className="py-1 pr-2 text-right">All-play</th>
+            <th className="py-1 pr-2 text-right" title="Opponents' all-play win rate; rank 1 = hardest">SOS so far</th>
+            {hasRemaining && <th className="py-1 pr-2 text-right">SOS remaining</th>}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((r) => (
+            <tr key={r.roster_id} className="border-t">
+              <td className="py-1 pr-2 font-medium">{r.owner}</td>
+              <td className="py-1 pr-2 font-mono text-right">{r.wins}</td>
+              <td className="py-1 pr-2 font-mono text-right">{r.expectedWins.toFixed(1)}</td>
+              <td className={`py-1 pr-2 font-mono text-right ${r.luck >= 0.5 ? "text-green-700" : r.luck <= -0.5 ? "text-red-700" : ""}`}>
+                {r.luck > 0 ? "+" : ""}
+                {r.luck.toFixed(1)}
+              </td>
+              <td className="py-1 pr-2 font-mono text-right">{pct(r.allPlayPct)}</td>
+              <td className="py-1 pr-2 font-mono text-right">
+                {pct(r.sosPast)} <span className="text-gray-500">#{pastRank(r.roster_id)}</span>
+              </td>
+              {hasRemaining && (
+                <td className="py-1 pr-2 font-mono text-right">
+                  {r.sosRemaining == null ? "—" : (
+                    <>
+                      {pct(r.sosRemaining)} <span className="text-gray-500">#{aheadRank(r.roster_id)}</span>
+                    </>
+                  )}
+                </td>
+              )}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+function ScheduleSwap({ luck, nameFor }: { luck: ReturnType<typeof scheduleLuck>; nameFor: (rid: number) => string }) {
+  const { swap, order } = luck;
+  return (
+    <div className="overflow-x-auto">
+      <table className="text-xs border-separate" style={{ borderSpacing: 2 }}>
+        <thead>
+          <tr>
+            <th className="text-left text-gray-500 font-normal pr-2">Team ↓ on schedule of →</th>
+            {order.map((b) => (
+              <th key={b} className="px-1 font-medium max-w-[5rem] truncate" title={nameFor(b)}>{nameFor(b)}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {order.map((a) => {
+            const own = swap[a][a];
+            const ownWins = own.w + own.t / 2;
+            return (
+              <tr key={a}>
+                <td className="pr-2 font-medium whitespace-nowrap">{nameFor(a)}</td>
+                {order.map((b) => {
+                  const rec = swap[a][b];
+                  const diff = rec.w + rec.t / 2 - ownWins;
+                  const tone = diff > 0 ? "bg-green-600" : diff < 0 ? "bg-red-600" : "bg-gray-400";
+                  return (
+                    <td key={b} className="p-0" title={`${nameFor(a)} on ${nameFor(b)}'s schedule: ${rec.w}-${rec.l}${rec.t ? `-${rec.t}` : ""}`}>
+                      <div className="relative px-1 py-1 text-center font-mono rounded">
+                        <div className={`absolute inset-0 rounded ${a === b ? "bg-white border border-black" : tone}`} style={{ opacity: a === b ? 1 : Math.min(0.7, 0.08 + Math.abs(diff) * 0.18) }} />
+                        <span className="relative">{rec.w}-{rec.l}{rec.t ? `-${rec.t}` : ""}</span>
+                      </div>
+                    </td>
+                  );
+                })}
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+function Transactions({
+  transactions,
+  trades,
+  nameFor,
+  players,
+}: {
+  transactions: SleeperTransaction[];
+  trades: GradedTrade[];
+  nameFor: (rid: number) => string;
+  players: PlayerDirectory | null;
+}) {
+  const [weekFilter, setWeekFilter] = useState<number | "all">("all");
+  const weeks = Array.from(new Set(transactions.map((t) => t.leg))).sort((a, b) => b - a);
+  const gradesById = Object.fromEntries(trades.map((t) => [t.tx.transaction_id, t]));
+  const items = transactions
+    .filter((t) => t.status === "complete" && (weekFilter === "all" || t.leg === weekFilter))
+    .sort(by((t) => t.created));
+  const label = { trade: "Trade", waiver: "Waiver", free_agent: "Free agent", commissioner: "Commissioner" } as const;
+
+  const moves = (tx: SleeperTransaction, rid: number) => {
+    const adds = Object.entries(tx.adds || {}).filter(([, to]) => to === rid).map(([pid]) => pid);
+    const drops = Object.entries(tx.drops || {}).filter(([, from]) => from === rid).map(([pid]) => pid);
+    return { adds, drops };
+  };
+
+  return (
+    <div className="grid gap-3">
+      <div className="flex items-center gap-3">
+        <div className="text-sm">Week:</div>
+        <select
+          value={weekFilter}
+          onChange={(e) => setWeekFilter(e.target.value === "all" ? "all" : parseInt(e.target.value))}
+          className="px-3 py-2 rounded-xl border bg-white"
+        >
+          <option value="all">All weeks</option>
+          {weeks.map((w) => (
+            <option key={w} value={w}>Week {w}</option>
+          ))}
+        </select>
+      </div>
+      {items.length === 0 && (
+        <Card>
+          <div className="text-sm">No transactions yet.</div>
+        </Card>
+      )}
+      <div className="grid md:grid-cols-2 gap-3">
+        {items.map((tx) => {
+          const graded = gradesById[tx.transaction_id];
+          return (
+            <Card key={tx.transaction_id}>
+              <div className="flex items-center justify-between">
+                <div className="font-semibold">{label[tx.type] || tx.type}</div>
+                <div className="flex gap-2">
+                  <Pill>Week {tx.leg}</Pill>
+                  {tx.type === "waiver" && tx.settings?.waiver_bid != null && <Pill>${tx.settings.waiver_bid} FAAB</Pill>}
+                </div>
+              </div>
+              <div className="mt-2 grid gap-2 text-sm">
+                {graded
+                  ? graded.sides.map((side) => (
+                      <div key={side.roster_id}>
+                        <div className="flex items-center justify-between">
+                          <div className="font-medium">{side.owner} receives</div>
+                          <div className="text-lg font-black">{side.grade}</div>
+                        </div>
+                        <div className="flex flex-wrap gap-x-3 gap-y-1 text-gray-700">
+                          {side.players.map((pid) => (
+                            <PlayerTag key={pid} id={pid} players={players} />
+                          ))}
+                          {side.picks.map((p, i) => (
+                            <span key={i}>{p.season} round {p.round} pick{p.roster_id !== side.roster_id ? ` (via ${nameFor(p.roster_id)})` : ""}</span>
+                          ))}
+                          {side.faab > 0 && <span>${side.faab} FAAB</span>}
+                        </div>
+                        <div className="text-xs text-gray-500">
+                          {side.pointsSince.toFixed(1)} pts since • {Math.round(side.share * 100)}% of value
+                        </div>
+                      </div>
+                    ))
+                  : tx.roster_ids.map((rid) => {
+                      const { adds, drops } = moves(tx, rid);
+                      return (
+                        <div key={rid}>
+                          <div className="font-medium">{nameFor(rid)}</div>
+                          {adds.map((pid) => (
+                            <div key={pid} className="text-green-700">+ <PlayerTag id={pid} players={players} /></div>
+                          ))}
+                          {drops.map((pid) => (
+                            <div key={pid} className="text-red-700">− <PlayerTag id={pid} players={players} /></div>
+                          ))}
+                        </div>
+                      );
+                    })}
+              </div>
+            </Card>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+const PLAYER_SORTS: Record<string, { label: string; key: (p: PlayerSeason) => number }> = {
+  total: { label: "Total points", key: (p) => p.total },
+  avg: { label: "Points per game", key: (p) => p.avg },
+  consistency: { label: "Most consistent", key: (p) => (p.games > 1 ? -p.sd : -Infinity) },
+  boom: { label: "Boom rate", key: (p) => p.boomRate },
+};
+
+function PlayerStats({
+  stats,
+  rosters,
+  players,
+  nameFor,
+}: {
+  stats: ReturnType<typeof playerAnalytics>;
+  rosters: SleeperRoster[];
+  players: PlayerDirectory | null;
+  nameFor: (rid: number) => string;
+}) {
+  const [pos, setPos] = useState("all");
+  const [team, setTeam] = useState<number | "all">("all");
+  const [sort, setSort] = useState("total");
+  const [open, setOpen] = useState<string | null>(null);
+  const pct = (x: number) => `${Math.round(x * 100)}%`;
+  const rows = stats.players
+    .filter((p) => (pos === "all" || p.pos === pos) && (team === "all" || p.byTeam[team]))
+    .sort(by(PLAYER_SORTS[sort].key))
+    .slice(0, 50);
+  const selected = open ? stats.players.find((p) => p.player_id === open) : null;
+  const teamsFor = (p: PlayerSeason) =>
+    Object.entries(p.byTeam)
+      .sort(by(([, x]) => x.points))
+      .map(([rid, x]) => `${nameFor(Number(rid))} ${x.started.toFixed(1)}`)
+      .join(", ");
+  return (
+    <>
+      <Card>
+        <div className="flex items-center gap-3 mb-2 flex-wrap">
+          <select value={pos} onChange={(e) => setPos(e.target.value)} className="px-3 py-2 rounded-xl border bg-white">
+            <option value="all">All positions</option>
+            {stats.positions.map((r) => (
+              <option key={r.pos} value={r.pos}>{r.pos}</option>
+            ))}
+          </select>
+          <select value={team} onChange={(e) => setTeam(e.target.value === "all" ? "all" : parseInt(e.target.value))} className="px-3 py-2 rounded-xl border bg-white">
+            <option value="all">All fantasy teams</option>
+            {rosters.map((r) => (
+              <option key={r.roster_id} value={r.roster_id}>{nameFor(r.roster_id)}</option>
+            ))}
+          </select>
+          <select value={sort} onChange={(e) => setSort(e.target.value)} className="px-3 py-2 rounded-xl border bg-white">
+            {Object.entries(PLAYER_SORTS).map(([k, v]) => (
+              <option key={k} value={k}>{v.label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500">
+                <th className="py-1 pr-2">Player</th>
+                <th className="py-1 pr-2 text-right">G</th>
+                <th className="py-1 pr-2 text-right">Total</th>
+                <th className="py-1 pr-2 text-right">Avg</th>
+                <th className="py-1 pr-2 text-right" title="Standard deviation of weekly points">SD</th>
+                <th className="py-1 pr-2 text-right">Boom</th>
+                <th className="py-1 pr-2 text-right">Bust</th>
+                <th className="py-1 pr-2">{team === "all" ? "Started points by team" : `For ${nameFor(team)}`}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((p) => (
+                <tr key={p.player_id} className="border-t">
+                  <td className="py-1 pr-2">
+                    <button onClick={() => setOpen(p.player_id)} className="text-left hover:underline">
+                      <PlayerTag id={p.player_id} players={players} />
+                    </button>
+                  </td>
+                  <td className="py-1 pr-2 font-mono text-right">{p.games}</td>
+                  <td className="py-1 pr-2 font-mono text-right">{p.total.toFixed(1)}</td>
+                  <td className="py-1 pr-2 font-mono text-right">{p.avg.toFixed(1)}</td>
+                  <td className="py-1 pr-2 font-mono text-right">{p.games > 1 ? p.sd.toFixed(1) : "—"}</td>
+                  <td className="py-1 pr-2 font-mono text-right">{pct(p.boomRate)}</td>
+                  <td className="py-1 pr-2 font-mono text-right">{pct(p.bustRate)}</td>
+                  <td className="py-1 pr-2 text-gray-700">
+                    {team === "all" ? teamsFor(p) : `${p.byTeam[team].points.toFixed(1)} (${p.byTeam[team].started.toFixed(1)} started)`}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <div className="mt-2 text-xs text-gray-500">
+          Boom and bust are the top and bottom {Math.round((1 - BOOM_PERCENTILE) * 100)}% of this league's starter scores at each position. Byes and benched zeros are left out.
+        </div>
+      </Card>
+
+      <div className="grid md:grid-cols-2 gap-3">
+        <Card>
+          <div className="text-sm font-semibold mb-2">By position</div>
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500">
+                <th className="py-1 pr-2">Pos</th>
+                <th className="py-1 pr-2 text-right">Started pts</th>
+                <th className="py-1 pr-2 text-right">Avg</th>
+                <th className="py-1 pr-2 text-right">SD</th>
+                <th className="py-1 pr-2 text-right" title="Boom / bust lines">Boom / bust</th>
+                <th className="py-1 pr-2">Leader</th>
+              </tr>
+            </thead>
+            <tbody>
+              {stats.positions.map((r) => (
+                <tr key={r.pos} className="border-t">
+                  <td className="py-1 pr-2 font-mono">{r.pos}</td>
+                  <td className="py-1 pr-2 font-mono text-right">{r.started.toFixed(0)}</td>
+                  <td className="py-1 pr-2 font-mono text-right">{r.avg.toFixed(1)}</td>
+                  <td className="py-1 pr-2 font-mono text-right">{r.sd.toFixed(1)}</td>
+                  <td className="py-1 pr-2 font-mono text-right">{r.boom.toFixed(1)} / {r.bust.toFixed(1)}</td>
+                  <td className="py-1 pr-2">{r.leader && <PlayerTag id={r.leader} players={players} />}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </Card>
+        <Card>
+          <div className="text-sm font-semibold mb-2">Top weekly performances</div>
+          <ol className="text-sm space-y-1">
+            {stats.top.map((x, i) => (
+              <li key={`${x.player_id}-${x.week}`} className="flex items-baseline gap-2">
+                <span className="text-gray-500 w-5 text-right">{i + 1}.</span>
+                <button onClick={() => setOpen(x.player_id)} className="text-left hover:underline">
+                  <PlayerTag id={x.player_id} players={players} />
+                </button>
+                <span className="font-mono">{x.points.toFixed(1)}</span>
+                <span className="text-gray-500">
+                  wk {x.week} · {nameFor(x.roster_id)}
+                  {!x.started && " (benched)"}
+                </span>
+              </li>
+            ))}
+          </ol>
+        </Card>
+      </div>
+
+      {selected && (
+        <div className="fixed inset-0 z-40 flex justify-end bg-black/20" onClick={() => setOpen(null)}>
+          <div className="w-full max-w-sm h-full bg-white shadow-xl p-4 overflow-y-auto" onClick={(e) => e.stopPropagation()}>
+            <div className="flex items-start justify-between mb-3">
+              <div className="text-lg font-semibold">
+                <PlayerTag id={selected.player_id} players={players} />
+              </div>
+              <button onClick={() => setOpen(null)} className="px-2 py-1 rounded-lg border bg-white hover:bg-gray-100 text-sm">Close</button>
+            </div>
+            <Sparkline
+              values={selected.weeks.map((x) => x.points)}
+              width={320}
+              height={60}
+              max={Math.max(1, ...selected.weeks.map((x) => x.points))}
+              baseline={selected.avg}
+            />
+            <div className="grid grid-cols-3 gap-2 my-3 text-sm">
+              <div><div className="text-gray-500 text-xs">Total</div><div className="font-mono">{selected.total.toFixed(1)}</div></div>
+              <div><div className="text-gray-500 text-xs">Avg</div><div className="font-mono">{selected.avg.toFixed(1)}</div></div>
+              <div><div className="text-gray-500 text-xs">SD</div><div className="font-mono">{selected.sd.toFixed(1)}</div></div>
+              <div><div className="text-gray-500 text-xs">Boom</div><div className="font-mono">{pct(selected.boomRate)}</div></div>
+              <div><div className="text-gray-500 text-xs">Bust</div><div className="font-mono">{pct(selected.bustRate)}</div></div>
+              <div><div className="text-gray-500 text-xs">Games</div><div className="font-mono">{selected.games}</div></div>
+            </div>
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500">
+                  <th className="py-1 pr-2">Wk</th>
+                  <th className="py-1 pr-2 text-right">Pts</th>
+                  <th className="py-1 pr-2">Fantasy team</th>
+                </tr>
+              </thead>
+              <tbody>
+                {selected.weeks.map((x) => (
+                  <tr key={x.week} className="border-t">
+                    <td className="py-1 pr-2">{x.week}</td>
+                    <td className="py-1 pr-2 font-mono text-right">{x.points.toFixed(1)}</td>
+                    <td className="py-1 pr-2">
+                      {nameFor(x.roster_id)}
+                      {!x.started && <span className="text-gray-500"> (bench)</span>}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </>
+  );
+}
+
+function TradeFinder({
+  league,
+  rosters,
+  weekly,
+  throughWeek,
+  players,
+  games,
+  nameFor,
+  initialRoster,
+}: {
+  league: SleeperLeague;
+  rosters: SleeperRoster[];
+  weekly: WeeklyMatchups;
+  throughWeek: number;
+  players: PlayerDirectory | null;
+  games: NFLGame[] | null;
+  nameFor: (rid: number) => string;
+  initialRoster?: number;
+}) {
+  const [rid, setRid] = useState<number>(initialRoster ?? rosters[0]?.roster_id);
+  const values = useMemo(() => tradePlayerValues(league, rosters, weekly, throughWeek, players, games), [league, rosters, weekly, throughWeek, players, games]);
+  const profiles = useMemo(() => rosterProfiles(league, rosters, values, players, nameFor), [league, rosters, values, players]); // eslint-disable-line react-hooks/exhaustive-deps
+  const ideas = useMemo(() => findTrades(league, rosters, rid, values, players), [league, rosters, rid, values, players]);
+  const mine = profiles.find((p) => p.roster_id === rid);
+  // Best partners first, a few ideas each
+  const partners = [...new Set(ideas.map((t) => t.partner))].slice(0, 5);
+  const chips = (list: string[], cls: string) =>
+    list.length ? list.map((pos) => <span key={pos} className={`px-1.5 rounded border text-xs font-mono ${cls}`}>{pos}</span>) : <span className="text-gray-400">—</span>;
+  const names = (ids: string[]) =>
+    ids.map((pid, i) => (
+      <span key={pid}>
+        {i > 0 && " + "}
+        <PlayerTag id={pid} players={players} /> <span className="text-gray-500 font-mono text-xs">{values.ppg[pid].toFixed(1)}</span>
+      </span>
+    ));
+  return (
+    <Card>
+      <div className="flex items-center gap-3 mb-2 flex-wrap">
+        <select value={rid} onChange={(e) => setRid(parseInt(e.target.value))} className="px-3 py-2 rounded-xl border bg-white">
+          {rosters.map((r) => (
+            <option key={r.roster_id} value={r.roster_id}>{nameFor(r.roster_id)}</option>
+          ))}
+        </select>
+        {mine && (
+          <span className="text-sm text-gray-700 flex items-center gap-1 flex-wrap">
+            Needs {chips(mine.needs, "bg-red-50 border-red-200")} · Surplus {chips(mine.surplus, "bg-green-50 border-green-200")}
+          </span>
+        )}
+      </div>
+      {partners.length === 0 ? (
+        <div className="text-sm text-gray-600">No trade improves both lineups right now.</div>
+      ) : (
+        <div className="space-y-3">
+          {partners.map((partner) => {
+            const p = profiles.find((x) => x.roster_id === partner);
+            return (
+              <div key={partner} className="border rounded-xl p-3">
+                <div className="flex items-center gap-2 flex-wrap text-sm">
+                  <span className="font-semibold">{nameFor(partner)}</span>
+                  {p && (
+                    <span className="text-gray-600 flex items-center gap-1 flex-wrap">
+                      needs {chips(p.needs, "bg-red-50 border-red-200")} · surplus {chips(p.surplus, "bg-green-50 border-green-200")}
+                    </span>
+                  )}
+                </div>
+                <table className="w-full text-sm mt-1">
+                  <tbody>
+                    {ideas
+                      .filter((t) => t.partner === partner)
+                      .slice(0, 3)
+                      .map((t, i) => (
+                        <tr key={i} className="border-t align-top">
+                          <td className="py-1 pr-2"><span className="text-gray-500">Give</span> {names(t.give)}</td>
+                          <td className="py-1 pr-2"><span className="text-gray-500">Get</span> {names(t.get)}</td>
+                          <td className="py-1 pr-2 font-mono text-right text-green-700 whitespace-nowrap" title="Your optimal lineup, points per week">+{t.gain.toFixed(1)}</td>
+                          <td className="py-1 pr-2 font-mono text-right text-gray-600 whitespace-nowrap" title="Their optimal lineup, points per week">them +{t.partnerGain.toFixed(1)}</td>
+                          <td className="py-1 pr-2 font-mono text-right whitespace-nowrap" title="How evenly value over replacement is exchanged">{Math.round(t.balance * 100)}% even</td>
+                        </tr>
+                      ))}
+                  </tbody>
+                </table>
+              </div>
+            );
+          })}
+        </div>
+      )}
+      <div className="mt-2 text-xs text-gray-500">
+        Gains are season points per game added to each optimal lineup. Needs trail the league at that position; surplus is a bench player who would start for an average team.
+      </div>
+    </Card>
+  );
+}
+
+function TradeLedger({ rows }: { rows: ReturnType<typeof tradeLedger> }) {
+  return (
+    <Card>
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-500">
+              <th className="py-1 pr-2">Manager</th>
+              <th className="py-1 pr-2 text-right">Trades</th>
+              <th className="py-1 pr-2">Won-Lost</th>
+              <th className="py-1 pr-2 text-right">Net edge</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((r) => (
+              <tr key={r.roster_id} className="border-t">
+                <td className="py-1 pr-2 font-medium">{r.owner}</td>
+                <td className="py-1 pr-2 font-mono text-right">{r.trades}</td>
+                <td className="py-1 pr-2 font-mono">{r.won}-{r.lost}</td>
+                <td className={`py-1 pr-2 font-mono text-right ${r.edge > 0 ? "text-green-700" : r.edge < 0 ? "text-red-700" : ""}`}>
+                  {r.edge > 0 ? "+" : ""}{Math.round(r.edge * 100)}%
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </Card>
+  );
+}
+
+function LeagueHistory({ book }: { book: ReturnType<typeof buildRecordBook> }) {
+  const managers = book.career.map((c) => ({ id: c.user_id, name: c.name }));
+  const [a, setA] = useState(managers[0]?.id || "");
+  const [b, setB] = useState(managers[1]?.id || "");
+  const rec = book.h2h[a]?.[b];
+  const streak = (x: StreakRecord | null) =>
+    x ? `${x.name} — ${x.length} straight (${x.from.season} wk ${x.from.week} → ${x.to.season} wk ${x.to.week})` : "—";
+
+  return (
+    <div className="grid gap-3">
+      <div className="text-sm text-gray-600">Seasons {book.seasons[0]}–{book.seasons[book.seasons.length - 1]} • regular-season games only</div>
+      <div className="grid md:grid-cols-2 gap-3">
+        <Card>
+          <div className="font-semibold mb-2">Champions</div>
+          {book.champions.length === 0 && <div className="text-sm text-gray-600">No completed playoffs yet.</div>}
+          {book.champions.map((c) => (
+            <div key={c.season} className="flex justify-between text-sm">
+              <span className="font-mono">{c.season}</span>
+              <span className="font-medium">🏆 {c.name}</span>
+            </div>
+          ))}
+        </Card>
+        <Card>
+          <div className="font-semibold mb-2">Head to head</div>
+          <div className="flex gap-2 flex-wrap">
+            {[
+              [a, setA],
+              [b, setB],
+            ].map(([val, set], i) => (
+              <select
+                key={i}
+                value={val as string}
+                onChange={(e) => (set as (v: string) => void)(e.target.value)}
+                className="px-3 py-2 rounded-xl border bg-white"
+              >
+                {managers.map((m) => (
+                  <option key={m.id} value={m.id}>{m.name}</option>
+                ))}
+              </select>
+            ))}
+          </div>
+          <div className="mt-3 text-lg">
+            {a === b ? "Pick two different managers." : rec ? (
+              <span className="font-mono">{rec.wins}-{rec.losses}{rec.ties ? `-${rec.ties}` : ""}</span>
+            ) : (
+              "Never played each other."
+            )}
           </div>
         </Card>
-      ))}
+      </div>
+      <Card>
+        <div className="font-semibold mb-2">Career records</div>
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500">
+                <th className="py-1 pr-2">Manager</th>
+                <th className="py-1 pr-2 text-right">Seasons</th>
+                <th className="py-1 pr-2">W-L-T</th>
+                <th className="py-1 pr-2 text-right">Win %</th>
+                <th className="py-1 pr-2 text-right">PF</th>
+                <th className="py-1 pr-2 text-right">Titles</th>
+              </tr>
+            </thead>
+            <tbody>
+              {book.career.map((c) => {
+                const games = c.wins + c.losses + c.ties;
+                return (
+                  <tr key={c.user_id} className="border-t">
+                    <td className="py-1 pr-2 font-medium">{c.name}</td>
+                    <td className="py-1 pr-2 font-mono text-right">{c.seasons}</td>
+                    <td className="py-1 pr-2 font-mono">{c.wins}-{c.losses}-{c.ties}</td>
+                    <td className="py-1 pr-2 font-mono text-right">{games ? (((c.wins + c.ties / 2) / games) * 100).toFixed(1) : "—"}</td>
+                    <td className="py-1 pr-2 font-mono text-right">{c.pf.toFixed(1)}</td>
+                    <td className="py-1 pr-2 font-mono text-right">{c.titles}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      </Card>
+      <div className="grid md:grid-cols-2 gap-3">
+        <Card>
+          <div className="font-semibold mb-2">Highest single-week scores</div>
+          {book.topScores.map((t, i) => (
+            <div key={i} className="flex justify-between text-sm">
+              <span>{i + 1}. {t.name} <span className="text-gray-500">({t.season} wk {t.week})</span></span>
+              <span className="font-mono">{t.points.toFixed(2)}</span>
+            </div>
+          ))}
+        </Card>
+        <Card>
+          <div className="font-semibold mb-2">Longest streaks</div>
+          <div className="text-sm">Winning: {streak(book.longestWin)}</div>
+          <div className="text-sm mt-1">Losing: {streak(book.longestLoss)}</div>
+        </Card>
+      </div>
     </div>
   );
 }
 
-function Summaries({ items }: { items: ReturnType<typeof summarizeCompletedMatchups> }) {
+function Overview({
+  snapshots,
+  onOpenLeague,
+  onOpenManager,
+}: {
+  snapshots: LeagueSnapshot[];
+  onOpenLeague: (id: string) => void;
+  onOpenManager: (user_id: string) => void;
+}) {
+  const rows = snapshots.map(summarizeLeague);
+  const managers = sharedManagers(snapshots);
   return (
-    <div className="grid md:grid-cols-2 gap-3">
-      {items.map((s) => (
-        <Card key={s.matchup_id}>
-          <div className="flex items-center justify-between">
-            <div className="font-semibold">Final</div>
-            <Pill>Margin {s.margin}</Pill>
-          </div>
-          <div className="mt-2 text-lg">
-            {s.aName} <span className="font-mono">{s.aPts}</span>
-            <span className="mx-2">—</span>
-            {s.bName} <span className="font-mono">{s.bPts}</span>
-          </div>
-          <div className="mt-2 text-sm text-gray-700">
-            {s.winner === "Tie" ? "Dead even — a rare draw." : `${s.winner} wins by ${s.margin}.`}
-            {s.star && (
-              <div className="mt-1">Star of the game: {s.star.player_id} ({s.star.points.toFixed(1)} pts)</div>
-            )}
-          </div>
-        </Card>
-      ))}
-    </div>
+    <>
+      <Section title="League Comparison">
+        <div className="grid md:grid-cols-2 lg:grid-cols-4 gap-3">
+          {rows.map((r) => (
+            <Card key={r.league_id}>
+              <button onClick={() => onOpenLeague(r.league_id)} className="text-lg font-semibold text-left hover:underline">{r.name}</button>
+              <div className="mt-1 flex flex-wrap gap-1">
+                {r.format.map((f) => (
+                  <Pill key={f}>{f}</Pill>
+                ))}
+              </div>
+              <div className="mt-3 grid gap-1 text-sm">
+                <div className="flex justify-between"><span className="text-gray-600">Avg score</span><span className="font-mono">{r.throughWeek ? r.avgPPG.toFixed(1) : "—"}</span></div>
+                <div className="flex justify-between" title="Standard deviation of all-play win %; lower means more parity">
+                  <span className="text-gray-600">Parity (all-play spread)</span>
+                  <span className="font-mono">{r.throughWeek ? `±${(r.allPlaySpread * 100).toFixed(1)}%` : "—"}</span>
+                </div>
+                <div className="flex justify-between"><span className="text-gray-600">Standings leader</span><span>{r.throughWeek && r.leader ? `${r.leader.owner} (${r.leader.wins}-${r.leader.losses})` : "—"}</span></div>
+                <div className="flex justify-between"><span className="text-gray-600">Power #1</span><span>{r.powerLeader?.owner || "—"}</span></div>
+                <div className="flex justify-between"><span className="text-gray-600">Top scorer</span><span>{r.topScorer ? `${r.topScorer.owner} (${(r.topScorer.pf / r.topScorer.games).toFixed(1)})` : "—"}</span></div>
+                <div className="flex justify-between"><span className="text-gray-600">Best draft</span><span>{r.bestDraft ? `${r.bestDraft.owner} (${r.bestDraft.grade})` : "—"}</span></div>
+              </div>
+            </Card>
+          ))}
+        </div>
+      </Section>
+      <Section title="Managers">
+        <div className="flex flex-wrap gap-2">
+          {managers.map((m) => (
+            <button key={m.user_id} onClick={() => onOpenManager(m.user_id)} className="px-3 py-1 rounded-full border bg-white hover:bg-gray-100 text-sm">
+              {m.name} <span className="text-gray-500">• {m.leagues} {m.leagues === 1 ? "league" : "leagues"}</span>
+            </button>
+          ))}
+        </div>
+      </Section>
+    </>
+  );
+}
+
+function ManagerProfile({ profile, onOpenLeague }: { profile: ReturnType<typeof managerProfile>; onOpenLeague: (id: string) => void }) {
+  const { totals } = profile;
+  return (
+    <>
+      <div className="flex items-end justify-between flex-wrap gap-2">
+        <div>
+          <div className="text-2xl font-bold">{profile.name}</div>
+          <div className="text-sm text-gray-600">Across {profile.entries.length} loaded {profile.entries.length === 1 ? "league" : "leagues"}</div>
+        </div>
+        <div className="flex gap-2">
+          <Pill>{totals.wins}-{totals.losses}{totals.ties ? `-${totals.ties}` : ""} overall</Pill>
+          <Pill>{totals.pf.toFixed(1)} PF</Pill>
+          {profile.ppg != null && <Pill>{profile.ppg.toFixed(1)} per game</Pill>}
+          {profile.avgDraft != null && <Pill>Avg draft {letterGrade(profile.avgDraft).grade}</Pill>}
+        </div>
+      </div>
+      <Section title="By League">
+        <div className="grid md:grid-cols-2 gap-3">
+          {profile.entries.map((e) => (
+            <Card key={e.league_id}>
+              <button onClick={() => onOpenLeague(e.league_id)} className="text-lg font-semibold text-left hover:underline">{e.leagueName}</button>
+              <div className="mt-2 grid gap-1 text-sm">
+                <div className="flex justify-between">
+                  <span className="text-gray-600">Draft grade</span>
+                  <span>{e.draft ? `${e.draft.grade} (${e.draft.total.toFixed(1)})` : "—"}</span>
+                </div>
+                <div className="flex justify-between">
+                  <span className="text-gray-600">Record</span>
+                  <span className="font-mono">{e.standing ? `${e.standing.wins}-${e.standing.losses}-${e.standing.ties}` : "—"}</span>
+                </div>
+                <div className="flex justify-between">
+                  <span className="text-gray-600">Standing</span>
+                  <span>{e.standing && e.standing.games > 0 ? `${e.standingRank} of ${e.teams}` : "—"}</span>
+                </div>
+                <div className="flex justify-between">
+                  <span className="text-gray-600">Points for</span>
+                  <span className="font-mono">{e.standing ? e.standing.pf.toFixed(1) : "—"}</span>
+                </div>
+                <div className="flex justify-between">
+                  <span className="text-gray-600">Power rank</span>
+                  <span>{e.power ? `#${e.power.rank} (${e.power.power.toFixed(1)})` : "—"}</span>
+                </div>
+              </div>
+            </Card>
+          ))}
+        </div>
+      </Section>
+    </>
   );
 }
 
 export default function App() {
-  const [leagueIds, setLeagueIds] = useState<string[]>(LEAGUE_IDS);
+  // Whatever the URL asked for on first load; restored once the NFL state is known
+  const [initialRoute] = useState(() => parseRoute(window.location.hash));
+  const [leagueIds, setLeagueIds] = useState<string[]>(() => {
+    const ids = initialRoute.ids.length ? initialRoute.ids : LEAGUE_IDS;
+    if (initialRoute.league && !ids.includes(initialRoute.league)) return [...ids, initialRoute.league];
+    return ids.length ? ids : [DEMO_LEAGUE_ID]; // nothing configured: show the sample league
+  });
   const [bundles, setBundles] = useState<Record<string, any>>({});
   const [loading, setLoading] = useState(false);
   const [state, setState] = useState<{ season: string; season_type: string; week: number } | null>(null);
   const [activeLeague, setActiveLeague] = useState<string | null>(null);
+  // "league" shows activeLeague; the other views span every loaded league
+  const [view, setView] = useState<"league" | "overview" | "manager">("league");
+  const [profileUser, setProfileUser] = useState<string | null>(null);
+  const [section, setSection] = useState<string | null>(initialRoute.section ?? null);
+  const [routeReady, setRouteReady] = useState(false);
   const [week, setWeek] = useState<number | null>(null);
   const [status, setStatus] = useState<string | null>(null);
+  const [players, setPlayers] = useState<PlayerDirectory | null>(null);
+  const [playersError, setPlayersError] = useState<string | null>(null);
+  const [nflSchedule, setNflSchedule] = useState<Record<string, NFLGame[]>>({});
+  // Per-league grading overrides from the settings panel, persisted locally
+  const [grading, setGrading] = useState<Record<string, GradingOverrides>>(() => {
+    try {
+      return JSON.parse(localStorage.getItem("sleeper-analyzer:grading") || "{}");
+    } catch {
+      return {};
+    }
+  });
+  const [showGrading, setShowGrading] = useState(false);
+  // Which draft to grade per league (dynasty leagues have several); newest by default
+  const [draftChoice, setDraftChoice] = useState<Record<string, string>>({});
+  const [importedAdp, setImportedAdp] = useState<Record<string, number> | null>(() => {
+    try {
+      return JSON.parse(localStorage.getItem("sleeper-analyzer:adp") || "null");
+    } catch {
+      return null;
+    }
+  });
+  const [adpError, setAdpError] = useState<string | null>(null);
 
-  // Allow users to paste league IDs at runtime if not pre-configured
+  // Discord/Slack incoming webhooks and what went out to them; local to this browser
+  const [webhooks, setWebhooks] = useState<WebhookTarget[]>(() => {
+    try {
+      return JSON.parse(localStorage.getItem(WEBHOOKS_KEY) || "[]");
+    } catch {
+      return [];
+    }
+  });
+  const [postedLog, setPostedLog] = useState<PostedLog>(() => {
+    try {
+      return JSON.parse(localStorage.getItem(WEBHOOK_LOG_KEY) || "{}");
+    } catch {
+      return {};
+    }
+  });
+  const [publishing, setPublishing] = useState(false);
+
+  // Allow users to paste league IDs (or look up a username) at runtime
   const [idInput, setIdInput] = useState("");
+  const [discovery, setDiscovery] = useState<Discovery | null>(null);
+  const [finding, setFinding] = useState<string | null>(null);
+  const [leagueNames, setLeagueNames] = useState<Record<string, string>>({});
+  const [managing, setManaging] = useState(false);
+  // Oldest cached response served because Sleeper was unreachable
+  const [staleSince, setStaleSince] = useState<{ at: number; message: string } | null>(null);
+  // Leagues already fetched (or in flight); only the active one is loaded eagerly
+  const requested = useRef<Set<string>>(new Set());
+  // Leagues that came from a snapshot (the demo included) stay at the week they were
+  // exported, whatever the live NFL week is now
+  const snapshotNfl = useRef<Record<string, { season: string; season_type: string; week: number }>>({});
+
+  useEffect(
+    () =>
+      onStaleData(({ at, error }) =>
+        setStaleSince((prev) => (prev && prev.at <= at ? prev : { at, message: error.message }))
+      ),
+    []
+  );
+
+  useEffect(() => {
+    // Player names are a nice-to-have; the rest of the site works on raw IDs
+    loadPlayerDirectory()
+      .then((dir) => setPlayers((p) => ({ ...p, ...dir })))
+      .catch((e) => {
+        console.error(e);
+        setPlayersError(errorText(e));
+      });
+  }, []);
 
   useEffect(() => {
     (async () => {
       setLoading(true);
+      const demo = leagueIds.includes(DEMO_LEAGUE_ID) ? demoSnapshot() : null;
+      if (demo) {
+        mountSnapshot(demo);
+        snapshotNfl.current[DEMO_LEAGUE_ID] = demo.nflState;
+        setPlayers((p) => ({ ...demo.players, ...p }));
+      }
       try {
-        const nfl = await getCurrentNFLState();
+        // The demo league works without Sleeper; everything else needs the NFL state
+        const nfl = await getCurrentNFLState().catch((e) => {
+          if (demo) return demo.nflState;
+          throw e;
+        });
         setState(nfl);
-        setWeek(nfl.week);
+        setWeek(initialRoute.week ?? nfl.week);
         setStatus(`${nfl.season_type} • week ${nfl.week}`);
         if (leagueIds.length) {
-          for (const id of leagueIds) {
-            await loadOne(id);
-            await sleep(200); // be gentle
-          }
-          setActiveLeague(leagueIds[0]);
+          const wanted = initialRoute.league;
+          const first = wanted && leagueIds.includes(wanted) ? wanted : leagueIds[0];
+          await ensureLoaded(first, nfl);
+          setActiveLeague(first);
+          // A shared settings link applies to the league it was shared from
+          if (initialRoute.grading) setLeagueGrading(first, { ...initialRoute.grading, preset: "custom" });
+          setView(initialRoute.view);
+          if (initialRoute.user) setProfileUser(initialRoute.user);
         }
+      } catch (e) {
+        console.error(e);
+        setStatus(errorText(e));
       } finally {
         setLoading(false);
+        setRouteReady(true);
       }
     })();
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
-  async function loadOne(id: string) {
+  async function loadOne(id: string, nfl = state) {
+    nfl = snapshotNfl.current[id] || nfl;
     setBundles((b: any) => ({ ...b, [id]: { loading: true } }));
     try {
       const bundle = await loadLeagueBundle(id);
-      const draft = evaluateDraft(bundle.draftPicks, bundle.league, bundle.rosters, bundle.users);
-      const power = strengthFromDraft(draft);
-      setBundles((b: any) => ({ ...b, [id]: { ...bundle, draft, power, loading: false } }));
+      const draft = evaluateDraft(bundle.draftPicks, bundle.league, bundle.rosters, bundle.users, null, {
+        draft: bundle.draftMeta,
+        previousRosters: bundle.previousRosters,
+      });
+      const draftPower = strengthFromDraft(draft);
+      // Results-based standings replace the draft index as the season progresses
+      const throughWeek = nfl ? lastCompletedWeek(bundle.league, nfl) : 0;
+      const weekly = nfl ? await loadSeasonMatchups(id, throughWeek, 1, (w) => matchupsTTL(bundle.league, nfl, w)) : {};
+      const { standings, power, rankings } = powerRankings(weekly, bundle.rosters, bundle.users, draftPower, throughWeek, usesMedianGame(bundle.league));
+      setBundles((b: any) => ({
+        ...b,
+        [id]: { ...bundle, draft, draftPower, weekly, throughWeek, standings, rankings, power, loading: false },
+      }));
+    } catch (e) {
+      console.error(e);
+      setBundles((b: any) => ({ ...b, [id]: { error: errorText(e), loading: false } }));
+    }
+  }
+
+  function ensureLoaded(id: string, nfl = state) {
+    if (requested.current.has(id)) return Promise.resolve();
+    requested.current.add(id);
+    return loadOne(id, nfl);
+  }
+
+  // Switching tabs (or following a link) fetches that league on demand
+  useEffect(() => {
+    if (activeLeague && state) ensureLoaded(activeLeague);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [activeLeague, state]);
+
+  // Overview and manager profiles span every league; fetch the rest on first visit
+  useEffect(() => {
+    if (view === "league" || !state) return;
+    (async () => {
+      await Promise.all(leagueIds.map((id) => ensureLoaded(id)));
+    })();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [view, state, leagueIds]);
+
+  function setLeagueGrading(id: string, o: GradingOverrides | null) {
+    setGrading((all) => {
+      const next = { ...all };
+      if (o) next[id] = o;
+      else delete next[id];
+      localStorage.setItem("sleeper-analyzer:grading", JSON.stringify(next));
+      return next;
+    });
+  }
+
+  function saveWebhooks(next: WebhookTarget[]) {
+    setWebhooks(next);
+    localStorage.setItem(WEBHOOKS_KEY, JSON.stringify(next));
+  }
+
+  function recordPost(key: string, targetId: string, confirmed: boolean) {
+    setPostedLog((log) => {
+      const prev = log[key] || { at: 0, targets: [] };
+      const unconfirmed = (prev.unconfirmed || []).filter((id) => id !== targetId);
+      const entry = confirmed
+        ? { at: Date.now(), targets: prev.targets.includes(targetId) ? prev.targets : [...prev.targets, targetId], unconfirmed }
+        : { at: Date.now(), targets: prev.targets, unconfirmed: prev.targets.includes(targetId) ? unconfirmed : [...unconfirmed, targetId] };
+      const next = { ...log, [key]: entry };
+      localStorage.setItem(WEBHOOK_LOG_KEY, JSON.stringify(next));
+      return next;
+    });
+  }
+
+  // Draft grades and power index follow the league's grading settings live
+  const active = useMemo(
+    () => (activeLeague ? regradeBundle(bundles[activeLeague], grading[activeLeague], draftChoice[activeLeague]) : null),
+    [bundles, activeLeague, grading, draftChoice]
+  );
+  // The NFL state the active league is read against (its snapshot's, or live)
+  const leagueNfl = (activeLeague && snapshotNfl.current[activeLeague]) || state;
+
+  async function runOdds(id: string) {
+    const b = bundles[id];
+    if (!b?.league || !b.standings) return;
+    setBundles((all: any) => ({ ...all, [id]: { ...all[id], odds: "running" } }));
+    try {
+      // Future weeks already carry matchup_id pairings, so they double as the schedule
+      const end = regularSeasonEnd(b.league);
+      const remaining = b.remaining ?? (await loadSeasonMatchups(id, end, b.throughWeek + 1));
+      const input = buildSimInput(b.league, b.standings, b.weekly, b.throughWeek, remaining);
+      const results = await runSimulation(input);
+      const magic = magicNumbers(b.standings, remaining, input.playoffTeams, input.median);
+      setBundles((all: any) => ({
+        ...all,
+        [id]: { ...all[id], remaining, odds: { results, magic, playoffTeams: input.playoffTeams } },
+      }));
+    } catch (e) {
+      console.error(e);
+      setBundles((all: any) => ({ ...all, [id]: { ...all[id], odds: { error: errorText(e) } } }));
+    }
+  }
+
+  useEffect(() => {
+    if (activeLeague && active?.standings && active.throughWeek > 0 && !active.odds) runOdds(activeLeague);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [activeLeague, active?.standings]);
+
+  async function loadHistory(id: string) {
+    if (!state) return;
+    setBundles((all: any) => ({ ...all, [id]: { ...all[id], history: { loading: true } } }));
+    try {
+      const seasons = await loadLeagueHistory(id, state, (season) =>
+        setBundles((all: any) => ({ ...all, [id]: { ...all[id], history: { loading: true, season } } }))
+      );
+      setBundles((all: any) => ({ ...all, [id]: { ...all[id], history: { book: buildRecordBook(seasons) } } }));
+    } catch (e) {
+      console.error(e);
+      setBundles((all: any) => ({ ...all, [id]: { ...all[id], history: { error: errorText(e) } } }));
+    }
+  }
+
+  async function loadLeaguePlayoffs(id: string) {
+    const b = bundles[id];
+    const nfl = snapshotNfl.current[id] || state;
+    if (!b?.league || !nfl) return;
+    setBundles((all: any) => ({ ...all, [id]: { ...all[id], playoffs: "loading" } }));
+    try {
+      const playoffs = await loadPlayoffs(b.league, nfl);
+      setBundles((all: any) => ({ ...all, [id]: { ...all[id], playoffs } }));
+    } catch (e) {
+      console.error(e);
+      setBundles((all: any) => ({ ...all, [id]: { ...all[id], playoffs: { error: errorText(e) } } }));
+    }
+  }
+
+  useEffect(() => {
+    if (activeLeague && active?.league && leagueNfl && !active.playoffs && playoffStarted(active.league, leagueNfl)) loadLeaguePlayoffs(activeLeague);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [activeLeague, active?.league, leagueNfl]);
+
+  async function loadLeagueTransactions(id: string) {
+    const b = bundles[id];
+    const nfl = snapshotNfl.current[id] || state;
+    if (!b?.league || !nfl) return;
+    setBundles((all: any) => ({ ...all, [id]: { ...all[id], transactions: "loading" } }));
+    try {
+      const transactions = await loadTransactions(id, transactionWeeks(b.league, nfl));
+      setBundles((all: any) => ({ ...all, [id]: { ...all[id], transactions } }));
     } catch (e) {
       console.error(e);
-      setBundles((b: any) => ({ ...b, [id]: { error: String(e), loading: false } }));
+      setBundles((all: any) => ({ ...all, [id]: { ...all[id], transactions: { error: errorText(e) } } }));
+    }
+  }
+
+  useEffect(() => {
+    if (activeLeague && active?.league && leagueNfl && !active.transactions) loadLeagueTransactions(activeLeague);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [activeLeague, active?.league, state]);
+
+  useEffect(() => {
+    // Bye weeks come from the NFL schedule of the active league's season
+    const season = active?.league?.season;
+    if (!season || nflSchedule[season]) return;
+    loadNFLSchedule(season)
+      .then((games) => setNflSchedule((s) => ({ ...s, [season]: games })))
+      .catch((e) => console.warn("NFL schedule unavailable; bye weeks won't be flagged", e));
+  }, [active?.league?.season, nflSchedule]);
+
+  const snapshots: LeagueSnapshot[] = useMemo(
+    () =>
+      leagueIds
+        .map((id) => regradeBundle(bundles[id], grading[id], draftChoice[id]))
+        .filter((b) => b?.league && b.standings),
+    [leagueIds, bundles, grading, draftChoice]
+  );
+
+  const adp = useMemo(
+    () =>
+      consensusAdp(
+        // Rookie drafts draw from a different pool, so they'd skew startup ADP
+        snapshots.filter((b: any) => !isRookieDraft(b.draftMeta, b.league)).map((b: any) => ({ picks: b.draftPicks, league: b.league })),
+        importedAdp
+      ),
+    [snapshots, importedAdp]
+  );
+
+  function importAdp(csv: string) {
+    try {
+      const table = parseAdpCsv(csv, players);
+      setImportedAdp(table);
+      setAdpError(null);
+      localStorage.setItem("sleeper-analyzer:adp", JSON.stringify(table));
+    } catch (e) {
+      setAdpError(errorText(e));
     }
   }
 
-  const active = activeLeague ? bundles[activeLeague] : null;
+  function openLeague(id: string) {
+    setActiveLeague(id);
+    setView("league");
+    setSection(null);
+  }
+
+  function openManager(user_id: string) {
+    setProfileUser(user_id);
+    setView("manager");
+  }
 
   const rosterMap: Record<number, SleeperRoster> = useMemo(() => {
     const m: Record<number, SleeperRoster> = {};
     if (active?.rosters) for (const r of active.rosters) m[r.roster_id] = r;
     return m;
   }, [active]);
+  // Sections that need player positions wait for the directory, but not forever:
+  // if it failed they run on raw IDs (playerInfo's fallbacks) and say so
+  const playersReady = players != null || playersError != null;
+  const playersNote = !players && playersError && (
+    <div className="text-sm text-gray-600">Player names didn't load ({playersError}), so Sleeper IDs are shown instead.</div>
+  );
+  // How every section of the league view labels a team
+  const teamName = useCallback(
+    (rid: number) => active?.users.find((x: SleeperUser) => x.user_id === rosterMap[rid]?.owner_id)?.display_name || `Team ${rid}`,
+    [active, rosterMap]
+  );
+
+  // Season-long analyses of the active league, kept out of render so typing in the
+  // header or a live poll doesn't redo them (lineups re-solves every team-week)
+  const lineupReport = useMemo(
+    () =>
+      active?.league && active.throughWeek > 0 && playersReady
+        ? lineupEfficiency(active.league, active.weekly || {}, active.throughWeek, players ?? {}, teamName)
+        : null,
+    [active, players, playersReady, teamName]
+  );
+  const luck = useMemo(
+    () =>
+      active?.league && active.throughWeek > 0
+        ? scheduleLuck(active.weekly || {}, active.rosters, active.throughWeek, active.remaining || null, teamName)
+        : null,
+    [active, teamName]
+  );
+  const playerStats = useMemo(
+    () =>
+      active?.league && active.throughWeek > 0 && playersReady
+        ? playerAnalytics(active.weekly || {}, active.throughWeek, players ?? {}, nflSchedule[active.league.season] || null)
+        : null,
+    [active, players, playersReady, nflSchedule]
+  );
+  const draftCapital = useMemo(
+    () =>
+      active?.league && activeLeague && (Number(active.league.settings?.type) > 0 || active.tradedPicks?.length > 0)
+        ? futureDraftCapital(active.league, active.rosters, active.tradedPicks || [], active.drafts || [], grading[activeLeague])
+        : null,
+    [active, activeLeague, grading]
+  );
 
   const [matchups, setMatchups] = useState<SleeperMatchup[] | null>(null);
   const [matchupsWeek, setMatchupsWeek] = useState<number | null>(null);
   const [loadingWeek, setLoadingWeek] = useState(false);
+  const [weekError, setWeekError] = useState<string | null>(null);
+  // Live mode polls the current week while games are on; it can be switched off
+  const [liveEnabled, setLiveEnabled] = useState(true);
+  const [liveStatus, setLiveStatus] = useState<LiveStatus | null>(null);
+  const [liveStates, setLiveStates] = useState<Record<string, GameState>>({});
+  const [liveTrend, setLiveTrend] = useState<{ key: string; samples: LiveSample[] }>({ key: "", samples: [] });
+  // Latest projection inputs for the poll loop, without restarting it on every change
+  const liveCtx = useRef<{ weekly: WeeklyMatchups; players: PlayerDirectory | null; games: NFLGame[] | null }>({ weekly: {}, players: null, games: null });
+  liveCtx.current = { weekly: active?.weekly || {}, players, games: (active?.league && nflSchedule[active.league.season]) || null };
 
   async function loadWeek(w: number) {
     if (!activeLeague) return;
     setLoadingWeek(true);
+    setWeekError(null);
     try {
-      const m = await loadWeekMatchups(activeLeague, w);
+      const league = bundles[activeLeague]?.league;
+      const m = await loadWeekMatchups(activeLeague, w, league && leagueNfl ? matchupsTTL(league, leagueNfl, w) : TTL.live);
       setMatchups(m);
       setMatchupsWeek(w);
+    } catch (e) {
+      console.error(e);
+      setWeekError(errorText(e));
     } finally {
       setLoadingWeek(false);
     }
   }
 
+  // `week` is the selected week; matchups follow it and the active league
   useEffect(() => {
     if (activeLeague && week != null) loadWeek(week);
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [activeLeague]);
+  }, [activeLeague, week]);
+
+  // A week this league doesn't play (offseason week 0, 18 in a league done by 17) snaps to its default
+  useEffect(() => {
+    if (!active?.league || !leagueNfl || week == null) return;
+    if (!seasonWeeks(active.league).some((w) => w.week === week)) setWeek(defaultWeek(active.league, leagueNfl));
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [active?.league, leagueNfl, week]);
+
+  useEffect(() => {
+    const season = active?.league?.season;
+    if (!liveEnabled || !activeLeague || !state || snapshotNfl.current[activeLeague] || season !== state.season || week !== state.week || view !== "league") {
+      setLiveStatus(null);
+      return;
+    }
+    const key = `${activeLeague}:${week}`;
+    let timer: ReturnType<typeof setTimeout> | undefined;
+    let stopped = false;
+    let delay = LIVE_POLL_MS;
+    let lastPoints = "";
+    // tick is the only thing that schedules; a visibility change while a request is
+    // out must not start a second loop alongside it
+    let inFlight = false;
+    const tick = async () => {
+      if (document.visibilityState === "hidden" || inFlight) return; // resumed by onVisibility
+      inFlight = true;
+      try {
+        const games = await loadNFLSchedule(season, true).catch(() => null);
+        const status = liveWeekStatus(state, games);
+        setLiveStatus(status);
+        if (status === "final") {
+          // One last fetch, so the board settles on final scores rather than the last in-progress poll
+          const m = await loadLiveMatchups(activeLeague, state.week);
+          if (stopped) return;
+          setLiveStates(teamGameStates(games, state.week));
+          setMatchups(m);
+          setMatchupsWeek(state.week);
+        }
+        if (status === "off" || status === "final") {
+          stopped = true;
+          return;
+        }
+        if (status === "idle") {
+          delay = LIVE_IDLE_POLL_MS;
+          lastPoints = "";
+        } else {
+          const m = await loadLiveMatchups(activeLeague, state.week);
+          if (stopped) return;
+          const states = teamGameStates(games, state.week);
+          setLiveStates(states);
+          setMatchups(m);
+          setMatchupsWeek(state.week);
+          const board = liveScoreboard(state.week, m, liveCtx.current.weekly, liveCtx.current.players, liveCtx.current.games, states, status);
+          const sample: LiveSample = {
+            at: Date.now(),
+            scores: Object.fromEntries(board.map((g) => [g.matchup_id, { a: g.aSide.score, b: g.bSide.score, aWinProb: g.aWinProb }])),
+          };
+          setLiveTrend((t) => ({ key, samples: t.key === key ? [...t.samples, sample] : [sample] }));
+          // Quiet stretches (halftime, late games only) poll less; any change snaps back
+          const points = m.map((x) => x.points ?? 0).join();
+          delay = points === lastPoints ? Math.min(delay * 1.5, LIVE_MAX_POLL_MS) : LIVE_POLL_MS;
+          lastPoints = points;
+        }
+      } catch (e) {
+        console.warn("Live update failed; backing off", e);
+        delay = Math.min(delay * 2, LIVE_MAX_POLL_MS);
+      } finally {
+        inFlight = false;
+      }
+      if (!stopped) timer = setTimeout(tick, delay);
+    };
+    const onVisibility = () => {
+      clearTimeout(timer);
+      if (document.visibilityState === "visible" && !stopped) tick();
+    };
+    document.addEventListener("visibilitychange", onVisibility);
+    tick();
+    return () => {
+      stopped = true;
+      clearTimeout(timer);
+      document.removeEventListener("visibilitychange", onVisibility);
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [liveEnabled, activeLeague, state, week, view, active?.league?.season]);
+
+  const currentRoute: Route = {
+    ids: leagueIds,
+    view,
+    league: activeLeague ?? undefined,
+    week: week ?? undefined,
+    section: section ?? undefined,
+    user: profileUser ?? undefined,
+  };
+
+  // Mirror navigation into the URL (pushState, so back/forward walk through it; replaceState when
+  // only filling in an incomplete URL, so Back doesn't land on the same page)
+  useEffect(() => {
+    if (!routeReady) return;
+    const next = formatRoute(currentRoute);
+    if (window.location.hash === next) return;
+    if (normalisesRoute(parseRoute(window.location.hash), currentRoute)) window.history.replaceState(null, "", next);
+    else window.history.pushState(null, "", next);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [routeReady, leagueIds, view, activeLeague, week, section, profileUser]);
+
+  // …and the URL back into navigation (back/forward, pasted links, section anchors)
+  useEffect(() => {
+    const onHash = () => {
+      const r = parseRoute(window.location.hash);
+      const added = Array.from(new Set([...r.ids, ...(r.league ? [r.league] : [])])).filter((id) => !leagueIds.includes(id));
+      if (added.length) setLeagueIds((ids) => Array.from(new Set([...ids, ...added])));
+      setView(r.view);
+      if (r.league) setActiveLeague(r.league);
+      if (r.week != null) setWeek(r.week);
+      if (r.user) setProfileUser(r.user);
+      setSection(r.section ?? null);
+    };
+    window.addEventListener("hashchange", onHash);
+    return () => window.removeEventListener("hashchange", onHash);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [leagueIds, state]);
+
+  // Scroll a deep-linked section into view once its league has rendered
+  useEffect(() => {
+    if (!section || view !== "league" || !active?.league) return;
+    document.getElementById(`section-${section}`)?.scrollIntoView({ behavior: "smooth", block: "start" });
+  }, [section, view, active?.league]);
+
+  const hrefForSection = (id: string) => formatRoute({ ...currentRoute, view: "league", section: id });
+
+  function addLeagues(ids: string[]) {
+    if (!ids.length) return;
+    // The sample league steps aside once real leagues arrive
+    const kept = leagueIds.filter((id) => id !== DEMO_LEAGUE_ID || ids.includes(DEMO_LEAGUE_ID));
+    const next = Array.from(new Set([...kept, ...ids]));
+    setLeagueIds(next);
+    if (!activeLeague || !next.includes(activeLeague)) setActiveLeague(next[0]);
+  }
+
+  async function exportSnapshot(id: string) {
+    if (!state) return;
+    setFinding("Collecting every week for the snapshot…");
+    try {
+      const archive = await archiveLeague(id, state);
+      const file = buildSnapshot([archive], state, players);
+      downloadBlob(
+        new Blob([JSON.stringify(file)], { type: "application/json" }),
+        `${archive.league.name.replace(/[^\w]+/g, "-").toLowerCase()}-${archive.league.season}.snapshot.json`
+      );
+      setFinding(null);
+    } catch (e) {
+      console.error(e);
+      setFinding(errorText(e));
+    }
+  }
+
+  function importSnapshot(text: string) {
+    let file: SnapshotFile;
+    let ids: string[];
+    try {
+      file = parseSnapshot(text);
+      ids = mountSnapshot(file);
+    } catch (e) {
+      setFinding(errorText(e));
+      return;
+    }
+    setFinding(null);
+    if (file.players) setPlayers((p) => ({ ...file.players, ...p }));
+    // Its leagues are read at the week they were exported, not today's
+    for (const id of ids) snapshotNfl.current[id] = file.nflState;
+    if (!state) {
+      // Offline with nothing loaded yet: the snapshot's NFL state stands in for the page
+      setState(file.nflState);
+      setStatus(`offline snapshot • exported ${new Date(file.exportedAt).toLocaleDateString()}`);
+    }
+    setWeek(file.nflState.week);
+    // Rebuild from the pinned responses even if the league was already loaded live
+    ids.forEach((id) => requested.current.delete(id));
+    addLeagues(ids);
+    openLeague(ids[0]);
+    ensureLoaded(ids[0], file.nflState);
+  }
 
   function addLeagueId() {
     const parts = idInput
@@ -525,97 +6626,551 @@ export default function App() {
       .map((s) => s.trim())
       .filter(Boolean);
     if (!parts.length) return;
-    const next = Array.from(new Set([...leagueIds, ...parts])).slice(0, 4);
+    // League IDs are all digits; anything else is taken as a Sleeper username. The
+    // picker shows one user's leagues at a time, so other names wait in the box.
+    const [name, ...rest] = parts.filter((p) => !/^\d+$/.test(p));
+    addLeagues(parts.filter((p) => /^\d+$/.test(p)));
+    setIdInput(rest.join(" "));
+    if (!name) return;
+    discoverLeagues(name).then((found) => {
+      if (found && rest.length) setFinding(`Showing ${name}'s leagues. Press Add again to look up ${rest.join(", ")}.`);
+    });
+  }
+
+  async function discoverLeagues(username: string, season = state?.season || String(new Date().getFullYear())) {
+    setFinding(`Looking up ${username}…`);
+    try {
+      const user = discovery?.user.display_name === username ? discovery.user : await lookupSleeperUser(username);
+      const leagues = await loadUserLeagues(user.user_id, season);
+      setLeagueNames((n) => ({ ...n, ...Object.fromEntries(leagues.map((l) => [l.league_id, l.name])) }));
+      setDiscovery({ user, season, leagues });
+      setFinding(null);
+      return true;
+    } catch (e) {
+      console.error(e);
+      setFinding(errorText(e));
+      return false;
+    }
+  }
+
+  function moveLeague(id: string, delta: number) {
+    setLeagueIds((ids) => {
+      const i = ids.indexOf(id);
+      const j = i + delta;
+      if (i < 0 || j < 0 || j >= ids.length) return ids;
+      const next = [...ids];
+      [next[i], next[j]] = [next[j], next[i]];
+      return next;
+    });
+  }
+
+  function removeLeague(id: string) {
+    const next = leagueIds.filter((x) => x !== id);
     setLeagueIds(next);
-    setIdInput("");
-    const newlyAdded = next.filter((x) => !bundles[x]);
-    (async () => {
-      for (const id of newlyAdded) {
-        await loadOne(id);
-        await sleep(150);
-      }
-      if (!activeLeague && next.length) setActiveLeague(next[0]);
-    })();
+    if (activeLeague === id) setActiveLeague(next[0] ?? null);
   }
 
-  return (
+  const leagueName = (id: string) => bundles[id]?.league?.name || leagueNames[id] || `League ${id.slice(-6)}`;
+  const pendingLeagues = leagueIds.filter((id) => !bundles[id] || bundles[id].loading).length;
+
+  const page = (
     <div className="min-h-screen bg-gray-50 text-gray-900">
       <div className="max-w-7xl mx-auto px-4 py-6">
         <div className="flex items-center justify-between gap-3 flex-wrap">
           <div>
             <div className="text-3xl font-extrabold">Sleeper League Analyzer</div>
-            <div className="text-sm text-gray-600">Free, serverless site — plug in up to 4 league IDs • {status || (loading ? "loading NFL state…" : "ready")}</div>
+            <div className="text-sm text-gray-600">Free, serverless site — add leagues by Sleeper username or league ID • {status || (loading ? "loading NFL state…" : "ready")}</div>
           </div>
-          <div className="flex gap-2">
-            <input value={idInput} onChange={(e)=>setIdInput(e.target.value)} placeholder="Paste Sleeper League IDs (up to 4)" className="px-3 py-2 rounded-xl border bg-white w-72" />
+          <div className="flex gap-2 items-center">
+            {finding && <span className="text-sm text-gray-600">{finding}</span>}
+            <input
+              value={idInput}
+              onChange={(e)=>setIdInput(e.target.value)}
+              onKeyDown={(e)=>e.key === "Enter" && addLeagueId()}
+              placeholder="Sleeper username or league IDs"
+              className="px-3 py-2 rounded-xl border bg-white w-72"
+            />
             <button onClick={addLeagueId} className="px-3 py-2 rounded-xl border bg-white hover:bg-gray-100">Add</button>
           </div>
         </div>
 
+        {staleSince && (
+          <div className="mt-4 flex items-center gap-2 text-sm rounded-xl border border-amber-300 bg-amber-50 px-3 py-2">
+            <span>
+              {staleSince.message}. Showing cached data from {new Date(staleSince.at).toLocaleString()}.
+            </span>
+            <button onClick={() => setStaleSince(null)} className="ml-auto text-gray-600 hover:underline">Dismiss</button>
+          </div>
+        )}
+
+        {discovery && (
+          <div className="mt-4">
+            <LeaguePicker
+              discovery={discovery}
+              added={leagueIds}
+              seasons={[0, 1, 2].map((n) => String(Number(state?.season || new Date().getFullYear()) - n))}
+              onSeason={(season) => discoverLeagues(discovery.user.display_name, season)}
+              onAdd={(ids) => {
+                addLeagues(ids);
+                setDiscovery(null);
+              }}
+              onClose={() => setDiscovery(null)}
+            />
+          </div>
+        )}
+
         {/* League Tabs */}
         <div className="mt-4 flex flex-wrap gap-2">
-          {leagueIds.length === 0 && <Pill>No leagues added yet — paste IDs above</Pill>}
+          {leagueIds.length === 0 && <Pill>No leagues added yet — enter a username or paste IDs above</Pill>}
+          {leagueIds.length > 1 && (
+            <button onClick={()=>setView("overview")} className={`px-3 py-1 rounded-full border ${view!=="league"?"bg-black text-white":"bg-white hover:bg-gray-100"}`}>
+              Overview
+            </button>
+          )}
           {leagueIds.map((id) => (
-            <button key={id} onClick={()=>setActiveLeague(id)} className={`px-3 py-1 rounded-full border ${activeLeague===id?"bg-black text-white":"bg-white hover:bg-gray-100"}`}>
-              {bundles[id]?.league?.name ? `${bundles[id].league.name}` : `League ${id.slice(-6)}`}
+            <button key={id} onClick={()=>openLeague(id)} className={`px-3 py-1 rounded-full border ${view==="league"&&activeLeague===id?"bg-black text-white":"bg-white hover:bg-gray-100"}`}>
+              {leagueName(id)}
             </button>
           ))}
+          {leagueIds.length > 0 && (
+            <button onClick={()=>setManaging((m) => !m)} className="px-3 py-1 rounded-full border border-dashed bg-white hover:bg-gray-100 text-sm">
+              {managing ? "Done" : "Manage"}
+            </button>
+          )}
+          <div className="ml-auto flex gap-2 text-sm">
+            {view === "league" && active?.league && (
+              <button onClick={()=>activeLeague && exportSnapshot(activeLeague)} className="px-3 py-1 rounded-full border bg-white hover:bg-gray-100">
+                Export snapshot
+              </button>
+            )}
+            <label className="px-3 py-1 rounded-full border bg-white hover:bg-gray-100 cursor-pointer">
+              Import snapshot
+              <input
+                type="file"
+                accept=".json,application/json"
+                className="hidden"
+                onChange={async (e) => {
+                  const file = e.target.files?.[0];
+                  if (file) importSnapshot(await file.text());
+                  e.target.value = "";
+                }}
+              />
+            </label>
+          </div>
         </div>
+        {leagueIds.includes(DEMO_LEAGUE_ID) && (
+          <div className="mt-3 text-sm rounded-xl border border-blue-200 bg-blue-50 px-3 py-2">
+            You're looking at a made-up sample league. Enter your Sleeper username or league IDs above to analyze your own.
+          </div>
+        )}
+        {managing && (
+          <div className="mt-2">
+            <LeagueManager ids={leagueIds} nameOf={leagueName} onMove={moveLeague} onRemove={removeLeague} />
+          </div>
+        )}
+
+        {/* Cross-league views */}
+        {view !== "league" && pendingLeagues > 0 && (
+          <div className="mt-4"><Pill>Loading {pendingLeagues} more league{pendingLeagues === 1 ? "" : "s"}…</Pill></div>
+        )}
+        {view === "overview" && (
+          <div className="mt-6">
+            {snapshots.length ? <Overview snapshots={snapshots} onOpenLeague={openLeague} onOpenManager={openManager} /> : <Loader />}
+          </div>
+        )}
+        {view === "manager" && profileUser && (
+          <div className="mt-6">
+            <button onClick={()=>setView("overview")} className="text-sm text-gray-600 hover:underline">← Overview</button>
+            <div className="mt-2">
+              <ManagerProfile profile={managerProfile(snapshots, profileUser)} onOpenLeague={openLeague} />
+            </div>
+          </div>
+        )}
 
         {/* Active League View */}
-        {activeLeague && (
+        {view === "league" && activeLeague && (
           <div className="mt-6">
             {active?.loading && <Loader />}
-            {active?.error && <div className="text-red-600">{String(active.error)}</div>}
+            {active?.error && (
+              <div className="text-red-600">
+                {String(active.error)}{" "}
+                <button
+                  onClick={() => {
+                    requested.current.delete(activeLeague);
+                    ensureLoaded(activeLeague);
+                  }}
+                  className="ml-2 px-2 py-1 rounded-lg border bg-white hover:bg-gray-100 text-sm text-gray-900"
+                >
+                  Retry
+                </button>
+              </div>
+            )}
             {active?.league && (
               <>
                 <LeagueHeader league={active.league} />
+                {leagueNfl && <SeasonStatus league={active.league} nfl={leagueNfl} draft={active.draftMeta} champion={active.playoffs?.winners ? championOf(active.playoffs.winners) : null} nameFor={teamName} />}
 
                 {/* Draft Grades */}
-                <Section title="Draft Grades (Heuristic AI)">
-                  {active.draft ? <DraftGrades data={active.draft} /> : <Loader />}
+                <Section id="draft" title="Draft Grades (Heuristic AI)">
+                  <div className="flex items-center gap-2 flex-wrap">
+                    {active.drafts?.length > 1 && (
+                      <select
+                        value={active.draftMeta?.draft_id}
+                        onChange={(e) => setDraftChoice((c) => ({ ...c, [activeLeague]: e.target.value }))}
+                        className="px-3 py-1 rounded-xl border bg-white text-sm"
+                      >
+                        {active.drafts.map((d: LeagueDraft) => (
+                          <option key={d.meta.draft_id} value={d.meta.draft_id}>{draftLabel(d.meta, active.league)}</option>
+                        ))}
+                      </select>
+                    )}
+                    {active.draftMeta && leagueGradingModel(active.league, null, active.draftMeta).slotAdjusted && (
+                      <Pill>
+                        {isRookieDraft(active.draftMeta, active.league) ? "Rookie draft model" : "Linear draft"} — graded against the picks each team held
+                      </Pill>
+                    )}
+                    <button onClick={() => setShowGrading((x) => !x)} className="px-3 py-1 rounded-xl border bg-white hover:bg-gray-100 text-sm">
+                      {showGrading ? "Hide grading settings" : "Grading settings"}
+                    </button>
+                    {grading[activeLeague] && (
+                      <Pill>{GRADING_PRESETS[grading[activeLeague].preset || ""]?.label || "Custom"} settings</Pill>
+                    )}
+                  </div>
+                  {showGrading && (
+                    <GradingSettings
+                      league={active.league}
+                      draft={active.draftMeta}
+                      overrides={grading[activeLeague] || null}
+                      onChange={(o) => setLeagueGrading(activeLeague, o)}
+                      shareUrl={(o) =>
+                        `${window.location.origin}${window.location.pathname}${formatRoute({ ...currentRoute, view: "league", section: "draft", grading: o })}`
+                      }
+                    />
+                  )}
+                  {active.draft ? <DraftGrades data={active.draft} players={players} /> : <Loader />}
                 </Section>
 
+                {/* Playoff brackets */}
+                {active.playoffs?.winners?.length > 0 && (
+                  (() => {
+                    const seeds: Record<number, number> = {};
+                    (active.standings as StandingRow[]).forEach((r, i) => (seeds[r.roster_id] = i + 1));
+                    return (
+                      <Section id="playoffs" title="Playoff Bracket">
+                        <PlayoffBracket kind="winners" bracket={active.playoffs.winners} league={active.league} weekly={active.playoffs.weekly} seeds={seeds} nameFor={teamName} />
+                        {active.playoffs.losers.length > 0 && (
+                          <>
+                            <div className="text-lg font-semibold mt-2">
+                              {Number(active.league.settings?.loser_bracket_type) === 1 ? "Toilet Bowl" : "Consolation Bracket"}
+                            </div>
+                            <PlayoffBracket kind="losers" bracket={active.playoffs.losers} league={active.league} weekly={active.playoffs.weekly} seeds={seeds} nameFor={teamName} />
+                          </>
+                        )}
+                      </Section>
+                    );
+                  })()
+                )}
+
+                {/* Draft Board */}
+                {active.draftPicks?.length > 0 && (
+                  <Section id="board" title="Draft Board">
+                    <DraftBoard
+                      picks={active.draftPicks}
+                      meta={active.draftMeta}
+                      league={active.league}
+                      adp={isRookieDraft(active.draftMeta, active.league) ? {} : adp}
+                      players={players}
+                      nameFor={teamName}
+                      onImportAdp={importAdp}
+                      adpError={adpError}
+                      overrides={grading[activeLeague]}
+                    />
+                  </Section>
+                )}
+
+                {/* Future draft capital (dynasty/keeper leagues, or any league trading picks) */}
+                {draftCapital && (
+                  <Section id="capital" title="Future Draft Capital">
+                    <DraftCapital capital={draftCapital} nameFor={teamName} />
+                  </Section>
+                )}
+
+                {/* Standings */}
+                {active.throughWeek > 0 && (
+                  <>
+                    <Section id="standings" title={`Standings (through week ${active.throughWeek})`}>
+                      <Standings rows={active.standings} />
+                    </Section>
+                    <Section id="power" title="Power Rankings">
+                      <PowerRankings items={active.rankings} />
+                    </Section>
+                    <Section id="luck" title="Schedule Luck">
+                      {luck && (
+                        <>
+                          <Card>
+                            <LuckLeaderboard rows={luck.rows} />
+                            <div className="mt-2 text-xs text-gray-500">
+                              Expected wins come from the all-play record (every team, every week), which no schedule can help or hurt. Strength of schedule is opponents' all-play win rate.
+                            </div>
+                          </Card>
+                          <Card>
+                            <div className="text-sm font-semibold mb-2">Schedule swap</div>
+                            <ScheduleSwap luck={luck} nameFor={teamName} />
+                            <div className="mt-2 text-xs text-gray-500">
+                              Each row's record on each column's schedule (playing the column team instead of itself). Green beats the team's actual record, red falls short; outlined is the real one.
+                            </div>
+                          </Card>
+                        </>
+                      )}
+                    </Section>
+                    <Section id="odds" title="Playoff Odds">
+                      {active.odds?.results ? (
+                        <PlayoffOdds
+                          odds={active.odds}
+                          standings={active.standings}
+                          byes={playoffSlots(active.league).byes}
+                          onRerun={() => runOdds(activeLeague)}
+                        />
+                      ) : active.odds?.error ? (
+                        <div className="text-red-600">{active.odds.error}</div>
+                      ) : (
+                        <Loader />
+                      )}
+                    </Section>
+                  </>
+                )}
+
                 {/* Week Controls */}
-                <Section title="Weekly Matchups">
+                <Section id="matchups" title="Weekly Matchups">
                   <div className="flex items-center gap-3 flex-wrap">
                     <div className="text-sm">Select week:</div>
-                    <select value={matchupsWeek ?? week ?? 1} onChange={(e)=>loadWeek(parseInt(e.target.value))} className="px-3 py-2 rounded-xl border bg-white">
-                      {Array.from({ length: 18 }, (_, i) => i + 1).map((w) => (
-                        <option key={w} value={w}>Week {w}</option>
-                      ))}
+                    <select value={week ?? matchupsWeek ?? 1} onChange={(e)=>setWeek(parseInt(e.target.value))} className="px-3 py-2 rounded-xl border bg-white">
+                      {(["regular", "playoff"] as const).map((kind) => {
+                        const weeks = seasonWeeks(active.league).filter((w) => w.kind === kind);
+                        return weeks.length > 0 && (
+                          <optgroup key={kind} label={kind === "regular" ? "Regular season" : "Playoffs"}>
+                            {weeks.map((w) => (
+                              <option key={w.week} value={w.week}>{w.label}</option>
+                            ))}
+                          </optgroup>
+                        );
+                      })}
                     </select>
                     {loadingWeek && <Loader />}
+                    {weekError && <span className="text-sm text-red-600">{weekError}</span>}
+                    {state && week === state.week && active.league.season === state.season && (
+                      <label className="ml-auto flex items-center gap-2 text-sm">
+                        <input type="checkbox" checked={liveEnabled} onChange={(e)=>setLiveEnabled(e.target.checked)} />
+                        Live updates during games
+                      </label>
+                    )}
+                    {matchups && matchups.length > 0 && matchupsWeek != null && (
+                      <button onClick={() => setPublishing(true)} className={`${state && week === state.week && active.league.season === state.season ? "" : "ml-auto "}px-3 py-2 rounded-xl border bg-white hover:bg-gray-100`}>
+                        Publish…
+                      </button>
+                    )}
                   </div>
 
+                  {publishing && matchups && matchupsWeek != null && (() => {
+                    const w = matchupsWeek;
+                    const median = usesMedianGame(active.league) && !isPlayoffWeek(active.league, w);
+                    const byeTeams = byeTeamsForWeek(nflSchedule[active.league.season] || null, w);
+                    const { previews, gameOfWeek } = previewMatchups(w, matchups, active.power as Record<number, number>, { weekly: active.weekly || {}, players, games: nflSchedule[active.league.season] || null, byeTeams, median });
+                    const final = !!leagueNfl && weekComplete(active.league, leagueNfl, w);
+                    return (
+                      <PublishDialog
+                        league={{ league_id: active.league.league_id, name: active.league.name, season: active.league.season }}
+                        week={w}
+                        previews={previewRows(previews, gameOfWeek, teamName)}
+                        results={final ? resultRows(summarizeCompletedMatchups(matchups, active.rosters, active.users, median), players) : null}
+                        targets={webhooks}
+                        log={postedLog}
+                        onTargets={saveWebhooks}
+                        onPosted={recordPost}
+                        onClose={() => setPublishing(false)}
+                      />
+                    );
+                  })()}
+
+                  {liveStatus && liveStatus !== "off" && matchups && matchupsWeek === state?.week &&
+                    (liveStatus === "live" || matchups.some((m) => (m.points || 0) > 0)) && (
+                    <LiveScoreboard
+                      status={liveStatus}
+                      games={liveScoreboard(matchupsWeek, matchups, active.weekly || {}, players, nflSchedule[active.league.season] || null, liveStates, liveStatus)}
+                      samples={liveTrend.key === `${activeLeague}:${matchupsWeek}` ? liveTrend.samples : []}
+                      rosterMap={rosterMap}
+                      users={active.users}
+                    />
+                  )}
+
                   {matchups && matchups.length > 0 ? (
                     (() => {
                       const power = active.power as Record<number, number>;
-                      const { previews, gameOfWeek } = previewMatchups(matchupsWeek ?? week ?? 1, matchups, power);
+                      const w = matchupsWeek ?? week ?? 1;
+                      const byeTeams = byeTeamsForWeek(nflSchedule[active.league.season] || null, w);
+                      const median = usesMedianGame(active.league) && !isPlayoffWeek(active.league, w);
+                      const { previews, gameOfWeek } = previewMatchups(w, matchups, power, { weekly: active.weekly || {}, players, games: nflSchedule[active.league.season] || null, byeTeams, median });
                       return (
                         <>
                           {gameOfWeek && (
                             <Card>
                               <div className="text-sm font-semibold mb-1">Game of the Week (closest matchup)</div>
-                              <div className="text-lg">Matchup #{gameOfWeek.matchup_id} • Diff {gameOfWeek.diff.toFixed(1)}</div>
-                              <div className="text-sm text-gray-700">Predictions based on draft-derived power index.</div>
+                              <div className="text-lg">
+                                Matchup #{gameOfWeek.matchup_id} • {Math.round(gameOfWeek.aWinProb * 100)}% – {Math.round((1 - gameOfWeek.aWinProb) * 100)}%
+                              </div>
+                              <div className="text-sm text-gray-700">
+                                {gameOfWeek.aProj != null
+                                  ? `Projected ${gameOfWeek.aProj.toFixed(1)} – ${gameOfWeek.bProj?.toFixed(1)} from each side's starters (last ${PROJECTION_LOOKBACK} weeks).`
+                                  : "Predictions based on the power index (draft grades blended with results)."}
+                              </div>
                             </Card>
                           )}
-                          <Previews week={matchupsWeek ?? week ?? 1} previews={previews} rosterMap={rosterMap} users={active.users} />
+                          <Previews
+                            week={w}
+                            previews={previews}
+                            rosterMap={rosterMap}
+                            users={active.users}
+                            players={players}
+                            playoffLabels={
+                              active.playoffs?.winners && isPlayoffWeek(active.league, w)
+                                ? playoffMatchLabels(active.league, w, active.playoffs.winners, active.playoffs.losers)
+                                : undefined
+                            }
+                          />
                         </>
                       );
                     })()
                   ) : (
                     <Card>
-                      <div className="text-sm">No Sleeper matchup data for this week (league may be in playoffs/offseason).</div>
+                      <div className="text-sm">
+                        {active.playoffs?.winners?.length > 0 && isPlayoffWeek(active.league, week)
+                          ? "No games this week for this league — see the Playoff Bracket above."
+                          : leagueNfl && leaguePhase(active.league, leagueNfl) === "preseason"
+                            ? "Matchups appear here once Sleeper sets the schedule after the draft."
+                            : "No Sleeper matchup data for this week."}
+                      </div>
                     </Card>
                   )}
                 </Section>
 
                 {/* Summaries for completed weeks */}
-                {state && matchupsWeek != null && matchupsWeek < state.week && (
-                  <Section title={`Week ${matchupsWeek} Summaries`}>
-                    {matchups ? <Summaries items={summarizeCompletedMatchups(matchups, active.rosters, active.users)} /> : <Loader />}
+                {leagueNfl && matchupsWeek != null && weekComplete(active.league, leagueNfl, matchupsWeek) && (
+                  <Section id="summaries" title={`Week ${matchupsWeek} Summaries`}>
+                    {matchups ? (
+                      <Summaries
+                        items={summarizeCompletedMatchups(matchups, active.rosters, active.users, usesMedianGame(active.league) && !isPlayoffWeek(active.league, matchupsWeek))}
+                        players={players}
+                      />
+                    ) : (
+                      <Loader />
+                    )}
+                  </Section>
+                )}
+                {leagueNfl && matchupsWeek != null && weekComplete(active.league, leagueNfl, matchupsWeek) && matchups && matchups.length > 0 && (
+                  <Section id="recap" title={`Week ${matchupsWeek} Recap`}>
+                    <WeeklyRecap article={buildWeeklyRecap(active.league, matchupsWeek, matchups, active.rosters, active.users, players)} />
+                  </Section>
+                )}
+
+                {/* Lineup efficiency */}
+                {active.throughWeek > 0 && (
+                  <Section id="lineups" title="Lineup Efficiency">
+                    {playersNote}
+                    {lineupReport ? (
+                      <LineupEfficiency report={lineupReport} throughWeek={active.throughWeek} nameFor={teamName} players={players ?? {}} />
+                    ) : (
+                      <Loader />
+                    )}
+                  </Section>
+                )}
+
+                {/* Player analytics */}
+                {active.throughWeek > 0 && (
+                  <Section id="players" title="Player Stats">
+                    {playersNote}
+                    {playerStats ? (
+                      <PlayerStats key={activeLeague} stats={playerStats} rosters={active.rosters} players={players ?? {}} nameFor={teamName} />
+                    ) : (
+                      <Loader />
+                    )}
+                  </Section>
+                )}
+
+                {/* Trade finder */}
+                {active.throughWeek > 0 && (
+                  <Section id="trade-finder" title="Trade Finder">
+                    {playersNote}
+                    {playersReady ? (
+                      (() => {
+                        const mine = active.rosters.find((r: SleeperRoster) => r.owner_id && r.owner_id === discovery?.user.user_id);
+                        return (
+                          <TradeFinder
+                            key={activeLeague}
+                            league={active.league}
+                            rosters={active.rosters}
+                            weekly={active.weekly || {}}
+                            throughWeek={active.throughWeek}
+                            players={players ?? {}}
+                            games={nflSchedule[active.league.season] || null}
+                            nameFor={teamName}
+                            initialRoster={mine?.roster_id}
+                          />
+                        );
+                      })()
+                    ) : (
+                      <Loader />
+                    )}
+                  </Section>
+                )}
+
+                {/* League History (on demand — walks every prior season) */}
+                <Section id="history" title="League History">
+                  {active.history?.book ? (
+                    <LeagueHistory key={activeLeague} book={active.history.book} />
+                  ) : active.history?.loading ? (
+                    <div className="flex items-center gap-3">
+                      <Loader />
+                      {active.history.season && <span className="text-sm text-gray-600">Season {active.history.season}</span>}
+                    </div>
+                  ) : (
+                    <div className="flex items-center gap-3">
+                      <button onClick={() => loadHistory(activeLeague)} className="px-3 py-2 rounded-xl border bg-white hover:bg-gray-100">
+                        Load record book
+                      </button>
+                      {active.history?.error && <span className="text-red-600 text-sm">{active.history.error}</span>}
+                    </div>
+                  )}
+                </Section>
+
+                {/* Transactions */}
+                {Array.isArray(active.transactions) ? (
+                  (() => {
+                    const trades = gradeTrades(
+                      active.transactions,
+                      active.league,
+                      active.draftPicks,
+                      active.weekly || {},
+                      active.throughWeek,
+                      players,
+                      teamName,
+                      grading[activeLeague]
+                    );
+                    return (
+                      <>
+                        {trades.length > 0 && (
+                          <Section id="trades" title="Trade Winners">
+                            <TradeLedger rows={tradeLedger(trades)} />
+                          </Section>
+                        )}
+                        <Section id="transactions" title="Transactions">
+                          <Transactions transactions={active.transactions} trades={trades} nameFor={teamName} players={players} />
+                        </Section>
+                      </>
+                    );
+                  })()
+                ) : (
+                  <Section id="transactions" title="Transactions">
+                    {active.transactions?.error ? <div className="text-red-600">{active.transactions.error}</div> : <Loader />}
                   </Section>
                 )}
               </>
@@ -625,9 +7180,10 @@ export default function App() {
 
         {/* Footer */}
         <div className="mt-10 text-xs text-gray-500">
-          Tip: For Superflex leagues, increase POSITION_VALUES.QB to ~1.5 for better previews.
+          Grades adapt to each league's format (team count, Superflex, TE premium, PPR) automatically.
         </div>
       </div>
     </div>
   );
+  return <SectionLinkContext.Provider value={hrefForSection}>{page}</SectionLinkContext.Provider>;
 }
@@ -0,0 +1,302 @@
+#!/usr/bin/env node
+/**
+ * Sleeper League Report — headless companion to the single-file analyzer
+ * ---------------------------------------------------------------------
+ * Writes the draft grades, matchup previews and final results the site shows,
+ * for scripted weekly posts or for diffing grading changes against saved fixtures.
+ *
+ * Usage
+ *   node sleeper_league_report_cli.mjs <league_id...> [options]
+ *   node sleeper_league_report_cli.mjs --snapshots ./fixtures [league_id...] [options]
+ *
+ * Options
+ *   --week <n>          Week to report (default: the league's current week; its last
+ *                       week once the season is over)
+ *   --format <f>        json | md | csv (default: md)
+ *   --out <dir>         Write one file per league (per table for CSV) instead of stdout
+ *   --table <t>         CSV on stdout: grades | previews | results (default: grades)
+ *   --snapshots <dir>   Read league snapshots (the site's "Export snapshot" JSON files)
+ *                       from a directory instead of the Sleeper API; fully offline
+ *   --no-players        Skip the ~5 MB player directory download (IDs instead of names)
+ *   --check <dir>       Compare against files an earlier --out run wrote there instead of
+ *                       printing; exits 1 and names the files that changed
+ *
+ * Fixture regression run (what `npm test` does)
+ *   fixtures/snapshots holds a saved league; fixtures/expected the report it should give.
+ *   After an intended grading change, regenerate with `npm run fixtures` and review the diff.
+ *
+ * Posting to Discord / Slack
+ *   --webhook <k=url>   Also post to an incoming webhook; k is discord or slack. Repeatable
+ *   --post <kind>       previews | results (default: results once the week is final)
+ *   --posted-log <file> JSON record of what was posted per league and week; targets that
+ *                       already got this week's post are skipped (default: ./webhook-log.json)
+ *   --force             Post even if the log says it was already sent
+ *
+ *   Any http(s) URL works, so a throwaway local endpoint makes a safe dry run:
+ *     node -e "require('http').createServer((q,s)=>{q.pipe(process.stdout);s.end()}).listen(8787)"
+ *     node sleeper_league_report_cli.mjs <league_id> --webhook discord=http://localhost:8787
+ *
+ * Requirements
+ * - Node 18+ (global fetch) with `typescript` 5.x and `react` resolvable from the working
+ *   directory or this file's directory (`npm ci` here, for the locked versions the
+ *   fixtures were made with, or `npm install --no-save typescript@5 react@18`
+ *   elsewhere). TypeScript 7 dropped the JS transpile API this relies on. The analyzer
+ *   is TSX, so it's transpiled in memory on every run; nothing is built or written
+ *   next to it.
+ */
+import fs from "node:fs";
+import path from "node:path";
+import { createRequire } from "node:module";
+import { fileURLToPath } from "node:url";
+
+const HERE = path.dirname(fileURLToPath(import.meta.url));
+const APP_FILE = path.join(HERE, "sleeper_league_analyzer_free_website_react_single_file.jsx");
+const FORMATS = ["json", "md", "csv"];
+const TABLES = ["grades", "previews", "results"];
+const WEBHOOK_KINDS = ["discord", "slack"];
+const POST_KINDS = ["previews", "results"];
+
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+  const opts = {
+    ids: [],
+    week: null,
+    format: "md",
+    out: null,
+    check: null,
+    table: "grades",
+    snapshots: null,
+    players: true,
+    webhooks: [],
+    post: null,
+    postedLog: "webhook-log.json",
+    force: false,
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) throw new UsageError(`${arg} needs a value`);
+      return argv[++i];
+    };
+    if (arg === "--week") opts.week = parseInt(value(), 10);
+    else if (arg === "--format") opts.format = value();
+    else if (arg === "--out") opts.out = value();
+    else if (arg === "--check") opts.check = value();
+    else if (arg === "--table") opts.table = value();
+    else if (arg === "--snapshots") opts.snapshots = value();
+    else if (arg === "--no-players") opts.players = false;
+    else if (arg === "--webhook") opts.webhooks.push(parseWebhook(value()));
+    else if (arg === "--post") opts.post = value();
+    else if (arg === "--posted-log") opts.postedLog = value();
+    else if (arg === "--force") opts.force = true;
+    else if (arg === "-h" || arg === "--help") opts.help = true;
+    else if (arg.startsWith("-")) throw new UsageError(`Unknown option ${arg}`);
+    else opts.ids.push(arg);
+  }
+  if (opts.help) return opts;
+  if (!FORMATS.includes(opts.format)) throw new UsageError(`--format must be one of ${FORMATS.join(", ")}`);
+  if (!TABLES.includes(opts.table)) throw new UsageError(`--table must be one of ${TABLES.join(", ")}`);
+  if (opts.post != null && !POST_KINDS.includes(opts.post)) throw new UsageError(`--post must be one of ${POST_KINDS.join(", ")}`);
+  if (opts.week != null && !(Number.isInteger(opts.week) && opts.week >= 1)) throw new UsageError("--week must be a week number");
+  if (opts.out && opts.check) throw new UsageError("--out and --check don't combine");
+  if (!opts.ids.length && !opts.snapshots) throw new UsageError("Pass at least one league ID or --snapshots <dir>");
+  return opts;
+}
+
+function parseWebhook(spec) {
+  const eq = spec.indexOf("=");
+  const kind = spec.slice(0, eq);
+  const url = spec.slice(eq + 1);
+  if (eq < 0 || !WEBHOOK_KINDS.includes(kind)) throw new UsageError(`--webhook must look like discord=<url> or slack=<url>`);
+  let host = "";
+  try {
+    host = new URL(url).host;
+  } catch {
+    // reported below
+  }
+  if (!/^https?:\/\//i.test(url) || !host) throw new UsageError(`--webhook ${kind} URL must be a full http(s) address`);
+  // Same target id the site uses, so one log format covers both
+  return { id: `${kind}:${url}`, kind, label: `${kind} ${host}`, url };
+}
+
+function requireDependency(name) {
+  // The working directory first (where `npm install` was run), then next to this file
+  for (const dir of [process.cwd(), HERE]) {
+    try {
+      return createRequire(path.join(dir, "noop.js"))(name);
+    } catch (e) {
+      if (e.code !== "MODULE_NOT_FOUND") throw e;
+    }
+  }
+  throw new Error(`Can't find "${name}". Install it first: npm install --no-save typescript@5 react@18`);
+}
+
+function loadAnalyzer() {
+  const ts = requireDependency("typescript");
+  if (typeof ts.transpileModule !== "function") {
+    throw new Error(`typescript ${ts.version ?? "(unknown version)"} has no transpileModule API; install typescript@5`);
+  }
+  const { outputText } = ts.transpileModule(fs.readFileSync(APP_FILE, "utf8"), {
+    fileName: "app.tsx",
+    compilerOptions: {
+      module: ts.ModuleKind.CommonJS,
+      target: ts.ScriptTarget.ES2020,
+      jsx: ts.JsxEmit.ReactJSX,
+      esModuleInterop: true,
+    },
+  });
+  const module = { exports: {} };
+  new Function("require", "module", "exports", outputText)(requireDependency, module, module.exports);
+  return module.exports;
+}
+
+function loadSnapshots(app, dir) {
+  // Every *.json in the directory; later files win if a league appears twice
+  const leagues = {};
+  let players = {};
+  const files = fs.readdirSync(dir).filter((f) => f.endsWith(".json")).sort();
+  if (!files.length) throw new Error(`No .json snapshots in ${dir}`);
+  for (const f of files) {
+    const file = app.parseSnapshot(fs.readFileSync(path.join(dir, f), "utf8"));
+    for (const id of app.mountSnapshot(file)) leagues[id] = file.nflState;
+    players = { ...players, ...(file.players || {}) };
+  }
+  return { leagues, players };
+}
+
+function render(app, reports, opts) {
+  // Returns [filename, contents] pairs; filenames only matter with --out / --check
+  const perFile = opts.out || opts.check;
+  if (opts.format === "json") {
+    if (perFile) return reports.map((r) => [`${r.league.league_id}-week${r.week}.json`, JSON.stringify(r, null, 2) + "\n"]);
+    return [["report.json", JSON.stringify(reports.length === 1 ? reports[0] : reports, null, 2) + "\n"]];
+  }
+  if (opts.format === "md") {
+    if (perFile) return reports.map((r) => [`${r.league.league_id}-week${r.week}.md`, app.reportToMarkdown(r)]);
+    return [["report.md", reports.map((r) => app.reportToMarkdown(r)).join("\n---\n\n")]];
+  }
+  const tables = reports.map((r) => [r, app.reportToCsv(r)]);
+  if (perFile) {
+    return tables.flatMap(([r, csv]) => TABLES.filter((t) => csv[t]).map((t) => [`${r.league.league_id}-week${r.week}-${t}.csv`, csv[t]]));
+  }
+  // One header for all leagues on stdout
+  const bodies = tables.map(([, csv]) => csv[opts.table]).filter(Boolean);
+  const merged = bodies.map((csv, i) => (i === 0 ? csv : csv.slice(csv.indexOf("\n") + 1))).join("");
+  return [[`report-${opts.table}.csv`, merged]];
+}
+
+function readLog(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    if (e.code === "ENOENT") return {};
+    throw new Error(`Can't read ${file}: ${e.message}`);
+  }
+}
+
+async function publish(app, reports, opts) {
+  // Sequential, so a rate-limited channel sees one post at a time; the log is saved
+  // after every success so a failure halfway through doesn't cause re-posts
+  const log = readLog(opts.postedLog);
+  let failed = 0;
+  for (const r of reports) {
+    const kind = opts.post ?? (r.final ? "results" : "previews");
+    const rows = r[kind];
+    if (!rows.length) {
+      process.stderr.write(`${r.league.name} week ${r.week}: no ${kind} to post\n`);
+      continue;
+    }
+    const msg = kind === "results" ? app.resultsMessage(r.league, r.week, rows) : app.previewsMessage(r.league, r.week, rows);
+    const key = app.postKey(r.league.league_id, r.week, kind);
+    for (const target of opts.webhooks) {
+      if (!opts.force && log[key]?.targets.includes(target.id)) {
+        process.stderr.write(`skipped ${target.label}: week ${r.week} ${kind} already posted ${new Date(log[key].at).toISOString()} (--force to resend)\n`);
+        continue;
+      }
+      try {
+        await app.postWebhook(target, msg);
+      } catch (e) {
+        failed++;
+        process.stderr.write(`failed ${e.message}\n`);
+        continue;
+      }
+      const prev = log[key]?.targets || [];
+      log[key] = { at: Date.now(), targets: prev.includes(target.id) ? prev : [...prev, target.id] };
+      fs.writeFileSync(opts.postedLog, JSON.stringify(log, null, 2) + "\n");
+      process.stderr.write(`posted week ${r.week} ${kind} for ${r.league.name} to ${target.label}\n`);
+    }
+  }
+  if (failed) throw new Error(`${failed} webhook post${failed === 1 ? "" : "s"} failed`);
+}
+
+function checkOutputs(outputs, dir) {
+  const changed = outputs.filter(([name, contents]) => {
+    const file = path.join(dir, name);
+    return !fs.existsSync(file) || fs.readFileSync(file, "utf8") !== contents;
+  });
+  for (const [name] of changed) {
+    const file = path.join(dir, name);
+    process.stderr.write(`${fs.existsSync(file) ? "differs from" : "no expected file"} ${file}\n`);
+  }
+  if (changed.length) throw new Error(`${changed.length} of ${outputs.length} report${outputs.length === 1 ? "" : "s"} changed`);
+  process.stderr.write(`${outputs.length} report${outputs.length === 1 ? "" : "s"} match ${dir}\n`);
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  if (opts.help) {
+    process.stdout.write(fs.readFileSync(fileURLToPath(import.meta.url), "utf8").match(/\/\*\*([\s\S]*?)\*\//)[1].replace(/^ \* ?/gm, ""));
+    return;
+  }
+  const app = loadAnalyzer();
+
+  let nflFor;
+  let players = null;
+  let ids = opts.ids;
+  if (opts.snapshots) {
+    const snap = loadSnapshots(app, opts.snapshots);
+    const missing = ids.filter((id) => !snap.leagues[id]);
+    if (missing.length) throw new Error(`Not in ${opts.snapshots}: ${missing.join(", ")}`);
+    if (!ids.length) ids = Object.keys(snap.leagues);
+    nflFor = (id) => snap.leagues[id];
+    players = snap.players;
+  } else {
+    const nfl = await app.getCurrentNFLState();
+    nflFor = () => nfl;
+    if (opts.players) players = await app.loadPlayerDirectory();
+  }
+
+  const reports = [];
+  for (const id of ids) {
+    const nfl = nflFor(id);
+    // Weeks come from the league's own settings: 14-week seasons, two-week finals, …
+    const league = await app.loadLeague(id);
+    const weeks = app.seasonWeeks(league).map((w) => w.week);
+    if (opts.week != null && !weeks.includes(opts.week)) {
+      throw new UsageError(`${league.name} plays weeks ${weeks[0]}–${weeks[weeks.length - 1]}; there's no week ${opts.week}`);
+    }
+    const week = opts.week ?? app.defaultWeek(league, nfl);
+    reports.push(await app.buildLeagueReport(id, week, nfl, players, { schedule: !opts.snapshots }));
+  }
+
+  const outputs = render(app, reports, opts);
+  if (opts.check) {
+    checkOutputs(outputs, opts.check);
+  } else if (!opts.out) {
+    for (const [, contents] of outputs) process.stdout.write(contents);
+  } else {
+    fs.mkdirSync(opts.out, { recursive: true });
+    for (const [name, contents] of outputs) {
+      fs.writeFileSync(path.join(opts.out, name), contents);
+      process.stderr.write(`wrote ${path.join(opts.out, name)}\n`);
+    }
+  }
+  if (opts.webhooks.length) await publish(app, reports, opts);
+}
+
+main().catch((e) => {
+  process.stderr.write(`${e instanceof UsageError ? "Usage: " : ""}${e.message}\n`);
+  if (e instanceof UsageError) process.stderr.write("Run with --help for options.\n");
+  process.exit(e instanceof UsageError ? 2 : 1);
+});